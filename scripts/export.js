@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+import path from "path";
+import { program } from "commander";
+import { exportFile, FORMATS } from "./exporters/index.js";
+import { exportAll, printSummary } from "./exporters/batch.js";
+
+program
+  .option("--json-path <path>", "Path to JSON file")
+  .option("--format <name>", `Output format (${FORMATS.join("|")})`, "tsv")
+  .option("--deck <name>", "Parent deck for the exam subdecks (apkg)", "Testbook")
+  .option("--language <code>", "Export this language of bilingual scrapes (e.g. hi; default: the primary one)")
+  .option("--side-by-side", "Put every captured language of a bilingual scrape on the same card")
+  .option("--all", "Export every file in output/scraped and output/tagged (tagged wins)")
+  .option("--merge [name]", "With --all, also write one combined file. Repeated noteIds are dropped per exam file (noteIds restart for every exam); apkg keeps one subdeck per exam, other formats renumber noteIds from 1000 and record the source file and ids (CSV: Source column)", false)
+  .option("--force", "With --all, re-export files whose output is newer than the JSON");
+
+program.parse(process.argv);
+const options = program.opts();
+
+if (!FORMATS.includes(options.format)) {
+  console.error(`Unknown format "${options.format}". Available: ${FORMATS.join(", ")}`);
+  process.exit(1);
+}
+
+if (options.all) {
+  const rows = await exportAll(options.format, {
+    force: options.force,
+    merge: options.merge === true ? "combined" : options.merge || undefined,
+    exportOptions: { deckRoot: options.deck, language: options.language, sideBySide: options.sideBySide },
+  });
+  if (rows.length === 0) {
+    console.log("⚠️ No JSON files found in output/scraped or output/tagged.");
+    process.exit(0);
+  }
+  printSummary(rows);
+  process.exit(rows.some(row => row.status.startsWith("error")) ? 1 : 0);
+}
+
+if (!options.jsonPath) {
+  console.error("Either --json-path <path> or --all is required.");
+  process.exit(1);
+}
+
+// Resolve input JSON path relative to CWD
+const inputPath = path.resolve(process.cwd(), options.jsonPath);
+
+try {
+  const { outFile } = await exportFile(inputPath, options.format, { deckRoot: options.deck, language: options.language, sideBySide: options.sideBySide });
+  console.log(`✅ ${options.format.toUpperCase()} saved to ${outFile}`);
+} catch (err) {
+  console.error("Error exporting JSON:", err.message);
+  process.exit(1);
+}
@@ -0,0 +1,25 @@
+// Native Anki package with the "Testbook MCQ" note type (see ../lib/apkg.js).
+import { buildApkg } from "../lib/apkg.js";
+// The exam key (SL code tag plus file name) names the subdeck and scopes the note GUIDs.
+import { getExamKey } from "../../src/workflows/links/utils/linkRules.js";
+
+export const apkgExporter = {
+  name: "apkg",
+  extension: ".apkg",
+  render: (questions, context) => apkgExporter.renderExams([{ baseName: context.baseName, questions }], context),
+  // One subdeck per exam, so a merged package keeps the GUIDs of the per-exam ones.
+  renderExams: async (exams, { mediaDir, deckRoot = "Testbook", log }) => {
+    const decks = exams.map(({ baseName, questions }) => {
+      const examKey = getExamKey(questions, baseName);
+      return { deckName: `${deckRoot}::${examKey}`, examKey, questions };
+    });
+    const result = await buildApkg(decks, { mediaDir });
+    decks.forEach(({ deckName, questions }) => log.info(`Deck "${deckName}": ${questions.length} notes`));
+    log.info(`${result.noteCount} notes, ${result.mediaCount} media files`);
+    if (result.failedMedia.length > 0) {
+      log.warn(`${result.failedMedia.length} image(s) could not be embedded:`);
+      result.failedMedia.forEach(url => log.warn(`   ${url}`));
+    }
+    return result.buffer;
+  },
+};
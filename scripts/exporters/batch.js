@@ -0,0 +1,120 @@
+import fs from "fs";
+import path from "path";
+import { readQuestions, exportQuestions, exportMerged, getOutputPath } from "./index.js";
+
+const SCRAPED_DIR = path.resolve(process.cwd(), "output", "scraped");
+const TAGGED_DIR = path.resolve(process.cwd(), "output", "tagged");
+
+/**
+ * Lists every exam JSON in `output/scraped` and `output/tagged`. When an exam
+ * exists in both, the tagged copy wins.
+ * @returns {Array<{baseName: string, inputPath: string, source: string}>} Sorted by name.
+ */
+export function collectSourceFiles() {
+  const files = new Map();
+  for (const [dir, source] of [[SCRAPED_DIR, "scraped"], [TAGGED_DIR, "tagged"]]) {
+    if (!fs.existsSync(dir)) continue;
+    for (const file of fs.readdirSync(dir).filter(f => f.endsWith(".json"))) {
+      const baseName = path.basename(file, ".json");
+      files.set(baseName, { baseName, inputPath: path.join(dir, file), source });
+    }
+  }
+  return [...files.values()].sort((a, b) => a.baseName.localeCompare(b.baseName, undefined, { numeric: true }));
+}
+
+function isUpToDate(inputPath, outFile) {
+  return fs.existsSync(outFile) && fs.statSync(outFile).mtimeMs > fs.statSync(inputPath).mtimeMs;
+}
+
+function countTags(questions) {
+  const counts = {};
+  questions.flatMap(q => q.Tags || []).forEach(tag => { counts[tag] = (counts[tag] || 0) + 1; });
+  return counts;
+}
+
+/**
+ * Exports every exam file, skipping ones whose export is newer than the JSON
+ * unless `force` is set. With `merge`, all exams are also written to one
+ * combined file (see `exportMerged`).
+ * @param {string} format - Exporter name.
+ * @param {object} [options]
+ * @param {boolean} [options.force] - Re-export files that are already up to date.
+ * @param {string} [options.merge] - Base name of the combined file, if wanted.
+ * @param {object} [options.exportOptions] - Passed through to the exporter.
+ * @returns {Promise<Array<object>>} One summary row per file (plus the merged file).
+ */
+export async function exportAll(format, { force = false, merge, exportOptions = {} } = {}) {
+  const rows = [];
+  const merged = [];
+
+  for (const { baseName, inputPath, source } of collectSourceFiles()) {
+    const row = { file: baseName, source, questions: 0, tags: {}, status: "" };
+    rows.push(row);
+    let questions;
+    try {
+      questions = readQuestions(inputPath);
+    } catch (err) {
+      row.status = `error: ${err.message}`;
+      continue;
+    }
+    row.questions = questions.length;
+    row.tags = countTags(questions);
+
+    if (merge) merged.push({ baseName, questions });
+
+    if (!force && isUpToDate(inputPath, getOutputPath(baseName, format))) {
+      row.status = "up to date";
+      continue;
+    }
+    try {
+      await exportQuestions(questions, baseName, format, exportOptions);
+      row.status = "exported";
+    } catch (err) {
+      row.status = `error: ${err.message}`;
+    }
+  }
+
+  if (merge && merged.length > 0) {
+    const questions = merged.flatMap(exam => [...new Map(exam.questions.map(q => [q.noteId, q])).values()]);
+    const row = { file: merge, source: "merged", questions: questions.length, tags: countTags(questions), status: "" };
+    try {
+      await exportMerged(merged, merge, format, exportOptions);
+      row.status = "exported";
+    } catch (err) {
+      row.status = `error: ${err.message}`;
+    }
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+// Most frequent tags first; long tails are cut so the table stays readable.
+function formatTags(counts, limit = 6) {
+  const entries = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  const shown = entries.slice(0, limit).map(([tag, n]) => `${tag}:${n}`);
+  if (entries.length > limit) shown.push(`(+${entries.length - limit} more)`);
+  return shown.join(" ");
+}
+
+/**
+ * Prints the rows returned by `exportAll` as an aligned table.
+ */
+export function printSummary(rows) {
+  const table = rows.map(row => ({
+    File: row.file,
+    Source: row.source,
+    Questions: String(row.questions),
+    Tags: formatTags(row.tags),
+    Status: row.status,
+  }));
+  const columns = ["File", "Source", "Questions", "Tags", "Status"];
+  const widths = columns.map(col => Math.max(col.length, ...table.map(r => r[col].length)));
+  const line = (values) => values.map((v, i) => v.padEnd(widths[i])).join("  ").trimEnd();
+
+  console.log(line(columns));
+  console.log(line(widths.map(w => "-".repeat(w))));
+  table.forEach(r => console.log(line(columns.map(col => r[col]))));
+  const total = rows.filter(r => r.source !== "merged").reduce((sum, r) => sum + r.questions, 0);
+  console.log(`\n${rows.filter(r => r.source !== "merged").length} file(s), ${total} question(s).`);
+}
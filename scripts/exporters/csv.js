@@ -0,0 +1,23 @@
+// RFC 4180 CSV: header row, CRLF line endings, fields quoted when they need it.
+// Merged exports add a Source column (`<exam file>#<original noteId>`).
+
+const COLUMNS = ["noteId", "SL", "Question", "OP1", "OP2", "OP3", "OP4", "Answer", "Solution", "Tags"];
+
+const escapeField = (value) => {
+  const text = String(value ?? "");
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const csvExporter = {
+  name: "csv",
+  extension: ".csv",
+  render: (questions) => {
+    const columns = questions.some(obj => obj.Source) ? [...COLUMNS, "Source"] : COLUMNS;
+    const rows = questions.map(obj => columns.map(col => {
+      if (col === "Tags") return escapeField((obj.Tags || []).join(" "));
+      if (col === "Source") return escapeField(obj.Source ? `${obj.Source.file}#${obj.Source.noteId}` : "");
+      return escapeField(obj[col]);
+    }).join(","));
+    return [columns.join(","), ...rows].join("\r\n") + "\r\n";
+  },
+};
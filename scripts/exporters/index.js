@@ -0,0 +1,150 @@
+import fs from "fs";
+import path from "path";
+import { tsvExporter } from "./tsv.js";
+import { csvExporter } from "./csv.js";
+import { markdownExporter } from "./markdown.js";
+import { moodleExporter } from "./moodle.js";
+import { qtiExporter } from "./qti.js";
+import { apkgExporter } from "./apkg.js";
+import { localizeRecord } from "./record.js";
+
+/**
+ * Every exporter maps the same question record shape
+ * (`Question`, `OP1`–`OP4`, `Answer`, `Solution`, `Tags`) to one output file:
+ *   { name, extension, render(questions, context) => string | Buffer | Promise<...> }
+ * `context` holds `{ title, baseName, outDir, mediaDir, log, ...cli options }`.
+ * Exporters may offer `renderExams(exams, context)` to keep several exams
+ * apart in one file; see `exportMerged`. Records of a merged file carry
+ * `Source: { file, noteId, SL }` pointing back at the exam file they came from.
+ * Bilingual records are reduced to the chosen language (or combined, with
+ * `sideBySide`) before they reach the exporter; see `localizeRecord`.
+ */
+const EXPORTERS = Object.fromEntries(
+  [tsvExporter, csvExporter, markdownExporter, moodleExporter, qtiExporter, apkgExporter].map(e => [e.name, e])
+);
+
+export const FORMATS = Object.keys(EXPORTERS);
+
+const consoleLog = {
+  info: (msg) => console.log(msg),
+  warn: (msg) => console.warn(`⚠️ ${msg}`),
+};
+
+/**
+ * Reads a question JSON file and checks that its root is an array.
+ * @param {string} inputPath - Absolute path to the JSON file.
+ * @returns {Array<object>}
+ */
+export function readQuestions(inputPath) {
+  const jsonArray = JSON.parse(fs.readFileSync(inputPath, "utf-8"));
+  if (!Array.isArray(jsonArray)) {
+    throw new Error("JSON root must be an array");
+  }
+  return jsonArray;
+}
+
+/**
+ * Returns the path an export named `baseName` in `format` is written to:
+ * `output/<format>/<baseName><extension>` under the current directory.
+ */
+export function getOutputPath(baseName, format) {
+  const exporter = EXPORTERS[format];
+  return path.resolve(process.cwd(), "output", exporter.name, baseName + exporter.extension);
+}
+
+/**
+ * Renders questions in the given format and writes them to
+ * `output/<format>/<baseName><extension>`.
+ * @param {Array<object>} questions - Question records.
+ * @param {string} baseName - Output file name without extension; also the default title.
+ * @param {string} format - One of `FORMATS`.
+ * @param {object} [options] - Extra context passed to the exporter (e.g. `deckRoot`,
+ *   `language`, `sideBySide`).
+ * @returns {Promise<string>} The written file path.
+ */
+export async function exportQuestions(questions, baseName, format, options = {}) {
+  const exporter = getExporter(format);
+  const unique = dropRepeatedIds(questions, baseName);
+  return writeOutput(baseName, format, context => exporter.render(localizeQuestions(unique, baseName, options), context), options);
+}
+
+/**
+ * Writes several exams to one file `output/<format>/<baseName><extension>`.
+ * Repeated noteIds are dropped within each exam, as in a per-exam export;
+ * noteIds restart for every exam, so they are not compared across exams.
+ * Exporters with `renderExams` then get the exams as they are (apkg: one
+ * subdeck each, with the same GUIDs as the per-exam packages); the others get
+ * one list renumbered like a dedupe bank (noteId from 1000, SL from 1), each
+ * record keeping its original ids in `Source`.
+ * @param {Array<{baseName: string, questions: Array<object>}>} exams
+ * @param {string} baseName - Output file name without extension; also the default title.
+ * @param {string} format - One of `FORMATS`.
+ * @param {object} [options] - As for `exportQuestions`.
+ * @returns {Promise<string>} The written file path.
+ */
+export async function exportMerged(exams, baseName, format, options = {}) {
+  const exporter = getExporter(format);
+  const unique = exams.map(exam => ({ ...exam, questions: dropRepeatedIds(exam.questions, exam.baseName) }));
+  if (exporter.renderExams) {
+    const localized = unique.map(exam => ({ ...exam, questions: localizeQuestions(exam.questions, exam.baseName, options) }));
+    return writeOutput(baseName, format, context => exporter.renderExams(localized, context), options);
+  }
+  const questions = unique
+    .flatMap(exam => exam.questions.map(record => ({ ...record, Source: { file: exam.baseName, noteId: record.noteId, SL: record.SL } })))
+    .map((record, i) => ({ ...record, noteId: 1000 + i, SL: i + 1 }));
+  return exportQuestions(questions, baseName, format, options);
+}
+
+function getExporter(format) {
+  const exporter = EXPORTERS[format];
+  if (!exporter) throw new Error(`Unknown format "${format}". Available: ${FORMATS.join(", ")}`);
+  return exporter;
+}
+
+// Two records with one noteId would collide in the output (same item file,
+// idnumber or Anki note), so the later copy wins, in the first one's place.
+function dropRepeatedIds(questions, baseName) {
+  const byId = new Map(questions.map(record => [record.noteId, record]));
+  if (byId.size < questions.length) consoleLog.warn(`${baseName}: dropped ${questions.length - byId.size} question(s) with a repeated noteId.`);
+  return byId.size < questions.length ? [...byId.values()] : questions;
+}
+
+function localizeQuestions(questions, baseName, options) {
+  if (!options.language && !options.sideBySide) return questions;
+  const primary = questions.find(record => record.Languages)?.Languages[0];
+  const localized = questions.map(record => localizeRecord(record, { ...options, primary }));
+  const missing = localized.filter(item => !item.translated).length;
+  if (missing > 0) consoleLog.warn(`${baseName}: ${missing} of ${questions.length} question(s) have no "${options.language}" version; exported in their primary language.`);
+  return localized.map(item => item.record);
+}
+
+async function writeOutput(baseName, format, render, options) {
+  const outFile = getOutputPath(baseName, format);
+  const outDir = path.dirname(outFile);
+  const output = await render({
+    title: baseName,
+    baseName,
+    outDir,
+    mediaDir: path.resolve(process.cwd(), "output", "media"),
+    log: consoleLog,
+    ...options,
+  });
+
+  fs.mkdirSync(outDir, { recursive: true });
+  fs.writeFileSync(outFile, output, typeof output === "string" ? "utf-8" : undefined);
+  return outFile;
+}
+
+/**
+ * Exports one question JSON file in the given format.
+ * @param {string} inputPath - Absolute path to the JSON file.
+ * @param {string} format - One of `FORMATS`.
+ * @param {object} [options] - Extra context passed to the exporter (e.g. `deckRoot`).
+ * @returns {Promise<{outFile: string, count: number}>}
+ */
+export async function exportFile(inputPath, format, options = {}) {
+  const questions = readQuestions(inputPath);
+  const baseName = path.basename(inputPath, path.extname(inputPath));
+  const outFile = await exportQuestions(questions, baseName, format, options);
+  return { outFile, count: questions.length };
+}
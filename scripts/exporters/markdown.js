@@ -0,0 +1,28 @@
+// One Markdown file per exam. Question HTML is kept inline and LaTeX stays as \( \).
+import path from "path";
+import { toItem, rewriteImages, isMirroredImage, OPTION_LETTERS } from "./record.js";
+
+export const markdownExporter = {
+  name: "markdown",
+  extension: ".md",
+  render: (questions, { title, mediaDir, outDir }) => {
+    // Mirrored images are referenced relative to the Markdown file.
+    const relMedia = path.relative(outDir, mediaDir).split(path.sep).join("/");
+    const localize = (html) => rewriteImages(html, src => (isMirroredImage(src, mediaDir) ? `${relMedia}/${src}` : src));
+
+    const blocks = questions.map(record => {
+      const item = toItem(record);
+      const lines = [`## Q${item.sl}`, "", localize(item.question), ""];
+      item.options.forEach((opt, i) => {
+        lines.push(`- [${i === item.answerIndex ? "x" : " "}] **${OPTION_LETTERS[i]}.** ${localize(opt.html)}`);
+      });
+      lines.push("", `**Answer:** ${item.answerIndex === -1 ? "unknown" : OPTION_LETTERS[item.answerIndex]}`);
+      if (item.solution) lines.push("", "<details><summary>Solution</summary>", "", localize(item.solution), "", "</details>");
+      if (item.tags.length > 0) lines.push("", `Tags: ${item.tags.map(tag => `\`${tag}\``).join(" ")}`);
+      if (record.Source) lines.push("", `Source: ${record.Source.file} Q${record.Source.SL} (noteId ${record.Source.noteId})`);
+      return lines.join("\n");
+    });
+
+    return `# ${title}\n\n${blocks.join("\n\n---\n\n")}\n`;
+  },
+};
@@ -0,0 +1,62 @@
+// Moodle XML quiz: one category named after the exam, one multichoice question per record.
+// Mirrored images are embedded as base64 <file> elements and referenced via @@PLUGINFILE@@.
+import fs from "fs";
+import path from "path";
+import { toItem, rewriteImages, isMirroredImage, escapeXml } from "./record.js";
+
+// "]]>" cannot appear inside CDATA, so split it across two sections.
+const cdata = (html) => `<![CDATA[${String(html).replace(/]]>/g, "]]]]><![CDATA[>")}]]>`;
+
+function htmlElement(tag, html, mediaDir, extraAttrs = "") {
+  const files = new Set();
+  const rewritten = rewriteImages(html, src => {
+    if (!isMirroredImage(src, mediaDir)) return src;
+    files.add(src);
+    return `@@PLUGINFILE@@/${src}`;
+  });
+  const fileXml = [...files].map(name =>
+    `<file name="${escapeXml(name)}" path="/" encoding="base64">${fs.readFileSync(path.join(mediaDir, name)).toString("base64")}</file>`
+  ).join("");
+  return `<${tag}${extraAttrs} format="html"><text>${cdata(rewritten)}</text>${fileXml}</${tag}>`;
+}
+
+export const moodleExporter = {
+  name: "moodle",
+  extension: ".xml",
+  render: (questions, { title, mediaDir }) => {
+    const items = questions.map(record => {
+      const item = toItem(record);
+      const answers = item.options.map((opt, i) =>
+        `    ${htmlElement("answer", opt.html, mediaDir, ` fraction="${i === item.answerIndex ? 100 : 0}"`)}`
+      );
+      const tags = item.tags.map(tag => `<tag><text>${escapeXml(tag)}</text></tag>`).join("");
+      return [
+        `  <question type="multichoice">`,
+        `    <name><text>${escapeXml(`${title} Q${item.sl}`)}</text></name>`,
+        `    ${htmlElement("questiontext", item.question, mediaDir)}`,
+        `    ${htmlElement("generalfeedback", item.solution, mediaDir)}`,
+        `    <defaultgrade>1</defaultgrade>`,
+        `    <penalty>0.3333333</penalty>`,
+        `    <hidden>0</hidden>`,
+        `    <idnumber>${escapeXml(item.id)}</idnumber>`,
+        `    <single>true</single>`,
+        `    <shuffleanswers>false</shuffleanswers>`,
+        `    <answernumbering>ABCD</answernumbering>`,
+        ...answers,
+        `    <tags>${tags}</tags>`,
+        `  </question>`,
+      ].join("\n");
+    });
+
+    return [
+      `<?xml version="1.0" encoding="UTF-8"?>`,
+      `<quiz>`,
+      `  <question type="category">`,
+      `    <category><text>${escapeXml(`$course$/top/Testbook/${title}`)}</text></category>`,
+      `  </question>`,
+      ...items,
+      `</quiz>`,
+      "",
+    ].join("\n");
+  },
+};
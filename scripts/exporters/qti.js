@@ -0,0 +1,111 @@
+// IMS QTI 2.1 content package: one choiceInteraction item per record plus an
+// imsmanifest.xml, zipped. Mirrored images are packaged under media/.
+import fs from "fs";
+import path from "path";
+import AdmZip from "adm-zip";
+import * as cheerio from "cheerio";
+import { toItem, rewriteImages, isMirroredImage, escapeXml } from "./record.js";
+
+/**
+ * Serializes an HTML snippet as well-formed XHTML. <u> is not in the QTI
+ * XHTML subset, so it becomes a classed <span>; <img> requires an alt.
+ */
+function toXhtml(html) {
+  const $ = cheerio.load(html || "", null, false);
+  $("u").each((_, el) => { el.tagName = "span"; $(el).addClass("underline"); });
+  $("img:not([alt])").attr("alt", "");
+  return $.xml();
+}
+
+function buildItem(item, identifier, title) {
+  const choices = item.options.map((opt, i) =>
+    `      <simpleChoice identifier="choice${i + 1}">${toXhtml(opt.html)}</simpleChoice>`
+  );
+  const correct = item.answerIndex === -1 ? "" :
+    `<correctResponse><value>choice${item.answerIndex + 1}</value></correctResponse>`;
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<assessmentItem xmlns="http://www.imsglobal.org/xsd/imsqti_v2p1"`,
+    `    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"`,
+    `    xsi:schemaLocation="http://www.imsglobal.org/xsd/imsqti_v2p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd"`,
+    `    identifier="${identifier}" title="${escapeXml(title)}" adaptive="false" timeDependent="false">`,
+    `  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="identifier">${correct}</responseDeclaration>`,
+    `  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float"><defaultValue><value>0</value></defaultValue></outcomeDeclaration>`,
+    `  <outcomeDeclaration identifier="FEEDBACK" cardinality="single" baseType="identifier"/>`,
+    `  <itemBody>`,
+    `    <div>${toXhtml(item.question)}</div>`,
+    `    <choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="1">`,
+    ...choices,
+    `    </choiceInteraction>`,
+    `  </itemBody>`,
+    `  <responseProcessing>`,
+    `    <responseCondition>`,
+    `      <responseIf><match><variable identifier="RESPONSE"/><correct identifier="RESPONSE"/></match>`,
+    `        <setOutcomeValue identifier="SCORE"><baseValue baseType="float">1</baseValue></setOutcomeValue></responseIf>`,
+    `      <responseElse><setOutcomeValue identifier="SCORE"><baseValue baseType="float">0</baseValue></setOutcomeValue></responseElse>`,
+    `    </responseCondition>`,
+    `    <setOutcomeValue identifier="FEEDBACK"><baseValue baseType="identifier">SOLUTION</baseValue></setOutcomeValue>`,
+    `  </responseProcessing>`,
+    `  <modalFeedback outcomeIdentifier="FEEDBACK" identifier="SOLUTION" showHide="show"><div>${toXhtml(item.solution)}</div></modalFeedback>`,
+    `</assessmentItem>`,
+    "",
+  ].join("\n");
+}
+
+function buildManifest(resources, packageId) {
+  const resourceXml = resources.map(({ identifier, href, files }) => [
+    `    <resource identifier="${identifier}" type="imsqti_item_xmlv2p1" href="${href}">`,
+    `      <file href="${href}"/>`,
+    ...files.map(file => `      <file href="${escapeXml(file)}"/>`),
+    `    </resource>`,
+  ].join("\n"));
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1"`,
+    `    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"`,
+    `    xsi:schemaLocation="http://www.imsglobal.org/xsd/imscp_v1p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/qtiv2p1_imscpv1p2_v1p0.xsd"`,
+    `    identifier="${packageId}">`,
+    `  <metadata><schema>QTIv2.1 Package</schema><schemaversion>1.0.0</schemaversion></metadata>`,
+    `  <organizations/>`,
+    `  <resources>`,
+    ...resourceXml,
+    `  </resources>`,
+    `</manifest>`,
+    "",
+  ].join("\n");
+}
+
+export const qtiExporter = {
+  name: "qti",
+  extension: ".zip",
+  render: (questions, { title, baseName, mediaDir }) => {
+    const zip = new AdmZip();
+    const packaged = new Set();
+    const resources = questions.map(record => {
+      const item = toItem(record);
+      const identifier = `item-${item.id}`;
+      const files = new Set();
+      const localize = (html) => rewriteImages(html, src => {
+        if (!isMirroredImage(src, mediaDir)) return src;
+        files.add(`media/${src}`);
+        if (!packaged.has(src)) {
+          zip.addFile(`media/${src}`, fs.readFileSync(path.join(mediaDir, src)));
+          packaged.add(src);
+        }
+        return `../media/${src}`;
+      });
+      const localized = {
+        ...item,
+        question: localize(item.question),
+        solution: localize(item.solution),
+        options: item.options.map(opt => ({ ...opt, html: localize(opt.html) })),
+      };
+      const href = `items/${identifier}.xml`;
+      zip.addFile(href, Buffer.from(buildItem(localized, identifier, `${title} Q${item.sl}`)));
+      return { identifier, href, files: [...files] };
+    });
+    const packageId = `MANIFEST-${baseName.replace(/[^A-Za-z0-9_.-]/g, "_")}`;
+    zip.addFile("imsmanifest.xml", Buffer.from(buildManifest(resources, packageId)));
+    return zip.toBuffer();
+  },
+};
@@ -0,0 +1,94 @@
+import fs from "fs";
+import path from "path";
+import * as cheerio from "cheerio";
+
+export const OPTION_KEYS = ["OP1", "OP2", "OP3", "OP4"];
+export const OPTION_LETTERS = ["A", "B", "C", "D"];
+// Fields a bilingual scrape (`--languages en,hi`) repeats as `<field>_<code>`.
+export const LANGUAGE_FIELDS = ["Question", ...OPTION_KEYS, "Solution"];
+
+/**
+ * Maps a scraped/tagged question record onto the shape every exporter works from.
+ * @param {object} record - A record from `output/scraped` or `output/tagged`.
+ * @returns {{id: number, sl: number, question: string, options: Array<{key: string, html: string}>,
+ *   answerIndex: number, solution: string, tags: Array<string>}}
+ *   `options` skips empty slots; `answerIndex` is 0-based within `options`, or -1 if unknown.
+ */
+export function toItem(record) {
+  const options = OPTION_KEYS
+    .map(key => ({ key, html: record[key] }))
+    .filter(opt => opt.html !== null && opt.html !== undefined && opt.html !== "");
+  const answerKey = OPTION_KEYS[Number(record.Answer) - 1];
+  return {
+    id: record.noteId,
+    sl: record.SL,
+    question: record.Question || "",
+    options,
+    answerIndex: options.findIndex(opt => opt.key === answerKey),
+    solution: record.Solution || "",
+    tags: record.Tags || [],
+  };
+}
+
+/**
+ * Picks the language a record is exported in. `language` swaps the
+ * `<field>_<code>` fields into the plain ones (records without that
+ * translation keep their primary text); `sideBySide` puts every captured
+ * language on the same card, `language` (or the primary one) first.
+ * @param {object} record - A question record.
+ * @param {object} options
+ * @param {string} [options.language] - Language code, e.g. `hi`.
+ * @param {boolean} [options.sideBySide]
+ * @param {string} [options.primary] - Primary language of the file, for its
+ *   questions that had no translation (and so carry no `Languages`).
+ * @returns {{record: object, translated: boolean}} The record to export, and
+ *   whether the requested language was found in it.
+ */
+export function localizeRecord(record, { language, sideBySide = false, primary: filePrimary }) {
+  const captured = record.Languages || (filePrimary ? [filePrimary] : null);
+  // Records of a single-language scrape are exported as they are.
+  if (!captured) return { record, translated: true };
+  const [primary] = captured;
+  const fieldsOf = (code) => Object.fromEntries(LANGUAGE_FIELDS.map(field => [
+    field, code === primary ? record[field] : record[`${field}_${code}`] ?? record[field],
+  ]));
+  const translated = !language || captured.includes(language);
+  const first = translated && language ? language : primary;
+  if (!sideBySide || captured.length < 2) return { record: first === primary ? record : { ...record, ...fieldsOf(first) }, translated };
+
+  const versions = [first, ...captured.filter(code => code !== first)].map(fieldsOf);
+  const combined = Object.fromEntries(LANGUAGE_FIELDS.map(field => {
+    const values = versions.map(version => version[field] || "");
+    if (values.every(value => !value)) return [field, record[field]];
+    // Question and solution in columns; options are short enough to stack.
+    return [field, OPTION_KEYS.includes(field)
+      ? values.join("<br>")
+      : `<table class="bilingual"><tr>${values.map(value => `<td>${value}</td>`).join("")}</tr></table>`];
+  }));
+  return { record: { ...record, ...combined }, translated };
+}
+
+/**
+ * Rewrites every `<img src>` in an HTML snippet.
+ * @param {string} html - The HTML snippet.
+ * @param {(src: string) => string} mapSrc - Returns the new `src`.
+ * @returns {string}
+ */
+export function rewriteImages(html, mapSrc) {
+  if (!html || !html.includes("<img")) return html;
+  const $ = cheerio.load(html, { decodeEntities: false }, false);
+  $("img[src]").each((_, el) => { $(el).attr("src", mapSrc($(el).attr("src"))); });
+  return $.html();
+}
+
+/**
+ * Returns true when `src` is a file the scraper mirrored into `mediaDir`
+ * (see `--mirror-media`), i.e. a bare file name that exists there.
+ */
+export function isMirroredImage(src, mediaDir) {
+  return src === path.basename(src) && fs.existsSync(path.join(mediaDir, src));
+}
+
+/** Escapes text for use in XML element content or attribute values. */
+export const escapeXml = (text) => String(text)
+  .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
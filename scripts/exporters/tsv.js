@@ -0,0 +1,26 @@
+// Anki-importable TSV: metadata header lines, then one tab-separated row per question.
+
+// Metadata lines
+const META = [
+  "#separator:tab",
+  "#html:true",
+  "#tags column:10"
+].join("\n");
+
+// Desired column order
+const COLUMNS = ["SL","Question","OP1","OP2","OP3","OP4","Answer","Solution","_blank","Tags"];
+
+export const tsvExporter = {
+  name: "tsv",
+  extension: ".tsv",
+  render: (questions) => {
+    const rows = questions.map(obj => {
+      return COLUMNS.map(col => {
+        if (col === "_blank") return ""; // blank field
+        if (col === "Tags") return (obj.Tags || []).join(" "); // space-separated tags
+        return String(obj[col] ?? "").replace(/\t/g, " "); // escape tabs
+      }).join("\t");
+    });
+    return META + "\n" + rows.join("\n");
+  },
+};
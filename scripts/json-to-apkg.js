@@ -0,0 +1,22 @@
+#!/usr/bin/env node
+import path from "path";
+import { program } from "commander";
+import { exportFile } from "./exporters/index.js";
+
+program
+  .requiredOption("--json-path <path>", "Path to JSON file")
+  .option("--deck <name>", "Parent deck for the exam subdecks", "Testbook");
+
+program.parse(process.argv);
+const options = program.opts();
+
+// Resolve input JSON path relative to CWD
+const inputPath = path.resolve(process.cwd(), options.jsonPath);
+
+try {
+  const { outFile } = await exportFile(inputPath, "apkg", { deckRoot: options.deck });
+  console.log(`✅ APKG saved to ${outFile}`);
+} catch (err) {
+  console.error("Error building package:", err.message);
+  process.exit(1);
+}
@@ -1,60 +1,43 @@
 #!/usr/bin/env node
-import fs from "fs";
 import path from "path";
 import { program } from "commander";
+import { exportFile } from "./exporters/index.js";
+import { exportAll, printSummary } from "./exporters/batch.js";
 
 program
-  .requiredOption("--json-path <path>", "Path to JSON file");
+  .option("--json-path <path>", "Path to JSON file")
+  .option("--all", "Convert every file in output/scraped and output/tagged (tagged wins)")
+  .option("--merge [name]", "With --all, also write one combined deck file. Repeated noteIds are dropped per exam file (noteIds restart for every exam) and SL is renumbered across exams", false)
+  .option("--force", "With --all, re-convert files whose TSV is newer than the JSON");
 
 program.parse(process.argv);
 const options = program.opts();
 
+if (options.all) {
+  const rows = await exportAll("tsv", {
+    force: options.force,
+    merge: options.merge === true ? "combined" : options.merge || undefined,
+  });
+  if (rows.length === 0) {
+    console.log("⚠️ No JSON files found in output/scraped or output/tagged.");
+    process.exit(0);
+  }
+  printSummary(rows);
+  process.exit(rows.some(row => row.status.startsWith("error")) ? 1 : 0);
+}
+
+if (!options.jsonPath) {
+  console.error("Either --json-path <path> or --all is required.");
+  process.exit(1);
+}
+
 // Resolve input JSON path relative to CWD
 const inputPath = path.resolve(process.cwd(), options.jsonPath);
 
-// Read JSON file
-let jsonArray;
 try {
-  const fileContent = fs.readFileSync(inputPath, "utf-8");
-  jsonArray = JSON.parse(fileContent);
-  if (!Array.isArray(jsonArray)) {
-    throw new Error("JSON root must be an array");
-  }
+  const { outFile } = await exportFile(inputPath, "tsv");
+  console.log(`✅ TSV saved to ${outFile}`);
 } catch (err) {
   console.error("Error reading/parsing JSON:", err.message);
   process.exit(1);
 }
-
-// Metadata lines
-const meta = [
-  "#separator:tab",
-  "#html:true",
-  "#tags column:10"
-].join("\n");
-
-// Desired column order
-const columns = ["SL","Question","OP1","OP2","OP3","OP4","Answer","Solution","_blank","Tags"];
-
-// Build rows
-const rows = jsonArray.map(obj => {
-  return columns.map(col => {
-    if (col === "_blank") return ""; // blank field
-    if (col === "Tags") return (obj.Tags || []).join(" "); // space-separated tags
-    return String(obj[col] ?? "").replace(/\t/g, " "); // escape tabs
-  }).join("\t");
-});
-
-// Final TSV
-const tsvOutput = meta + "\n" + rows.join("\n");
-
-// Ensure output/tsv folder exists
-const outDir = path.resolve(process.cwd(), "output", "tsv");
-fs.mkdirSync(outDir, { recursive: true });
-
-// Output file name same as input but with .tsv
-const baseName = path.basename(inputPath, path.extname(inputPath));
-const outFile = path.join(outDir, baseName + ".tsv");
-
-// Write TSV
-fs.writeFileSync(outFile, tsvOutput, "utf-8");
-console.log(`✅ TSV saved to ${outFile}`);
@@ -0,0 +1,226 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import AdmZip from "adm-zip";
+import initSqlJs from "sql.js";
+import * as cheerio from "cheerio";
+
+// Fixed so every export targets the same note type and re-imports update it
+// in place instead of creating "Testbook MCQ+" copies.
+export const MODEL_ID = 1712345678901;
+export const MODEL_NAME = "Testbook MCQ";
+export const FIELDS = ["Question", "OP1", "OP2", "OP3", "OP4", "Answer", "Solution"];
+
+const FRONT_TEMPLATE = `<div class="question">{{Question}}</div>
+<ol class="options">
+  {{#OP1}}<li id="op1">{{OP1}}</li>{{/OP1}}
+  {{#OP2}}<li id="op2">{{OP2}}</li>{{/OP2}}
+  {{#OP3}}<li id="op3">{{OP3}}</li>{{/OP3}}
+  {{#OP4}}<li id="op4">{{OP4}}</li>{{/OP4}}
+</ol>`;
+
+const BACK_TEMPLATE = `{{FrontSide}}
+<hr id="answer">
+<div id="answer-index" hidden>{{Answer}}</div>
+<div class="solution">{{Solution}}</div>
+<script>
+  (function () {
+    var n = parseInt(document.getElementById("answer-index").textContent, 10);
+    var option = document.getElementById("op" + n);
+    if (option) option.classList.add("correct");
+  })();
+</script>`;
+
+const CSS = `.card { font-family: Arial, sans-serif; font-size: 18px; text-align: left; color: black; background-color: white; }
+.options { list-style-type: upper-alpha; }
+.options li { padding: 4px 8px; margin: 4px 0; border-radius: 4px; }
+.options li.correct { background-color: #c8f7c5; font-weight: bold; }
+.solution { margin-top: 12px; }
+table { border-collapse: collapse; }
+td, th { border: 1px solid #999; padding: 4px; }
+img { max-width: 100%; }`;
+
+const DECK_CONFIG = {
+  id: 1, name: "Default", replayq: true, timer: 0, maxTaken: 60, usn: 0, mod: 0, autoplay: true, dyn: false,
+  lapse: { delays: [10], mult: 0, minInt: 1, leechFails: 8, leechAction: 0 },
+  rev: { perDay: 200, ease4: 1.3, fuzz: 0.05, minSpace: 1, ivlFct: 1, maxIvl: 36500, bury: false, hardFactor: 1.2 },
+  new: { delays: [1, 10], ints: [1, 4, 7], initialFactor: 2500, separate: true, order: 1, perDay: 20, bury: false },
+};
+
+const SCHEMA = `
+CREATE TABLE col (id integer primary key, crt integer not null, mod integer not null, scm integer not null, ver integer not null, dty integer not null, usn integer not null, ls integer not null, conf text not null, models text not null, decks text not null, dconf text not null, tags text not null);
+CREATE TABLE notes (id integer primary key, guid text not null, mid integer not null, mod integer not null, usn integer not null, tags text not null, flds text not null, sfld integer not null, csum integer not null, flags integer not null, data text not null);
+CREATE TABLE cards (id integer primary key, nid integer not null, did integer not null, ord integer not null, mod integer not null, usn integer not null, type integer not null, queue integer not null, due integer not null, ivl integer not null, factor integer not null, reps integer not null, lapses integer not null, left integer not null, odue integer not null, odid integer not null, flags integer not null, data text not null);
+CREATE TABLE revlog (id integer primary key, cid integer not null, usn integer not null, ease integer not null, ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null, type integer not null);
+CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null);
+CREATE INDEX ix_notes_usn on notes (usn);
+CREATE INDEX ix_cards_usn on cards (usn);
+CREATE INDEX ix_revlog_usn on revlog (usn);
+CREATE INDEX ix_cards_nid on cards (nid);
+CREATE INDEX ix_cards_sched on cards (did, queue, due);
+CREATE INDEX ix_revlog_cid on revlog (cid);
+CREATE INDEX ix_notes_csum on notes (csum);
+`;
+
+const sha1 = (value) => crypto.createHash("sha1").update(value).digest("hex");
+
+// Anki ids are millisecond-style integers; 12 hex digits stay well inside Number.MAX_SAFE_INTEGER.
+const stableId = (value) => parseInt(sha1(value).slice(0, 12), 16);
+
+/**
+ * Returns a GUID that only depends on the exam key and noteId, so re-importing
+ * the same exam updates its notes instead of duplicating them.
+ */
+export const noteGuid = (examKey, noteId) => Buffer.from(sha1(`${examKey}::${noteId}`), "hex").toString("base64").slice(0, 10);
+
+const stripHtml = (html) => cheerio.load(html || "", null, false).text();
+
+const fieldChecksum = (value) => parseInt(sha1(stripHtml(value)).slice(0, 8), 16);
+
+function buildModel(deckId, now) {
+  return {
+    id: MODEL_ID, name: MODEL_NAME, type: 0, mod: Math.floor(now / 1000), usn: -1, sortf: 0, did: deckId,
+    tmpls: [{ name: "Card 1", ord: 0, qfmt: FRONT_TEMPLATE, afmt: BACK_TEMPLATE, did: null, bqfmt: "", bafmt: "" }],
+    flds: FIELDS.map((name, ord) => ({ name, ord, sticky: false, rtl: false, font: "Arial", size: 20, media: [] })),
+    css: CSS,
+    latexPre: "\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n",
+    latexPost: "\\end{document}",
+    latexsvg: false,
+    req: [[0, "any", [0]]],
+    tags: [], vers: [],
+  };
+}
+
+function buildDeck(id, name, now) {
+  return {
+    id, name, desc: "", mod: Math.floor(now / 1000), usn: -1, conf: 1, dyn: 0, collapsed: false, browserCollapsed: false,
+    extendNew: 0, extendRev: 0, lrnToday: [0, 0], revToday: [0, 0], newToday: [0, 0], timeToday: [0, 0],
+  };
+}
+
+function guessExtension(url, contentType) {
+  const fromType = (contentType || "").split(";")[0].trim().split("/")[1];
+  if (fromType) return fromType === "jpeg" ? "jpg" : fromType.replace("svg+xml", "svg");
+  const fromUrl = path.extname(new URL(url).pathname).slice(1).toLowerCase();
+  return fromUrl || "bin";
+}
+
+/**
+ * Downloads every remote <img> in the given HTML fields and rewrites their
+ * `src` to a content-addressed file name inside the package media. Images the
+ * scraper already mirrored (bare file names) are copied from `mediaDir`.
+ * @returns {Promise<{fields: Array<string>, failed: Array<string>}>}
+ */
+async function embedImages(fields, media, fetchImpl, mediaDir) {
+  const failed = [];
+  const rewritten = [];
+  for (const html of fields) {
+    if (!html || !html.includes("<img")) { rewritten.push(html); continue; }
+    const $ = cheerio.load(html, { decodeEntities: false }, false);
+    for (const el of $("img").toArray()) {
+      const src = $(el).attr("src") || "";
+      if (!/^https?:\/\//i.test(src)) {
+        const localPath = path.join(mediaDir, path.basename(src));
+        if (!media.files.has(src) && src === path.basename(src) && fs.existsSync(localPath)) {
+          media.files.set(src, fs.readFileSync(localPath));
+        } else if (!media.files.has(src)) failed.push(src);
+        continue;
+      }
+      if (!media.byUrl.has(src)) {
+        media.byUrl.set(src, (async () => {
+          const response = await fetchImpl(src);
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          const data = Buffer.from(await response.arrayBuffer());
+          const fileName = `tb-${sha1(data).slice(0, 16)}.${guessExtension(src, response.headers.get("content-type"))}`;
+          media.files.set(fileName, data);
+          return fileName;
+        })());
+      }
+      try {
+        $(el).attr("src", await media.byUrl.get(src));
+      } catch {
+        failed.push(src);
+      }
+    }
+    rewritten.push($.html());
+  }
+  return { fields: rewritten, failed };
+}
+
+/**
+ * Builds an Anki package (.apkg) with the "Testbook MCQ" note type.
+ * @param {Array<{deckName: string, examKey: string, questions: Array<object>}>} exams -
+ *   One entry per exam. `examKey` (see getExamKey in linkRules.js, e.g.
+ *   `CGL::Mains::001::SSC CGL - Mock 1`) scopes the note GUIDs.
+ * @param {object} [options]
+ * @param {Function} [options.fetchImpl=fetch] - Used to download images.
+ * @param {string} [options.mediaDir="output/media"] - Where the scraper mirrored images to.
+ * @returns {Promise<{buffer: Buffer, noteCount: number, mediaCount: number, failedMedia: Array<string>}>}
+ */
+export async function buildApkg(exams, { fetchImpl = fetch, mediaDir = path.resolve("output", "media") } = {}) {
+  const SQL = await initSqlJs();
+  const db = new SQL.Database();
+  db.run(SCHEMA);
+
+  const now = Date.now();
+  const decks = { 1: buildDeck(1, "Default", now) };
+  const media = { byUrl: new Map(), files: new Map() };
+  const failedMedia = [];
+
+  const insertNote = db.prepare("INSERT INTO notes VALUES (?, ?, ?, ?, -1, ?, ?, ?, ?, 0, '')");
+  const insertCard = db.prepare("INSERT INTO cards VALUES (?, ?, ?, 0, ?, -1, 0, 0, ?, 0, 0, 0, 0, 0, 0, 0, 0, '')");
+  const modSeconds = Math.floor(now / 1000);
+  let due = 1;
+  let firstDeckId = 1;
+
+  for (const { deckName, examKey, questions } of exams) {
+    const deckId = stableId(`deck::${deckName}`);
+    decks[deckId] = buildDeck(deckId, deckName, now);
+    if (firstDeckId === 1) firstDeckId = deckId;
+
+    for (const q of questions) {
+      const raw = FIELDS.map(name => (q[name] === null || q[name] === undefined ? "" : String(q[name])));
+      const { fields, failed } = await embedImages(raw, media, fetchImpl, mediaDir);
+      failedMedia.push(...failed);
+
+      const guid = noteGuid(examKey, q.noteId);
+      const noteId = stableId(`note::${guid}`);
+      const tags = (q.Tags || []).map(tag => String(tag).replace(/\s+/g, "_"));
+      insertNote.run([noteId, guid, MODEL_ID, modSeconds, tags.length ? ` ${tags.join(" ")} ` : "",
+        fields.join("\x1f"), stripHtml(fields[0]), fieldChecksum(fields[0])]);
+      insertCard.run([stableId(`card::${guid}`), noteId, deckId, modSeconds, due++]);
+    }
+  }
+  insertNote.free();
+  insertCard.free();
+
+  const conf = {
+    activeDecks: [1], curDeck: 1, newSpread: 0, collapseTime: 1200, timeLim: 0, estTimes: true, dueCounts: true,
+    curModel: MODEL_ID, nextPos: due, sortType: "noteFld", sortBackwards: false, addToCur: true,
+  };
+  db.run("INSERT INTO col VALUES (1, ?, ?, ?, 11, 0, 0, 0, ?, ?, ?, ?, '{}')", [
+    Math.floor(new Date(now).setHours(0, 0, 0, 0) / 1000), now, now,
+    JSON.stringify(conf),
+    JSON.stringify({ [MODEL_ID]: buildModel(firstDeckId, now) }),
+    JSON.stringify(decks),
+    JSON.stringify({ 1: DECK_CONFIG }),
+  ]);
+
+  const zip = new AdmZip();
+  zip.addFile("collection.anki2", Buffer.from(db.export()));
+  db.close();
+
+  const mediaMap = {};
+  [...media.files].forEach(([fileName, data], index) => {
+    mediaMap[index] = fileName;
+    zip.addFile(String(index), data);
+  });
+  zip.addFile("media", Buffer.from(JSON.stringify(mediaMap)));
+
+  return {
+    buffer: zip.toBuffer(),
+    noteCount: due - 1,
+    mediaCount: media.files.size,
+    failedMedia: [...new Set(failedMedia)],
+  };
+}
@@ -0,0 +1,150 @@
+// src/workflows/dedupe/dedupe.js
+
+import { program } from 'commander';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { findDuplicates, rankCanonical } from './utils/findDuplicates.js';
+import { getExamKey } from '../links/utils/linkRules.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PROJECT_ROOT = path.resolve(__dirname, '..', '..', '..');
+const SCRAPED_DIR = path.join(PROJECT_ROOT, 'output', 'scraped');
+const TAGGED_DIR = path.join(PROJECT_ROOT, 'output', 'tagged');
+const DEFAULT_REPORT_PATH = path.join(PROJECT_ROOT, 'output', 'reports', 'duplicates.json');
+const DEFAULT_MERGED_PATH = path.join(PROJECT_ROOT, 'output', 'merged', 'bank.json');
+
+// --------------------- Logging ---------------------
+const log = {
+  action: (msg) => console.log(`[*] ${msg}`),
+  info: (msg) => console.log(`[i] ${msg}`),
+  success: (msg) => console.log(`[✓] ${msg}`),
+  warn: (msg) => console.log(`[?] ${msg}`),
+  error: (msg) => console.error(`[x] ${msg}`),
+};
+
+/**
+ * Loads every question from output/scraped and output/tagged. When an exam is
+ * in both, the tagged copy is used.
+ * @returns {Array<{record: object, source: {file: string, examKey: string}}>}
+ */
+function loadEntries() {
+  const files = new Map();
+  for (const dir of [SCRAPED_DIR, TAGGED_DIR]) {
+    if (!fs.existsSync(dir)) continue;
+    fs.readdirSync(dir).filter(f => f.endsWith('.json')).forEach(f => files.set(f, path.join(dir, f)));
+  }
+
+  const entries = [];
+  for (const [file, filePath] of [...files].sort(([a], [b]) => a.localeCompare(b, undefined, { numeric: true }))) {
+    let records;
+    try {
+      records = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    } catch (err) {
+      log.warn(`Skipping unreadable file ${file}: ${err.message}`);
+      continue;
+    }
+    const examKey = getExamKey(records, path.basename(file, '.json'));
+    records.forEach(record => entries.push({ record, source: { file: path.relative(PROJECT_ROOT, filePath), examKey } }));
+  }
+  return entries;
+}
+
+/**
+ * Builds the merged bank: one canonical record per cluster (plus every
+ * question that has no duplicate), carrying the union of all members' tags,
+ * which includes every source SL code. Members of a conflicting cluster
+ * (different answers) are all kept, as picking one would hide the conflict.
+ * Records are renumbered so the bank is a valid exam file for the exporters;
+ * `Sources` records where each came from.
+ */
+function buildMergedBank(entries, clusters) {
+  const clusterOf = new Map();
+  clusters.filter(cluster => !cluster.conflict).forEach(cluster => cluster.members.forEach(i => clusterOf.set(i, cluster)));
+
+  const bank = [];
+  entries.forEach((entry, i) => {
+    const cluster = clusterOf.get(i);
+    if (cluster && cluster.canonical !== i) return;
+    const members = cluster ? cluster.ranked : [i];
+    const tags = new Set(members.flatMap(m => entries[m].record.Tags || []));
+    bank.push({
+      ...entry.record,
+      noteId: 1000 + bank.length,
+      SL: bank.length + 1,
+      Tags: [...tags],
+      Sources: members.map(m => ({ ...entries[m].source, noteId: entries[m].record.noteId, SL: entries[m].record.SL })),
+    });
+  });
+  return bank;
+}
+
+// --------------------- Main Function ---------------------
+async function main() {
+  program
+    .option('--threshold <number>', 'Minimum question-text similarity (0-1) for near-duplicates', '0.7')
+    .option('--report <path>', 'Where to write the clusters report', DEFAULT_REPORT_PATH)
+    .option('--write-merged [path]', `Also write a merged bank (default: ${path.relative(PROJECT_ROOT, DEFAULT_MERGED_PATH)})`)
+    .parse(process.argv);
+
+  const options = program.opts();
+  const threshold = parseFloat(options.threshold);
+  if (!(threshold > 0 && threshold <= 1)) { log.error('--threshold must be between 0 and 1.'); process.exit(1); }
+
+  const entries = loadEntries();
+  if (entries.length === 0) { log.warn('No questions found in output/scraped or output/tagged.'); return; }
+  log.action(`Fingerprinting ${entries.length} question(s)...`);
+
+  const clusters = await findDuplicates(entries, {
+    threshold,
+    onProgress: (done, total) => log.info(`${done}/${total}`),
+  });
+  clusters.forEach(cluster => {
+    cluster.ranked = rankCanonical(cluster.members, entries);
+    cluster.canonical = cluster.ranked[0];
+  });
+
+  const conflicts = clusters.filter(c => c.conflict);
+  const duplicates = clusters.filter(c => !c.conflict).reduce((sum, c) => sum + c.members.length - 1, 0);
+  const report = {
+    generatedAt: new Date().toISOString(),
+    threshold,
+    totalQuestions: entries.length,
+    clusterCount: clusters.length,
+    duplicateCount: duplicates,
+    conflictCount: conflicts.length,
+    clusters: clusters.map((cluster, id) => ({
+      id: id + 1,
+      type: cluster.type,
+      similarity: cluster.similarity,
+      conflict: cluster.conflict,
+      members: cluster.ranked.map(i => ({
+        ...entries[i].source,
+        noteId: entries[i].record.noteId,
+        SL: entries[i].record.SL,
+        Answer: entries[i].record.Answer,
+        canonical: !cluster.conflict && i === cluster.canonical,
+        preview: (entries[i].record.Question || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim().slice(0, 100),
+      })),
+    })),
+  };
+  fs.mkdirSync(path.dirname(options.report), { recursive: true });
+  fs.writeFileSync(options.report, JSON.stringify(report, null, 2));
+
+  const exact = clusters.filter(c => c.type === 'exact').length;
+  log.success(`${clusters.length} cluster(s) (${exact} exact, ${clusters.length - exact} near), ${duplicates} redundant question(s).`);
+  if (conflicts.length > 0) {
+    log.warn(`${conflicts.length} cluster(s) mark different answers; they are kept unmerged (see "conflict": true in the report).`);
+  }
+  log.success(`Report saved to ${options.report}`);
+
+  if (options.writeMerged) {
+    const mergedPath = options.writeMerged === true ? DEFAULT_MERGED_PATH : path.resolve(process.cwd(), options.writeMerged);
+    const bank = buildMergedBank(entries, clusters);
+    fs.mkdirSync(path.dirname(mergedPath), { recursive: true });
+    fs.writeFileSync(mergedPath, JSON.stringify(bank, null, 2));
+    log.success(`Merged bank of ${bank.length} question(s) saved to ${mergedPath}`);
+  }
+}
+
+main();
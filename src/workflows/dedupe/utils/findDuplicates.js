@@ -0,0 +1,81 @@
+// src/workflows/dedupe/utils/findDuplicates.js
+
+import { fingerprint } from './fingerprint.js';
+import { jaccard, minHash, candidatePairs, createUnionFind } from './similarity.js';
+
+// Passage-based questions share most of their text, so near-duplicates must
+// also share most of their options (3 of 4 identical gives 0.6).
+const MIN_OPTION_SIMILARITY = 0.6;
+
+/**
+ * Groups exact and near-duplicate questions.
+ * Exact: identical normalized question text and option set.
+ * Near: question shingle Jaccard >= `threshold` and option Jaccard >= 0.6.
+ * A cluster whose members mark different answer options is a `conflict`:
+ * the same question with contradicting keys, which needs a human to decide.
+ * @param {Array<{record: object, source: object}>} entries - Questions with their origin.
+ * @param {object} [options]
+ * @param {number} [options.threshold=0.7] - Minimum question-text similarity for near-duplicates.
+ * @param {(done: number, total: number) => void} [options.onProgress] - Called while fingerprinting.
+ * @returns {Promise<Array<{type: 'exact'|'near', similarity: number, conflict: boolean, members: Array<number>}>>}
+ *   Clusters of 2+ entry indexes, largest first.
+ */
+export async function findDuplicates(entries, { threshold = 0.7, onProgress } = {}) {
+  const prints = [];
+  for (let i = 0; i < entries.length; i++) {
+    prints.push(await fingerprint(entries[i].record));
+    if (onProgress && (i + 1) % 500 === 0) onProgress(i + 1, entries.length);
+  }
+
+  const uf = createUnionFind(entries.length);
+  const firstByKey = new Map();
+  prints.forEach((print, i) => {
+    if (firstByKey.has(print.exactKey)) uf.union(firstByKey.get(print.exactKey), i);
+    else firstByKey.set(print.exactKey, i);
+  });
+
+  const nearMatches = [];
+  for (const [i, j] of candidatePairs(prints.map(p => minHash(p.shingles)))) {
+    if (prints[i].exactKey === prints[j].exactKey) continue;
+    const similarity = jaccard(prints[i].shingles, prints[j].shingles);
+    if (similarity < threshold || jaccard(prints[i].options, prints[j].options) < MIN_OPTION_SIMILARITY) continue;
+    uf.union(i, j);
+    nearMatches.push({ index: i, similarity });
+  }
+
+  const groups = new Map();
+  entries.forEach((_, i) => {
+    const root = uf.find(i);
+    if (!groups.has(root)) groups.set(root, { members: [], similarities: [] });
+    groups.get(root).members.push(i);
+  });
+  nearMatches.forEach(({ index, similarity }) => groups.get(uf.find(index)).similarities.push(similarity));
+
+  return [...groups.values()]
+    .filter(group => group.members.length > 1)
+    .map(({ members, similarities }) => ({
+      type: similarities.length > 0 ? 'near' : 'exact',
+      similarity: similarities.length > 0 ? Math.round(Math.min(...similarities) * 1000) / 1000 : 1,
+      conflict: new Set(members.map(i => prints[i].answer).filter(answer => answer !== null)).size > 1,
+      members,
+    }))
+    .sort((a, b) => b.members.length - a.members.length);
+}
+
+/**
+ * Orders a cluster so the most complete record comes first: a marked answer,
+ * then a non-empty solution, then the most tags, then original order.
+ * @param {Array<number>} members - Entry indexes.
+ * @param {Array<{record: object}>} entries
+ * @returns {Array<number>}
+ */
+export function rankCanonical(members, entries) {
+  const completeness = (i) => {
+    const q = entries[i].record;
+    return [q.Answer > 0 ? 1 : 0, q.Solution ? 1 : 0, (q.Tags || []).length];
+  };
+  return [...members].sort((a, b) => {
+    const [ca, cb] = [completeness(a), completeness(b)];
+    return cb[0] - ca[0] || cb[1] - ca[1] || cb[2] - ca[2] || a - b;
+  });
+}
@@ -0,0 +1,72 @@
+// src/workflows/dedupe/utils/fingerprint.js
+
+import crypto from 'crypto';
+import { transformAndSanitizeHtml } from '../../scrapper/utils/sanitizer.js';
+
+const OPTION_KEYS = ['OP1', 'OP2', 'OP3', 'OP4'];
+const SHINGLE_SIZE = 3;
+const IMG_TAG = /<img\b[^>]*>/gi;
+const IMG_SRC = /\bsrc\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i;
+
+/**
+ * Names an image by a hash of its file name, so figure questions with the
+ * same stem text stay apart while the CDN host or query string may differ.
+ * The hash keeps the token a single word after normalization.
+ */
+function imageToken(tag) {
+  const match = IMG_SRC.exec(tag);
+  const src = match ? match[1] ?? match[2] ?? match[3] : '';
+  const fileName = src.split(/[?#]/)[0].split('/').pop();
+  if (!fileName) return ' [img] ';
+  return ` [img-${crypto.createHash('sha1').update(fileName).digest('hex').slice(0, 12)}] `;
+}
+
+/**
+ * Runs a field through the scraper's sanitizer (so older scrapes compare
+ * equal to newer ones) and reduces it to lower-case words. Images become
+ * `[img-<hash of file name>]` tokens.
+ * @param {string|null} html - A question or option HTML snippet.
+ * @returns {Promise<string>}
+ */
+export async function normalizeField(html) {
+  const sanitized = await transformAndSanitizeHtml(html || '');
+  return sanitized
+    .replace(IMG_TAG, imageToken)
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&[a-z]+;|&#\d+;/gi, ' ')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\\^()[\]{}+\-*/=<>.%]+/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function shingle(text) {
+  const words = text.split(' ').filter(Boolean);
+  if (words.length < SHINGLE_SIZE) return new Set(words.length ? [words.join(' ')] : []);
+  const shingles = new Set();
+  for (let i = 0; i <= words.length - SHINGLE_SIZE; i++) shingles.add(words.slice(i, i + SHINGLE_SIZE).join(' '));
+  return shingles;
+}
+
+/**
+ * Builds the comparison fingerprint for a question record.
+ * Options are sorted, since shifts often shuffle them, so the answer is kept
+ * as the normalized text of the marked option rather than its number.
+ * @param {object} record - A question record.
+ * @returns {Promise<{exactKey: string, shingles: Set<string>, options: Set<string>, answer: string|null, preview: string}>}
+ *   `answer` is null when the record has no marked option.
+ */
+export async function fingerprint(record) {
+  const question = await normalizeField(record.Question);
+  const fields = await Promise.all(OPTION_KEYS.map(key => normalizeField(record[key])));
+  const options = fields.filter(Boolean);
+  const sortedOptions = [...options].sort();
+  const answerKey = OPTION_KEYS.indexOf(`OP${record.Answer}`);
+  return {
+    exactKey: crypto.createHash('sha1').update(`${question}\u0000${sortedOptions.join('\u0000')}`).digest('hex'),
+    shingles: shingle(question),
+    options: new Set(sortedOptions),
+    answer: answerKey === -1 ? null : fields[answerKey],
+    preview: question.slice(0, 80),
+  };
+}
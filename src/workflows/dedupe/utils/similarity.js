@@ -0,0 +1,94 @@
+// src/workflows/dedupe/utils/similarity.js
+
+const NUM_HASHES = 64;
+const BANDS = 16;
+const ROWS = NUM_HASHES / BANDS;
+// Fixed seeds keep clustering deterministic between runs.
+const SEEDS = Array.from({ length: NUM_HASHES }, (_, i) => Math.imul(i + 1, 0x9E3779B1) >>> 0);
+
+// Murmur3 finalizer: cheap 32-bit mixing that stays exact in JS integer math.
+function mix(x, seed) {
+  let h = (x ^ seed) >>> 0;
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85EBCA6B);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xC2B2AE35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+function fnv1a(text) {
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+/**
+ * Jaccard similarity of two sets (1 when both are empty).
+ */
+export function jaccard(a, b) {
+  if (a.size === 0 && b.size === 0) return 1;
+  let shared = 0;
+  for (const item of a) if (b.has(item)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * MinHash signature of a shingle set.
+ * @param {Set<string>} shingles
+ * @returns {Array<number>}
+ */
+export function minHash(shingles) {
+  const signature = new Array(NUM_HASHES).fill(Infinity);
+  for (const item of shingles) {
+    const x = fnv1a(item);
+    for (let i = 0; i < NUM_HASHES; i++) {
+      const h = mix(x, SEEDS[i]);
+      if (h < signature[i]) signature[i] = h;
+    }
+  }
+  return signature;
+}
+
+/**
+ * Finds candidate near-duplicate pairs with locality-sensitive hashing over
+ * MinHash bands: items sharing any band bucket become a candidate pair.
+ * @param {Array<Array<number>>} signatures - One MinHash signature per item.
+ * @returns {Array<[number, number]>} Index pairs (i < j), each listed once.
+ */
+export function candidatePairs(signatures) {
+  const pairs = new Set();
+  for (let band = 0; band < BANDS; band++) {
+    const buckets = new Map();
+    signatures.forEach((sig, index) => {
+      if (sig[0] === Infinity) return;
+      const key = sig.slice(band * ROWS, (band + 1) * ROWS).join(',');
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(index);
+    });
+    for (const members of buckets.values()) {
+      for (let i = 0; i < members.length; i++) {
+        for (let j = i + 1; j < members.length; j++) pairs.add(`${members[i]}:${members[j]}`);
+      }
+    }
+  }
+  return [...pairs].map(pair => pair.split(':').map(Number));
+}
+
+/**
+ * Minimal union-find for grouping matched pairs into clusters.
+ */
+export function createUnionFind(size) {
+  const parent = Array.from({ length: size }, (_, i) => i);
+  const find = (x) => (parent[x] === x ? x : (parent[x] = find(parent[x])));
+  return {
+    find,
+    union: (a, b) => {
+      const [ra, rb] = [find(a), find(b)];
+      if (ra !== rb) parent[Math.max(ra, rb)] = Math.min(ra, rb);
+    },
+  };
+}
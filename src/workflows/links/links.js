@@ -0,0 +1,295 @@
+// src/workflows/links/links.js
+
+import { program } from 'commander';
+import fs from 'fs';
+import path from 'path';
+import { readLinks, writeLinks, LINKS_FILE_PATH, PROJECT_ROOT } from './utils/linkStore.js';
+import { createTask, resetTask, normalizeLink, parseCsv, SL_CODE_PATTERN, TASK_STATUSES } from './utils/linkRules.js';
+import { hashFile } from '../scrapper/utils/runResult.js';
+import { collectListingPages, parseListingPages, planDiscoveredTasks } from './utils/discover.js';
+import { addBrowserOptions, getBrowserOptions, startBrowser } from '../scrapper/utils/browser.js';
+
+const SCRAPED_DIR = path.join(PROJECT_ROOT, 'output', 'scraped');
+const TAGGED_DIR = path.join(PROJECT_ROOT, 'output', 'tagged');
+
+// --------------------- Logging ---------------------
+const log = {
+  action: (msg) => console.log(`[*] ${msg}`),
+  info: (msg) => console.log(`[i] ${msg}`),
+  success: (msg) => console.log(`[✓] ${msg}`),
+  warn: (msg) => console.log(`[?] ${msg}`),
+  error: (msg) => console.error(`[x] ${msg}`),
+};
+
+function loadOrExit() {
+  try {
+    return readLinks();
+  } catch (err) {
+    log.error(`Failed to read ${LINKS_FILE_PATH}: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+function parseStatus(value) {
+  const status = value.toUpperCase();
+  if (!TASK_STATUSES.includes(status)) {
+    log.error(`Unknown status "${value}". Expected one of: ${TASK_STATUSES.join(', ')}`);
+    process.exit(1);
+  }
+  return status;
+}
+
+/**
+ * Picks the tasks matching every given filter. SL codes match exactly; the
+ * subject match ignores case.
+ * @param {Array<object>} links - All tasks.
+ * @param {object} filters
+ * @param {Array<string>} [filters.sls] - SL codes.
+ * @param {string} [filters.status] - Task status.
+ * @param {string} [filters.subject] - Subject label.
+ * @returns {Array<object>}
+ */
+function selectTasks(links, { sls = [], status, subject }) {
+  return links.filter(task =>
+    (sls.length === 0 || sls.includes(task.SL)) &&
+    (!status || task.Status === status) &&
+    (!subject || (task.Subject || '').toLowerCase() === subject.toLowerCase()));
+}
+
+// --------------------- Commands ---------------------
+function addCommand(url, options) {
+  const links = loadOrExit();
+  try {
+    const task = createTask({ SL: options.sl, Subject: options.subject, Date: options.date, Link: url }, links);
+    links.push(task);
+    writeLinks(links);
+    log.success(`Added SL ${task.SL} (${task.Subject || 'no subject'}): ${task.Link}`);
+  } catch (err) {
+    log.error(err.message);
+    process.exit(1);
+  }
+}
+
+function listCommand(options) {
+  const tasks = selectTasks(loadOrExit(), {
+    status: options.status && parseStatus(options.status),
+    subject: options.subject,
+  });
+  if (tasks.length === 0) { log.info('No matching tasks.'); return; }
+
+  const columns = ['SL', 'Subject', 'Date', 'Status', 'File'];
+  const rows = tasks.map(task => columns.map(key => String(task[key] ?? '')));
+  const widths = columns.map((key, i) => Math.max(key.length, ...rows.map(row => row[i].length)));
+  const format = row => row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+  console.log(format(columns));
+  rows.forEach(row => console.log(format(row)));
+
+  const counts = TASK_STATUSES.map(status => [status, tasks.filter(task => task.Status === status).length]).filter(([, n]) => n > 0);
+  console.log('');
+  log.info(`${tasks.length} task(s): ${counts.map(([status, n]) => `${n} ${status}`).join(', ')}`);
+}
+
+function resetCommand(sls, options) {
+  const status = options.status && parseStatus(options.status);
+  if (sls.length === 0 && !status && !options.subject && !options.all) {
+    log.error('Give SL codes, --status, --subject or --all to choose the tasks to reset.');
+    process.exit(1);
+  }
+  const links = loadOrExit();
+  const tasks = selectTasks(links, { sls, status, subject: options.subject });
+  if (tasks.length === 0) { log.warn('No matching tasks.'); return; }
+
+  tasks.forEach(resetTask);
+  writeLinks(links);
+  log.success(`Reset ${tasks.length} task(s) to PENDING.`);
+}
+
+function removeCommand(sls, options) {
+  const links = loadOrExit();
+  const tasks = selectTasks(links, { sls, subject: options.subject });
+  if (tasks.length === 0) { log.warn('No matching tasks.'); return; }
+
+  writeLinks(links.filter(task => !tasks.includes(task)));
+  tasks.forEach(task => log.success(`Removed SL ${task.SL} (${task.Subject}): ${task.Link}`));
+}
+
+function importCommand(csvPath) {
+  if (!fs.existsSync(csvPath)) { log.error(`CSV file not found: ${csvPath}`); process.exit(1); }
+  const links = loadOrExit();
+  const rows = parseCsv(fs.readFileSync(csvPath, 'utf-8'));
+
+  let added = 0;
+  rows.forEach((row, i) => {
+    // Header names are matched case-insensitively (sl, Subject, DATE, ...).
+    const field = name => Object.entries(row).find(([key]) => key.toLowerCase() === name.toLowerCase())?.[1];
+    try {
+      links.push(createTask({ SL: field('SL'), Subject: field('Subject'), Date: field('Date'), Link: field('Link') }, links));
+      added++;
+    } catch (err) {
+      log.warn(`Row ${i + 2} skipped: ${err.message}`);
+    }
+  });
+
+  if (added > 0) writeLinks(links);
+  log.success(`Imported ${added} of ${rows.length} row(s) from ${csvPath}.`);
+}
+
+/**
+ * Checks every task against the files on disk and the links.json rules.
+ * Finished tasks whose output file is gone go back to PENDING; malformed SL
+ * codes, unnormalized links and duplicate links are reported.
+ */
+function verifyCommand() {
+  const links = loadOrExit();
+  let updated = 0;
+  let problems = 0;
+  const seenLinks = new Map();
+
+  for (const task of links) {
+    const label = `SL ${task.SL} (${task.Subject})`;
+
+    if (!SL_CODE_PATTERN.test(task.SL || '')) { log.error(`${label}: malformed SL code.`); problems++; }
+
+    try {
+      const normalized = normalizeLink(task.Link || '');
+      if (normalized !== task.Link) log.warn(`${label}: link is not normalized (expected ${normalized}).`);
+      if (seenLinks.has(normalized)) { log.error(`${label}: duplicate of SL ${seenLinks.get(normalized)}.`); problems++; }
+      else seenLinks.set(normalized, task.SL);
+    } catch (err) {
+      log.error(`${label}: ${err.message}`);
+      problems++;
+    }
+
+    if (!['COMPLETED', 'NEEDS_REVIEW'].includes(task.Status) || !task.File) continue;
+    // `File` is stored relative to the project root (output/scraped/<name>.json);
+    // the tagged copy keeps the same file name.
+    const fileName = path.basename(task.File);
+    const scrapedPath = path.join(SCRAPED_DIR, fileName);
+    if (!fs.existsSync(scrapedPath) && !fs.existsSync(path.join(TAGGED_DIR, fileName))) {
+      log.warn(`${label}: file not found: ${task.File} — marking as PENDING`);
+      task.Status = 'PENDING';
+      task.File = '';
+      updated++;
+    } else if (task.Hash && fs.existsSync(scrapedPath) && hashFile(scrapedPath) !== task.Hash) {
+      log.warn(`${label}: ${task.File} changed since it was scraped (edited, or overwritten by an exam with the same name).`);
+    }
+  }
+
+  if (updated > 0) {
+    writeLinks(links);
+    log.success(`links.json updated: ${updated} task(s) reset to PENDING.`);
+  } else {
+    log.success('All files are present. No changes made.');
+  }
+  if (problems > 0) { log.error(`${problems} problem(s) need fixing by hand.`); process.exit(1); }
+}
+
+/**
+ * Reads a test-series listing (live through the debugging browser, or from
+ * saved HTML) and appends its attempted tests as PENDING tasks.
+ */
+async function discoverCommand(options) {
+  if (!options.url && !options.fromHtml) { log.error('Give a listing --url or --from-html files.'); process.exit(1); }
+  const links = loadOrExit();
+
+  let pages;
+  if (options.fromHtml) {
+    const missing = options.fromHtml.find(file => !fs.existsSync(file));
+    if (missing) { log.error(`Listing file not found: ${missing}`); process.exit(1); }
+    pages = options.fromHtml.map(file => fs.readFileSync(file, 'utf-8'));
+  } else {
+    let browser;
+    try {
+      browser = await startBrowser(getBrowserOptions(options), log);
+      pages = await collectListingPages(options.url, { maxPages: parseInt(options.maxPages, 10), log, host: browser.host, port: browser.port });
+    } catch (err) {
+      log.error(`Could not read the listing: ${err.message}`);
+      if (browser) await browser.close();
+      process.exit(1);
+    }
+    await browser.close();
+    if (options.saveHtml) {
+      fs.mkdirSync(options.saveHtml, { recursive: true });
+      pages.forEach((html, i) => fs.writeFileSync(path.join(options.saveHtml, `listing-${i + 1}.html`), html));
+      log.info(`Saved ${pages.length} listing page(s) to ${options.saveHtml}`);
+    }
+  }
+
+  const tests = parseListingPages(pages);
+  log.info(`Found ${tests.length} test(s), ${tests.filter(test => test.attempted).length} attempted.`);
+
+  let plan;
+  try {
+    plan = planDiscoveredTasks(tests, links, { prefix: options.prefix, subject: options.subject, includeUnattempted: options.includeUnattempted });
+  } catch (err) {
+    log.error(err.message);
+    process.exit(1);
+  }
+  plan.skipped.forEach(({ test, reason }) => log.info(`Skipped ${test.title || test.testId} (${reason}).`));
+  plan.tasks.forEach(task => log.success(`${options.dryRun ? 'Would add' : 'Added'} SL ${task.SL} (${task.Subject}, ${task.Date || 'no date'}): ${task.Link}`));
+
+  if (plan.tasks.length === 0) { log.info('No new tests to add.'); return; }
+  if (options.dryRun) return;
+  writeLinks([...links, ...plan.tasks]);
+  log.success(`Appended ${plan.tasks.length} task(s) to links.json.`);
+}
+
+// --------------------- Main Function ---------------------
+function main() {
+  program
+    .name('links')
+    .description('Manage the scrape task list in links.json');
+
+  program.command('add')
+    .description('Add a task (the URL is normalized to its analysis page)')
+    .argument('<url>', 'Any Testbook test URL')
+    .requiredOption('--sl <code>', 'SL code, e.g. CGL::Mains::001')
+    .option('--subject <subject>', 'Subject label', '')
+    .option('--date <date>', 'Exam date, e.g. 30-Nov-2016 (default: today)')
+    .action(addCommand);
+
+  program.command('list')
+    .description('List tasks')
+    .option('--status <status>', `Only tasks with this status (${TASK_STATUSES.join('|')})`)
+    .option('--subject <subject>', 'Only tasks with this subject')
+    .action(listCommand);
+
+  program.command('reset')
+    .description('Set tasks back to PENDING and clear their results')
+    .argument('[sl...]', 'SL codes to reset')
+    .option('--status <status>', 'Reset every task with this status')
+    .option('--subject <subject>', 'Only tasks with this subject')
+    .option('--all', 'Reset every task')
+    .action(resetCommand);
+
+  program.command('remove')
+    .description('Remove tasks')
+    .argument('<sl...>', 'SL codes to remove')
+    .option('--subject <subject>', 'Only the task with this subject (SL codes are shared across subjects)')
+    .action(removeCommand);
+
+  program.command('import')
+    .description('Add tasks from a CSV file with SL, Subject, Date and Link columns')
+    .argument('<csv>', 'Path to the CSV file')
+    .action(importCommand);
+
+  addBrowserOptions(program.command('discover'))
+    .description('Add the attempted tests from a test-series listing page')
+    .requiredOption('--prefix <prefix>', 'SL prefix for the new tasks, e.g. CGL::Mains')
+    .option('--url <url>', 'Listing page to open in the debugging browser')
+    .option('--from-html <files...>', 'Parse saved listing pages instead of a live browser')
+    .option('--save-html <dir>', 'Save the live listing pages for later --from-html runs')
+    .option('--max-pages <number>', 'Maximum listing pages to follow', '20')
+    .option('--subject <subject>', 'Subject when the test title names none', 'Combined')
+    .option('--include-unattempted', 'Also add tests that have not been attempted')
+    .option('--dry-run', 'Show what would be added without changing links.json')
+    .action(discoverCommand);
+
+  program.command('verify')
+    .description('Check output files, SL codes and links; re-queue tasks whose file is missing')
+    .action(verifyCommand);
+
+  program.parseAsync(process.argv);
+}
+
+main();
@@ -0,0 +1,208 @@
+// src/workflows/links/utils/discover.js
+
+import CDP from 'chrome-remote-interface';
+import * as cheerio from 'cheerio';
+import { selectors } from '../../scrapper/utils/selectors.js';
+import { delay, randomDelay, humanClick } from '../../scrapper/utils/human.js';
+import { loadPacingProfiles, createPacing } from '../../scrapper/utils/pacing.js';
+import { createTask, normalizeLink, SL_CODE_PATTERN, TEST_PATH_PATTERN, MONTHS } from './linkRules.js';
+
+const ATTEMPTED_LINK_TEXT = /analysis|re-?attempt|solutions?/i;
+
+// Subject labels as used in links.json, matched against the test title.
+const SUBJECT_PATTERNS = [
+  ['English', /english/i],
+  ['Math', /\bmaths?\b|mathematics|quant/i],
+  ['Reasoning', /reasoning|intelligence/i],
+  ['GK', /general (awareness|knowledge|studies)|\bgk\b|\bga\b/i],
+];
+
+// --------------------- Listing Parser ---------------------
+/**
+ * Finds a date in a card's text (`30 Nov 2016`, `30-Nov-2016`,
+ * `Nov 30, 2016`, `30 November 2016`).
+ * @param {string} text
+ * @returns {{label: string, sortKey: number}|null} The date in links.json form and a sortable number.
+ */
+export function parseListingDate(text) {
+  const dayFirst = /\b(\d{1,2})[\s-]+([A-Za-z]{3,9})[\s,-]+(\d{4})\b/.exec(text);
+  const monthFirst = /\b([A-Za-z]{3,9})\s+(\d{1,2}),?\s+(\d{4})\b/.exec(text);
+  const [day, monthName, year] = dayFirst
+    ? [dayFirst[1], dayFirst[2], dayFirst[3]]
+    : monthFirst ? [monthFirst[2], monthFirst[1], monthFirst[3]] : [];
+  const month = MONTHS.findIndex(m => m.toLowerCase() === monthName?.slice(0, 3).toLowerCase());
+  if (month === -1) return null;
+  return {
+    label: `${day.padStart(2, '0')}-${MONTHS[month]}-${year}`,
+    sortKey: Number(year) * 10000 + (month + 1) * 100 + Number(day),
+  };
+}
+
+// Joins the text nodes with spaces; `.text()` glues `<h3>Title</h3><span>Jan 5` into "TitleJan 5".
+function readCardText($, $scope) {
+  return $scope.find('*').addBack().contents()
+    .filter((_, node) => node.type === 'text')
+    .map((_, node) => $(node).text()).get()
+    .join(' ').replace(/\s+/g, ' ');
+}
+
+/**
+ * Pulls every test out of a test-series listing page. A test counts as
+ * attempted when its card links to the analysis/solutions page or has a
+ * "Re-attempt" or "Analysis" link.
+ * @param {string} html - The listing page's outerHTML.
+ * @returns {Array<{slug: string, testId: string, title: string, date: object|null, attempted: boolean}>}
+ */
+export function parseListing(html) {
+  const $ = cheerio.load(html);
+  const s = selectors.discover;
+  const tests = new Map();
+
+  $('a[href*="/tests/"]').each((_, el) => {
+    let url;
+    try {
+      url = new URL($(el).attr('href'), 'https://testbook.com');
+    } catch {
+      return;
+    }
+    const match = TEST_PATH_PATTERN.exec(url.pathname);
+    if (!match) return;
+
+    const [, slug, testId] = match;
+    const $card = $(el).closest(s.testCard);
+    const $scope = $card.length > 0 ? $card : $(el).parent();
+    const linkText = $(el).text().trim();
+    const entry = tests.get(testId) || { slug, testId, title: '', date: null, attempted: false };
+
+    if (/\/(analysis|solutions)/.test(url.pathname) || ATTEMPTED_LINK_TEXT.test(linkText)) entry.attempted = true;
+    if (!entry.title) entry.title = $scope.find(s.testTitle).first().text().trim() || (ATTEMPTED_LINK_TEXT.test(linkText) ? '' : linkText);
+    if (!entry.date) entry.date = parseListingDate(readCardText($, $scope));
+    tests.set(testId, entry);
+  });
+
+  return [...tests.values()];
+}
+
+/**
+ * Merges the tests found on several listing pages, keeping first-seen order.
+ * @param {Array<string>} pages - Listing page HTML.
+ * @returns {Array<object>} See parseListing.
+ */
+export function parseListingPages(pages) {
+  const tests = new Map();
+  for (const test of pages.flatMap(parseListing)) {
+    const known = tests.get(test.testId);
+    if (!known) tests.set(test.testId, test);
+    else {
+      known.attempted ||= test.attempted;
+      known.title ||= test.title;
+      known.date ||= test.date;
+    }
+  }
+  return [...tests.values()];
+}
+
+// --------------------- Task Planning ---------------------
+function inferSubject(title, fallback) {
+  return SUBJECT_PATTERNS.find(([, pattern]) => pattern.test(title))?.[0] || fallback;
+}
+
+/**
+ * Turns discovered tests into new PENDING tasks. Tests already in links.json
+ * (by normalized link) are skipped, and the rest get the next free SL numbers
+ * under `prefix` in date order, e.g. CGL::Mains::026, CGL::Mains::027.
+ * @param {Array<object>} tests - Output of parseListing/parseListingPages.
+ * @param {Array<object>} links - Current links.json tasks.
+ * @param {object} options
+ * @param {string} options.prefix - SL prefix, e.g. CGL::Mains.
+ * @param {string} [options.subject='Combined'] - Subject when the title names none.
+ * @param {boolean} [options.includeUnattempted=false] - Also add tests without an attempt.
+ * @returns {{tasks: Array<object>, skipped: Array<{test: object, reason: string}>}}
+ */
+export function planDiscoveredTasks(tests, links, { prefix, subject = 'Combined', includeUnattempted = false }) {
+  if (!SL_CODE_PATTERN.test(`${prefix}::1`)) throw new Error(`Malformed SL prefix "${prefix}" (expected e.g. CGL::Mains).`);
+
+  const numberPattern = new RegExp(`^${prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}::(\\d+)$`);
+  const usedNumbers = links.map(task => numberPattern.exec(task.SL || '')?.[1]).filter(Boolean);
+  let next = Math.max(0, ...usedNumbers.map(Number)) + 1;
+  const width = Math.max(3, ...usedNumbers.map(n => n.length));
+
+  const skipped = [];
+  const candidates = [];
+  for (const test of tests) {
+    const link = normalizeLink(`https://testbook.com/${test.slug}/tests/${test.testId}`);
+    if (!test.attempted && !includeUnattempted) skipped.push({ test, reason: 'not attempted' });
+    else if (links.some(task => task.Link === link)) skipped.push({ test, reason: 'already listed' });
+    else candidates.push({ test, link });
+  }
+
+  // Undated tests keep their listing order after the dated ones.
+  candidates.sort((a, b) => (a.test.date?.sortKey ?? Infinity) - (b.test.date?.sortKey ?? Infinity));
+
+  const tasks = [];
+  for (const { test, link } of candidates) {
+    const task = createTask({
+      SL: `${prefix}::${String(next++).padStart(width, '0')}`,
+      Subject: inferSubject(test.title, subject),
+      Date: test.date?.label ?? '',
+      Link: link,
+    }, [...links, ...tasks]);
+    tasks.push(task);
+  }
+  return { tasks, skipped };
+}
+
+// --------------------- Live Listing ---------------------
+/**
+ * Opens a test-series listing in a new tab of the debugging browser and
+ * collects the HTML of every page, following the next-page / load-more
+ * control until it disappears, stops adding tests, or `maxPages` is reached.
+ * @param {string} url - The listing page URL.
+ * @param {object} options
+ * @param {number} [options.maxPages=20]
+ * @param {object} options.log - Logger with action/info/success/warn/error.
+ * @param {string} options.host - Debugging browser host (see startBrowser).
+ * @param {number} options.port - Debugging browser port.
+ * @param {object} [options.pacing] - Click jitter; the default pacing profile when omitted.
+ * @returns {Promise<Array<string>>} The HTML of each page.
+ */
+export async function collectListingPages(url, { maxPages = 20, log, host, port, pacing = createPacing(loadPacingProfiles()) }) {
+  const browserClient = await CDP({ host, port });
+  const { targetId } = await browserClient.Target.createTarget({ url: 'about:blank' });
+  const tabClient = await CDP({ host, port, target: targetId });
+  try {
+    const { Page, Runtime, Input } = tabClient;
+    await Promise.all([Page.enable(), Runtime.enable()]);
+    log.action(`Opening listing: ${url}`);
+    await Page.navigate({ url });
+    await Page.loadEventFired();
+
+    const pages = [];
+    let knownTests = 0;
+    for (let page = 1; page <= maxPages; page++) {
+      // Listings render their cards after load; wait up to 15s for test links.
+      for (let waited = 0; waited < 15000; waited += 500) {
+        const { result } = await Runtime.evaluate({ expression: `!!document.querySelector('a[href*="/tests/"]')` });
+        if (result.value) break;
+        await delay(500);
+      }
+
+      const { result } = await Runtime.evaluate({ expression: 'document.documentElement.outerHTML' });
+      pages.push(result.value);
+      const found = parseListingPages(pages).length;
+      log.info(`Page ${page}: ${found - knownTests} new test(s).`);
+      if (found === knownTests) break;
+      knownTests = found;
+
+      const { result: next } = await Runtime.evaluate({ expression: `!!document.querySelector('${selectors.discover.nextPage}')` });
+      if (!next.value) break;
+      await humanClick(Runtime, Input, selectors.discover.nextPage, { pacing });
+      await randomDelay(1500, 2500);
+    }
+    return pages;
+  } finally {
+    await browserClient.Target.closeTarget({ targetId }).catch(() => {});
+    await tabClient.close();
+    await browserClient.close();
+  }
+}
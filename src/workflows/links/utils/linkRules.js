@@ -0,0 +1,128 @@
+// src/workflows/links/utils/linkRules.js
+
+// links.json SL codes, e.g. CGL::Mains::001, which the batch scraper adds as a tag.
+export const SL_CODE_PATTERN = /^[A-Za-z0-9]+(::[A-Za-z0-9]+)*::\d+$/;
+
+/**
+ * Names the exam a question file holds: the first SL code among its records'
+ * tags plus the file's base name (e.g. `CGL::Mains::001::SSC CGL - Mock 1`),
+ * or the base name alone when no record carries an SL code. The base name is
+ * needed because links.json gives every paper of a sitting (Math, English)
+ * the same SL code. Shared by the exporters and dedupe so they agree on which
+ * exam a question came from.
+ * @param {Array<object>} records - Question records of one file.
+ * @param {string} baseName - The file name without `.json`.
+ * @returns {string}
+ */
+export function getExamKey(records, baseName) {
+  const slCode = records.flatMap(record => record.Tags || []).find(tag => SL_CODE_PATTERN.test(tag));
+  return slCode ? `${slCode}::${baseName}` : baseName;
+}
+
+export const TASK_STATUSES = ['PENDING', 'COMPLETED', 'NEEDS_REVIEW', 'FAILED'];
+
+// <exam slug>/tests/<test id>, e.g. TS-ssc-cgl/tests/67bc4fc03687b6d67f4c7d44
+export const TEST_PATH_PATTERN = /^\/([A-Za-z0-9-]+)\/tests\/([A-Za-z0-9]+)(?:\/|$)/;
+export const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Rewrites any Testbook test URL (test page, solutions, analysis, with or
+ * without query string) to the analysis page of the first attempt, which is
+ * where the scraper starts.
+ * @param {string} url - A Testbook test URL.
+ * @returns {string} `https://testbook.com/<slug>/tests/<id>/analysis?attemptNo=1`
+ * @throws {Error} If the URL is not a Testbook test URL.
+ */
+export function normalizeLink(url) {
+  let parsed;
+  try {
+    parsed = new URL(url.trim());
+  } catch {
+    throw new Error(`Not a URL: ${url}`);
+  }
+  const match = TEST_PATH_PATTERN.exec(parsed.pathname);
+  if (!/^(www\.)?testbook\.com$/.test(parsed.hostname) || !match) {
+    throw new Error(`Not a Testbook test URL: ${url}`);
+  }
+  const [, slug, testId] = match;
+  return `https://testbook.com/${slug}/tests/${testId}/analysis?attemptNo=1`;
+}
+
+/**
+ * Formats a date the way links.json stores it, e.g. `30-Nov-2016`.
+ * @param {Date} [date=new Date()]
+ * @returns {string}
+ */
+export function formatTaskDate(date = new Date()) {
+  return `${String(date.getDate()).padStart(2, '0')}-${MONTHS[date.getMonth()]}-${date.getFullYear()}`;
+}
+
+/**
+ * Builds a new PENDING task from user input, normalizing the link.
+ * @param {object} input
+ * @param {string} input.SL - SL code, e.g. CGL::Mains::001.
+ * @param {string} input.Subject - Subject label.
+ * @param {string} [input.Date] - Exam date; defaults to today when omitted.
+ * @param {string} input.Link - Any Testbook test URL.
+ * @param {Array<object>} existing - Tasks already in links.json, for the duplicate check.
+ * @returns {object} The task.
+ * @throws {Error} If the SL code is malformed, the link is invalid or already listed.
+ */
+export function createTask({ SL, Subject, Date: date, Link }, existing) {
+  const sl = (SL || '').trim();
+  if (!SL_CODE_PATTERN.test(sl)) throw new Error(`Malformed SL code "${SL}" (expected e.g. CGL::Mains::001).`);
+  const link = normalizeLink(Link || '');
+  const duplicate = existing.find(task => task.Link === link);
+  if (duplicate) throw new Error(`Link is already listed as SL ${duplicate.SL} (${duplicate.Subject}): ${link}`);
+  return {
+    SL: sl,
+    Date: date === undefined ? formatTaskDate() : date.trim(),
+    Subject: (Subject || '').trim(),
+    Link: link,
+    File: '',
+    Status: 'PENDING',
+  };
+}
+
+/**
+ * Resets a task so the batch scraper picks it up again from scratch.
+ * @param {object} task - The task (updated in place).
+ */
+export function resetTask(task) {
+  for (const key of Object.keys(task)) {
+    if (!['SL', 'Date', 'Subject', 'Link'].includes(key)) delete task[key];
+  }
+  task.File = '';
+  task.Status = 'PENDING';
+}
+
+/**
+ * Parses CSV text (RFC 4180: quoted fields, doubled quotes, CRLF or LF) into
+ * objects keyed by the header row.
+ * @param {string} text - The CSV contents.
+ * @returns {Array<object>}
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (char === '"') quoted = false;
+      else field += char;
+    } else if (char === '"') quoted = true;
+    else if (char === ',') { row.push(field); field = ''; }
+    else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); rows.push(row); row = []; field = '';
+    } else field += char;
+  }
+  if (field !== '' || row.length > 0) { row.push(field); rows.push(row); }
+
+  const [header = [], ...body] = rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+  const keys = header.map(cell => cell.trim());
+  return body.map(cells => Object.fromEntries(keys.map((key, i) => [key, cells[i] ?? ''])));
+}
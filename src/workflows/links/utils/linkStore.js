@@ -0,0 +1,37 @@
+// src/workflows/links/utils/linkStore.js
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const PROJECT_ROOT = path.resolve(__dirname, '..', '..', '..', '..');
+export const LINKS_FILE_PATH = path.join(PROJECT_ROOT, 'links.json');
+
+/**
+ * Reads the task list.
+ * @param {string} [filePath=LINKS_FILE_PATH]
+ * @returns {Array<object>} The tasks, or an empty list if the file does not exist yet.
+ */
+export function readLinks(filePath = LINKS_FILE_PATH) {
+  if (!fs.existsSync(filePath)) return [];
+  const links = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  if (!Array.isArray(links)) throw new Error(`${filePath} does not contain a JSON array.`);
+  return links;
+}
+
+/**
+ * Writes the task list to a temp file and renames it over the original, so a
+ * crash or a concurrent reader never sees a half-written links.json.
+ * @param {Array<object>} links - The tasks to save.
+ * @param {string} [filePath=LINKS_FILE_PATH]
+ */
+export function writeLinks(links, filePath = LINKS_FILE_PATH) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  try {
+    fs.writeFileSync(tempPath, JSON.stringify(links, null, 2));
+    fs.renameSync(tempPath, filePath);
+  } finally {
+    fs.rmSync(tempPath, { force: true });
+  }
+}
@@ -3,19 +3,29 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { execa } from 'execa'; // Import execa instead of spawn
+import { program } from 'commander';
+import { validateFile } from '../validation/utils/validator.js';
+import { createRateLimiter, handleRateMessage } from './utils/rateLimiter.js';
+import { hashFile, RESULT_MESSAGE_TYPE, FAILURE_MESSAGE_TYPE } from './utils/runResult.js';
+import { FAILURE_CLASSES, getRetryPolicy, getRetryDelay } from './utils/failures.js';
+import { delay } from './utils/human.js';
+import { readLinks, writeLinks, LINKS_FILE_PATH } from '../links/utils/linkStore.js';
+import { createRunLogger, readRunLog, RUN_ID_ENV } from './utils/runLogger.js';
+import { writeRunReport } from './utils/runReport.js';
+import { addBrowserOptions, getBrowserOptions, startBrowser, toBrowserArgs } from './utils/browser.js';
+import { waitForSession, probeSession, loadCookies, importCookies, SESSION_STATES } from './utils/session.js';
 
 // --- PATH RESOLUTION FOR NESTED LOCATION ---
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const PROJECT_ROOT = path.resolve(__dirname, '..', '..', '..');
 
-const LINKS_FILE_PATH = path.join(PROJECT_ROOT, 'links.json');
 const SCRAPER_SCRIPT_PATH = path.join(__dirname, 'scraper.js');
 const OUTPUT_DIR = path.join(PROJECT_ROOT, 'output', 'scraped');
 const LOGS_DIR = path.join(PROJECT_ROOT, 'logs');
 
 // Simple logger for the batch scraper
-const log = {
+const consoleLog = {
   action: (msg) => console.log(`\n[⚙️ BATCH] [*] ${msg}`),
   info: (msg) => console.log(`[⚙️ BATCH] [i] ${msg}`),
   success: (msg) => console.log(`[⚙️ BATCH] [✓] ${msg}`),
@@ -23,6 +33,9 @@ const log = {
   warn: (msg) => console.log(`[⚙️ BATCH] [?] ${msg}`),
 };
 
+// Replaced by the run logger (which also writes logs/runs/<runId>.jsonl) once the run starts.
+let log = consoleLog;
+
 /**
  * Ensures that necessary directories exist before running.
  */
@@ -47,8 +60,7 @@ function loadLinks() {
       log.error(`links.json file not found at: ${LINKS_FILE_PATH}`);
       process.exit(1);
     }
-    const fileContent = fs.readFileSync(LINKS_FILE_PATH, 'utf-8');
-    return JSON.parse(fileContent);
+    return readLinks();
   } catch (err) {
     log.error('Failed to read or parse links.json.');
     log.error(err);
@@ -56,55 +68,110 @@ function loadLinks() {
   }
 }
 
+let saveQueue = Promise.resolve();
+
 /**
- * Saves the updated array of links back to the links.json file.
+ * Saves the updated array of links back to the links.json file. Saves are
+ * queued so concurrent workers never interleave, and each one is written to a
+ * temp file and renamed so readers never see a half-written file. Every save
+ * serializes the shared in-memory array, so the last write holds all updates.
  * @param {Array<object>} links - The array of link objects to save.
+ * @returns {Promise<void>} Resolves once this save has been written.
  */
 function saveLinks(links) {
-  try {
-    fs.writeFileSync(LINKS_FILE_PATH, JSON.stringify(links, null, 2));
-  } catch (err) {
-    log.error('Failed to save updated links.json file.');
-    log.error(err);
-  }
+  saveQueue = saveQueue.then(() => {
+    try {
+      writeLinks(links);
+    } catch (err) {
+      log.error('Failed to save updated links.json file.');
+      log.error(err);
+    }
+  });
+  return saveQueue;
 }
 
 /**
- * Finds the most recently created .json file in the output directory.
- * @returns {string|null} The name of the latest file or null if none are found.
+ * Pauses every worker while the Testbook session is expired. The first worker
+ * that hits a login wall starts waiting for the session (see waitForSession);
+ * workers that hit it meanwhile join the same wait, and no new task starts
+ * until it ends.
+ * @param {{host: string, port: number}} browser - The batch's browser.
+ * @param {object} options
+ * @param {string} [options.cookiesPath] - Cookie file to (re-)import while waiting.
+ * @param {number} options.pollMs - Time between session probes.
+ * @param {number} options.maxWaitMs - How long to wait before stopping the batch.
+ * @param {ReturnType<typeof createRateLimiter>} limiter - Probes are page requests too.
  */
-function findLatestOutputFile() {
-  try {
-    if (!fs.existsSync(OUTPUT_DIR)) return null;
+function createSessionGuard(browser, { cookiesPath, pollMs, maxWaitMs }, limiter) {
+  let waiting = null;
+  let expired = false;
+  return {
+    /** Resolves to false once the batch has given up on the session. */
+    ready: async () => (waiting ? waiting : !expired),
 
-    const files = fs.readdirSync(OUTPUT_DIR)
-      .filter(file => file.endsWith('.json'))
-      .map(file => ({
-        file,
-        time: fs.statSync(path.join(OUTPUT_DIR, file)).mtime.getTime(),
-      }))
-      .sort((a, b) => b.time - a.time);
+    /**
+     * Probes `probeUrl` once and pauses if it shows a login prompt. Anything
+     * else, a paywall included, is left to the scraper, which classifies it
+     * properly: a paywall only fails that test, not the whole session.
+     * @param {string} probeUrl
+     * @returns {Promise<boolean>} False if the session did not come back in time.
+     */
+    async check(probeUrl) {
+      let state;
+      try {
+        await limiter.acquire();
+        state = await probeSession(browser, probeUrl);
+      } catch (err) {
+        log.warn(`Session probe failed: ${err.message}`);
+        return true;
+      }
+      if (state !== SESSION_STATES.LOGIN) {
+        log.info(`Session probe: ${state}.`);
+        return true;
+      }
+      return this.pause(probeUrl);
+    },
 
-    return files.length > 0 ? files[0].file : null;
-  } catch (err) {
-    log.error('Error finding latest output file.');
-    log.error(err);
-    return null;
-  }
+    /**
+     * Waits until `probeUrl` loads logged in.
+     * @param {string} probeUrl - A page that needs the login.
+     * @returns {Promise<boolean>} False if the session did not come back in time.
+     */
+    pause(probeUrl) {
+      waiting ||= (async () => {
+        log.event('session', { phase: 'paused', probeUrl });
+        const ok = await waitForSession(browser, probeUrl, { cookiesPath, pollMs, maxWaitMs, beforeProbe: () => limiter.acquire(), log });
+        log.event('session', { phase: ok ? 'resumed' : 'expired' });
+        if (ok) log.success('Session is logged in. Resuming the batch.');
+        else log.error(`Session did not come back within ${Math.round(maxWaitMs / 60000)} min. Stopping; unfinished tasks stay PENDING.`);
+        expired = !ok;
+        waiting = null;
+        return ok;
+      })();
+      return waiting;
+    },
+  };
 }
 
 /**
- * Executes the scraper script using execa.
+ * Executes the scraper script using execa. `--resume` is always passed: the
+ * scraper only leaves a checkpoint behind when a run dies part-way, so a
+ * retried task picks up where it stopped and a fresh one starts from scratch.
+ * The scraper asks `limiter` for a permit before every page request and
+ * reports its result (output path, counts, hash) over IPC when it finishes.
  * @param {object} task - The task object from links.json.
- * @returns {Promise<boolean>} A promise that resolves to true on success, false on failure.
+ * @param {ReturnType<typeof createRateLimiter>} limiter - The limiter shared by all workers.
+ * @param {Array<string>} scraperArgs - Extra scraper arguments shared by every task (pacing, extraction mode, languages, browser address).
+ * @returns {Promise<{success: boolean, result: object|null, failure: object|null}>} The exit status and
+ *   what the scraper reported: its result on success, its classified failure otherwise.
  */
-async function runScraper(task) {
+async function runScraper(task, limiter, scraperArgs) {
   log.action(`Starting scraper for SL: ${task.SL}, Subject: ${task.Subject}`);
   log.info(`URL: ${task.Link}`);
   
   if (!fs.existsSync(SCRAPER_SCRIPT_PATH)) {
       log.error(`Scraper script not found at: ${SCRAPER_SCRIPT_PATH}`);
-      return false;
+      return { success: false, result: null, failure: { errorClass: FAILURE_CLASSES.UNKNOWN, message: 'Scraper script not found.' } };
   }
 
   const args = [
@@ -113,66 +180,337 @@ async function runScraper(task) {
     task.Link,
     '--tag',
     task.SL,
+    '--resume',
+    ...scraperArgs,
   ];
 
+  let result = null;
+  let failure = null;
   try {
     // Await the execa promise. We use { stdio: 'inherit' } to stream the
     // scraper's output directly to our console in real-time.
-    await execa('node', args, { stdio: 'inherit' });
+    const subprocess = execa('node', args, { stdio: 'inherit', ipc: true, env: { [RUN_ID_ENV]: log.runId } });
+    const readMessages = async () => {
+      for await (const message of subprocess.getEachMessage()) {
+        if (message?.type === RESULT_MESSAGE_TYPE) result = message.result;
+        else if (message?.type === FAILURE_MESSAGE_TYPE) failure = message.failure;
+        else handleRateMessage(subprocess, limiter, message);
+      }
+    };
+    await Promise.all([subprocess, readMessages()]);
 
     log.success(`Scraper finished successfully for SL: ${task.SL}`);
-    return true;
+    return { success: true, result, failure: null };
   } catch (error) {
     // If the process exits with a non-zero code, execa throws an error.
     log.error(`Scraper for SL: ${task.SL} failed.`);
     // The scraper's own error output will be visible because of 'inherit'.
     // We can also log execa's summary for more context if needed.
     log.error(`Execa reported an error with exit code: ${error.exitCode}`);
-    return false;
+    limiter.reportError();
+    return {
+      success: false,
+      result,
+      failure: failure || { errorClass: FAILURE_CLASSES.UNKNOWN, message: `Scraper exited with code ${error.exitCode}.` },
+    };
+  }
+}
+
+/**
+ * Validates a finished task's output and decides its status: `NEEDS_REVIEW`
+ * when the file has validation errors, `COMPLETED` otherwise.
+ * @param {object} task - The task object from links.json (updated in place).
+ * @param {string} outputPath - Absolute path to the scraped JSON file.
+ */
+function reviewOutput(task, outputPath) {
+  const { errors, warnings } = validateFile(outputPath);
+  task.Validation = { errors: errors.length, warnings: warnings.length };
+  if (errors.length > 0) {
+    task.Status = 'NEEDS_REVIEW';
+    log.warn(`Output has ${errors.length} validation error(s). Marked as NEEDS_REVIEW (run: npm run validate-output -- "${task.File}").`);
+  } else {
+    task.Status = 'COMPLETED';
+    log.success(`Output passed validation (${warnings.length} warning(s)).`);
+  }
+}
+
+/**
+ * Copies a scraper result onto its task so links.json records exactly which
+ * file the run wrote and what was in it.
+ * @param {object} task - The task object from links.json (updated in place).
+ * @param {object} result - The result reported by the scraper.
+ */
+function recordResult(task, result) {
+  task.File = result.outputPath ? path.relative(PROJECT_ROOT, result.outputPath) : '';
+  task.ExamTitle = result.examTitle;
+  task.QuestionCount = result.questionCount;
+  task.FailedQuestions = result.failedQuestions;
+  task.DurationMs = result.durationMs;
+  task.Hash = result.hash;
+}
+
+/**
+ * Checks whether a task's output file is shared with another task. Two exams
+ * whose titles sanitize to the same name write the same file, so the later
+ * run overwrites the earlier one; the stored hash shows which side lost.
+ * Colliding tasks are marked `NEEDS_REVIEW`.
+ * @param {object} task - The task that just finished.
+ * @param {Array<object>} allLinks - All tasks from links.json.
+ */
+function detectCollisions(task, allLinks) {
+  const others = allLinks.filter(other => other !== task && other.File === task.File && other.Link !== task.Link);
+  for (const other of others) {
+    const overwritten = other.Hash && other.Hash !== hashFile(path.join(PROJECT_ROOT, other.File));
+    log.error(`Output collision: SL ${task.SL} and SL ${other.SL} both write ${task.File}${overwritten ? ` (SL ${other.SL}'s data was overwritten)` : ''}.`);
+    for (const colliding of [task, other]) {
+      colliding.Status = 'NEEDS_REVIEW';
+      colliding.CollidesWith = [...new Set([...(colliding.CollidesWith || []), (colliding === task ? other : task).SL])];
+    }
   }
 }
 
+/**
+ * Applies the outcome of one scraper run to its task.
+ * @param {object} task - The task object from links.json (updated in place).
+ * @param {Array<object>} allLinks - All tasks, for output-collision checks.
+ * @param {{success: boolean, result: object|null, failure: object|null}} run - What runScraper returned.
+ * @returns {{errorClass: string, message: string}|null} The failure, or null if the run succeeded.
+ */
+function settleRun(task, allLinks, { success, result, failure }) {
+  if (!success) {
+    task.Status = 'FAILED';
+    task.File = '';
+    return failure;
+  }
+  if (!result?.outputPath) {
+    task.Status = 'FAILED';
+    task.File = '';
+    log.warn(`Scraper for SL: ${task.SL} exited without writing an output file.`);
+    return { errorClass: FAILURE_CLASSES.PARSE_ERROR, message: 'No questions could be parsed.' };
+  }
+
+  recordResult(task, result);
+  log.success(`Updated task file to: ${task.File} (${result.questionCount} question(s), ${(result.durationMs / 1000).toFixed(1)}s)`);
+  reviewOutput(task, result.outputPath);
+  detectCollisions(task, allLinks);
+  if (result.failedQuestions.length > 0) {
+    task.Status = 'NEEDS_REVIEW';
+    log.warn(`Question(s) that failed to parse: ${result.failedQuestions.join(', ')}`);
+    return { errorClass: FAILURE_CLASSES.UNPARSED_QUESTIONS, message: `Failed to parse question(s): ${result.failedQuestions.join(', ')}` };
+  }
+  return null;
+}
+
+/**
+ * Scrapes one task, retrying according to the policy of each failure class,
+ * and appends every attempt to the task's `Attempts` history.
+ * @param {object} task - The task object from links.json (updated in place).
+ * @param {Array<object>} allLinks - All tasks, for output-collision checks.
+ * @param {ReturnType<typeof createRateLimiter>} limiter - The limiter shared by all workers.
+ * @param {Array<string>} scraperArgs - Extra scraper arguments shared by every task (pacing, browser address).
+ * @param {ReturnType<typeof createSessionGuard>} session - Pauses the batch when the login expires.
+ */
+async function processTask(task, allLinks, limiter, scraperArgs, session) {
+  for (let attempt = 1; ; attempt++) {
+    const startedAt = Date.now();
+    const failure = settleRun(task, allLinks, await runScraper(task, limiter, scraperArgs));
+    // Not the task's fault: it waits in the queue for the login to come back.
+    const sessionExpired = failure?.errorClass === FAILURE_CLASSES.SESSION_EXPIRED;
+    if (sessionExpired) task.Status = 'PENDING';
+
+    task.Attempts = [...(task.Attempts || []), {
+      startedAt: new Date(startedAt).toISOString(),
+      durationMs: Date.now() - startedAt,
+      outcome: failure ? 'failed' : 'success',
+      ...(failure && { errorClass: failure.errorClass, message: failure.message }),
+    }];
+    log.event('task', {
+      sl: task.SL, subject: task.Subject, link: task.Link, attempt, status: task.Status,
+      outcome: failure ? 'failed' : 'success', errorClass: failure?.errorClass, message: failure?.message,
+      questionCount: task.QuestionCount, durationMs: Date.now() - startedAt,
+    });
+    if (!failure) {
+      delete task.FailureClass;
+      return;
+    }
+    task.FailureClass = failure.errorClass;
+
+    if (sessionExpired) {
+      log.error(`SL: ${task.SL} hit a login wall: ${failure.message} Pausing the batch.`);
+      await saveLinks(allLinks);
+      if (await session.pause(task.Link)) continue;
+      return;
+    }
+
+    const policy = getRetryPolicy(failure.errorClass);
+    if (!policy.retryable || attempt >= policy.maxAttempts) {
+      log.error(`SL: ${task.SL} failed with ${failure.errorClass}${policy.retryable ? ` after ${attempt} attempt(s)` : ' (not retried)'}: ${failure.message}`);
+      return;
+    }
+
+    const wait = getRetryDelay(failure.errorClass, attempt);
+    log.warn(`SL: ${task.SL} failed with ${failure.errorClass}. Retrying in ${Math.round(wait / 1000)}s (attempt ${attempt + 1}/${policy.maxAttempts})...`);
+    await saveLinks(allLinks);
+    await delay(wait);
+  }
+}
+
+/**
+ * Puts failed tasks whose failure class can be retried back into the queue.
+ * Tasks from before failures were classified count as `unknown`.
+ * @param {Array<object>} allLinks - All tasks from links.json (updated in place).
+ * @returns {{requeued: number, skipped: number}}
+ */
+function requeueFailed(allLinks) {
+  let requeued = 0;
+  let skipped = 0;
+  for (const task of allLinks.filter(task => task.Status === 'FAILED')) {
+    if (getRetryPolicy(task.FailureClass || FAILURE_CLASSES.UNKNOWN).retryable) {
+      task.Status = 'PENDING';
+      requeued++;
+    } else {
+      log.warn(`Not retrying SL: ${task.SL} (${task.FailureClass}). Fix the cause and reset it by hand.`);
+      skipped++;
+    }
+  }
+  return { requeued, skipped };
+}
+
+/**
+ * Parses a CLI value as a positive integer or exits with an error.
+ * @param {string} value - The raw option value.
+ * @param {string} name - The option name for the error message.
+ * @returns {number}
+ */
+function parsePositiveInt(value, name) {
+  const number = parseInt(value, 10);
+  if (!Number.isInteger(number) || number < 1) {
+    log.error(`${name} must be a positive integer, got "${value}".`);
+    process.exit(1);
+  }
+  return number;
+}
+
 /**
  * The main function to manage the scraping process.
  */
 async function main() {
+  addBrowserOptions(program)
+    .option('-n, --concurrency <number>', 'Number of tabs to scrape in parallel', '1')
+    .option('--rpm <number>', 'Page requests per minute shared by all tabs', '30')
+    .option('--jitter <ms>', 'Random extra wait added to each request', '1000')
+    .option('--cooldown <ms>', 'Pause for all tabs after a request or scraper fails', '60000')
+    .option('--pacing <profile>', 'Human-like pause profile passed to each scraper (see config/pacing.json)', 'human')
+    .option('--extract <mode>', 'How each scraper reads questions: dom|network (network falls back to dom)', 'dom')
+    .option('--languages <codes>', 'Question languages each scraper captures, primary first (e.g. en,hi)', 'en')
+    .option('--cookies <file>', 'Login cookies to import at the start and whenever the session expires (re-read when the file changes)')
+    .option('--session-wait <minutes>', 'How long a paused batch waits for the login to come back', '30')
+    .option('--session-poll <seconds>', 'Time between login checks while paused', '30')
+    .option('--retry-failed', 'Re-queue FAILED tasks whose failure class can be retried')
+    .parse(process.argv);
+
+  const options = program.opts();
+  let browserOptions;
+  try {
+    browserOptions = getBrowserOptions(options);
+  } catch (err) {
+    log.error(err.message);
+    process.exit(1);
+  }
+  const concurrency = parsePositiveInt(options.concurrency, '--concurrency');
+  const limiter = createRateLimiter({
+    perMinute: parsePositiveInt(options.rpm, '--rpm'),
+    jitterMs: parseInt(options.jitter, 10) || 0,
+    cooldownMs: parseInt(options.cooldown, 10) || 0,
+  });
+
   log.info('Starting batch scraper...');
   setupDirectories();
   const allLinks = loadLinks();
 
+  if (options.retryFailed) {
+    const { requeued, skipped } = requeueFailed(allLinks);
+    log.info(`Re-queued ${requeued} failed task(s); ${skipped} cannot be retried.`);
+    if (requeued > 0) await saveLinks(allLinks);
+  }
+
   const pendingTasks = allLinks.filter(task => task.Status === 'PENDING');
   if (pendingTasks.length === 0) {
     log.success('All tasks are already completed. Nothing to do.');
     return;
   }
   
-  log.info(`Found ${pendingTasks.length} pending task(s). Starting process...`);
-
-  for (const task of allLinks) {
-    if (task.Status === 'PENDING') {
-      const success = await runScraper(task);
-
-      if (success) {
-        const outputFileName = findLatestOutputFile();
-        task.Status = 'COMPLETED';
-        if (outputFileName) {
-            task.File = path.relative(PROJECT_ROOT, path.join(OUTPUT_DIR, outputFileName));
-            log.success(`Updated task file to: ${task.File}`);
-        } else {
-            task.File = 'UNKNOWN';
-            log.warn('Could not find the output file for the completed task.');
-        }
-      } else {
-        task.Status = 'FAILED';
-        task.File = '';
-      }
+  const workerCount = Math.min(concurrency, pendingTasks.length);
+  log = createRunLogger({ console: consoleLog });
+  log.info(`Run ${log.runId}, logging to ${log.filePath}`);
+  log.event('run', { phase: 'start', tasks: pendingTasks.length, concurrency: workerCount, rpm: Number(options.rpm) });
+  log.info(`Found ${pendingTasks.length} pending task(s). Starting ${workerCount} worker(s) at ${options.rpm} requests/minute...`);
+
+  // One browser for every tab: scrapers attach to it instead of each launching
+  // their own, which the shared profile directory would not allow anyway.
+  let browser;
+  try {
+    browser = await startBrowser(browserOptions, log);
+  } catch (err) {
+    log.error(`Could not start the browser: ${err.message}`);
+    await log.close();
+    process.exit(1);
+  }
+  const scraperArgs = ['--pacing', options.pacing, '--extract', options.extract, '--languages', options.languages, ...toBrowserArgs(browser)];
+  const session = createSessionGuard(browser, {
+    cookiesPath: options.cookies,
+    pollMs: parsePositiveInt(options.sessionPoll, '--session-poll') * 1000,
+    maxWaitMs: parsePositiveInt(options.sessionWait, '--session-wait') * 60000,
+  }, limiter);
+
+  if (options.cookies) {
+    try {
+      const cookies = loadCookies(options.cookies);
+      await importCookies(browser, cookies);
+      log.info(`Imported ${cookies.length} cookie(s) from ${options.cookies}.`);
+    } catch (err) {
+      log.error(`Could not import cookies from ${options.cookies}: ${err.message}`);
+      await browser.close();
+      await log.close();
+      process.exit(1);
+    }
+  }
+
+  // Checked up front so an expired login pauses here instead of failing the first task.
+  log.action('Checking the Testbook session...');
+  await session.check(pendingTasks[0].Link);
 
-      saveLinks(allLinks);
-      log.info('Progress saved to links.json.');
+  const queue = [...pendingTasks];
+  const worker = async () => {
+    while (queue.length > 0 && await session.ready()) {
+      const task = queue.shift();
+      await processTask(task, allLinks, limiter, scraperArgs, session);
+      await saveLinks(allLinks);
+      log.info(`Progress saved to links.json (SL: ${task.SL}).`);
     }
+  };
+  try {
+    await Promise.all(Array.from({ length: workerCount }, worker));
+  } finally {
+    await browser.close();
+  }
+
+  const { granted, cooldowns } = limiter.stats();
+  log.info(`Rate limiter granted ${granted} request(s) with ${cooldowns} cool-down(s).`);
+  if (await session.ready()) {
+    log.success('All pending tasks have been processed.');
+  } else {
+    log.error(`Stopped with ${allLinks.filter(task => task.Status === 'PENDING').length} task(s) still PENDING: the session expired. Log in and run the batch again.`);
+    process.exitCode = 1;
   }
 
-  log.success('All pending tasks have been processed.');
+  log.event('run', { phase: 'end' });
+  const { runId, filePath } = log;
+  await log.close();
+  log = consoleLog;
+  const { markdownPath, htmlPath, summary } = writeRunReport(runId, readRunLog(filePath));
+  log.info(`${summary.questions} question(s) at ${summary.questionsPerMinute}/min.`);
+  log.success(`Run report saved to ${markdownPath} and ${htmlPath}`);
 }
 
-main();
\ No newline at end of file
+main();
@@ -0,0 +1,40 @@
+// src/workflows/scrapper/browser.js
+
+import { program } from 'commander';
+import { addBrowserOptions, getBrowserOptions, startBrowser, DEFAULT_PROFILE_DIR } from './utils/browser.js';
+
+// --------------------- Logging ---------------------
+const log = {
+  action: (msg) => console.log(`[*] ${msg}`),
+  info: (msg) => console.log(`[i] ${msg}`),
+  success: (msg) => console.log(`[✓] ${msg}`),
+  warn: (msg) => console.log(`[?] ${msg}`),
+  error: (msg) => console.error(`[x] ${msg}`),
+};
+
+// --------------------- Main Function ---------------------
+/**
+ * Opens the managed browser with its persistent profile so you can log in to
+ * Testbook once; later scraper runs reuse the saved session. Stays open until
+ * Ctrl+C, which shuts the browser down cleanly.
+ */
+async function main() {
+  addBrowserOptions(program).parse(process.argv);
+
+  let browser;
+  try {
+    browser = await startBrowser(getBrowserOptions(program.opts()), log);
+  } catch (err) {
+    log.error(err.message);
+    process.exit(1);
+  }
+  if (!browser.launched) {
+    log.warn('A browser is already running there; log in to it directly.');
+    return;
+  }
+  log.info(`Profile: ${DEFAULT_PROFILE_DIR}`);
+  log.info(`Debugging at http://${browser.host}:${browser.port}. Log in to Testbook, then press Ctrl+C to close the browser.`);
+  // The browser process keeps this one alive until it is closed or Ctrl+C is pressed.
+}
+
+main();
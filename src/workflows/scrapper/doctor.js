@@ -0,0 +1,168 @@
+// src/workflows/scrapper/doctor.js
+
+import CDP from 'chrome-remote-interface';
+import { program } from 'commander';
+import fs from 'fs';
+import path from 'path';
+import { humanClick } from './utils/human.js';
+import { loadPacingProfiles, createPacing } from './utils/pacing.js';
+import { waitForSelector, waitForVisible } from './utils/waits.js';
+import { getCandidates, resolveSelectorsLive } from './utils/selectorResolver.js';
+import { checkSelectors, detectPageKind } from './utils/selectorHealth.js';
+import { detectSessionState, SESSION_STATES } from './utils/session.js';
+import { addBrowserOptions, getBrowserOptions, startBrowser } from './utils/browser.js';
+
+// --------------------- Logging ---------------------
+const log = {
+  action: (msg) => console.log(`[*] ${msg}`),
+  info: (msg) => console.log(`[i] ${msg}`),
+  success: (msg) => console.log(`[✓] ${msg}`),
+  warn: (msg) => console.log(`[?] ${msg}`),
+  error: (msg) => console.error(`[x] ${msg}`),
+};
+
+// --------------------- Page Capture ---------------------
+const waitForAny = (Runtime, candidates, timeout) => waitForSelector(Runtime, candidates, timeout).then(() => true, () => false);
+
+const readHtml = async (Runtime) => (await Runtime.evaluate({ expression: 'document.documentElement.outerHTML' })).result.value;
+
+// Clicks get the default profile's jitter, as in a scrape.
+const pacing = createPacing(loadPacingProfiles());
+
+/**
+ * Opens an analysis page in a new tab and captures the analysis page and the
+ * first question of the solutions view with its solution shown. Missing
+ * elements are not fatal here; the report shows what was not found.
+ * @param {string} url - Analysis page URL.
+ * @param {{host: string, port: number}} browser - Debugging browser address (see startBrowser).
+ * @returns {Promise<{analysis: string, solutions: string|null}>}
+ */
+async function capturePages(url, { host, port }) {
+  const browserClient = await CDP({ host, port });
+  const { targetId } = await browserClient.Target.createTarget({ url: 'about:blank' });
+  const tabClient = await CDP({ host, port, target: targetId });
+  try {
+    const { Page, Runtime, Input } = tabClient;
+    await Promise.all([Page.enable(), Runtime.enable()]);
+    log.action(`Opening ${url}`);
+    await Page.navigate({ url });
+    await Page.loadEventFired();
+
+    const ready = await waitForAny(Runtime, getCandidates('scraper', 'solutionsButton'), 10000);
+    const state = await detectSessionState(Runtime);
+    if (state === SESSION_STATES.LOGIN) log.warn('The page shows a login prompt; log in to the debugging browser first (npm run browser).');
+    if (state === SESSION_STATES.PAYWALL) log.warn('The page asks for a Testbook Pass; the logged-in account cannot open this test.');
+    const analysis = await readHtml(Runtime);
+    if (!ready) {
+      log.warn('Solutions button not found; only the analysis page was checked.');
+      return { analysis, solutions: null };
+    }
+
+    log.action('Opening the solutions view...');
+    let activeSelectors = await resolveSelectorsLive(Runtime);
+    await humanClick(Runtime, Input, activeSelectors.scraper.solutionsButton, { pacing });
+    await Page.loadEventFired();
+    await waitForAny(Runtime, getCandidates('parser', 'activeQuestionContainer'), 10000);
+
+    activeSelectors = await resolveSelectorsLive(Runtime);
+    try {
+      await humanClick(Runtime, Input, activeSelectors.scraper.viewSolutionButton, { pacing });
+      if (!await waitForVisible(Runtime, `${activeSelectors.parser.activeQuestionContainer} ${activeSelectors.parser.solution}`)) log.warn('The solution did not appear within 10s.');
+    } catch {
+      log.warn('View Solution button not found; the solution selector will be reported as missing.');
+    }
+    return { analysis, solutions: await readHtml(Runtime) };
+  } finally {
+    await browserClient.Target.closeTarget({ targetId }).catch(() => {});
+    await tabClient.close();
+    await browserClient.close();
+  }
+}
+
+// --------------------- Report ---------------------
+function printResults(results) {
+  for (const result of results) {
+    const name = `${result.group}.${result.key}`;
+    const matched = result.candidates[result.matchedIndex];
+    switch (result.status) {
+      case 'ok':
+        log.success(`${name}: ${result.count} match(es) on ${result.page} page (expected ${result.expected})`);
+        break;
+      case 'skipped':
+        log.info(`${name}: skipped, no ${result.page} page captured`);
+        break;
+      case 'high':
+        log.warn(`${name}: ${result.count} match(es) on ${result.page} page, expected ${result.expected}: ${matched.selector}`);
+        break;
+      case 'fallback':
+        log.warn(`${name}: primary selector matched nothing; fallback #${result.matchedIndex + 1} matched ${result.count}: ${matched.selector}`);
+        break;
+      default:
+        log.error(`${name}: no selector matched on ${result.page} page (expected ${result.expected})`);
+        result.candidates.forEach(({ selector, count }) => log.error(`    ${count} × ${selector}`));
+    }
+    result.suggestions.forEach(({ selector, count }) => log.info(`    suggestion: ${selector} (${count} match(es))`));
+  }
+}
+
+// --------------------- Main Function ---------------------
+async function main() {
+  addBrowserOptions(program)
+    .option('-l, --link <url>', 'Analysis page to check in the debugging browser')
+    .option('--from-html <files...>', 'Check saved pages (analysis page and/or a solutions snapshot) instead')
+    .option('--save-html <dir>', 'Save the pages captured from --link')
+    .option('--report <path>', 'Write the results as JSON')
+    .parse(process.argv);
+
+  const options = program.opts();
+  const pages = {};
+  if (options.fromHtml) {
+    for (const file of options.fromHtml) {
+      if (!fs.existsSync(file)) { log.error(`File not found: ${file}`); process.exit(1); }
+      const html = fs.readFileSync(file, 'utf-8');
+      const kind = detectPageKind(html);
+      if (pages[kind]) log.warn(`More than one ${kind} page given; using ${file}.`);
+      pages[kind] = html;
+      log.info(`${file}: ${kind} page`);
+    }
+  } else if (options.link) {
+    let browser;
+    try {
+      browser = await startBrowser(getBrowserOptions(options), log);
+      Object.assign(pages, await capturePages(options.link, browser));
+    } catch (err) {
+      log.error(`Could not capture the page: ${err.message}`);
+      if (browser) await browser.close();
+      process.exit(1);
+    }
+    await browser.close();
+    if (options.saveHtml) {
+      fs.mkdirSync(options.saveHtml, { recursive: true });
+      for (const [kind, html] of Object.entries(pages).filter(([, html]) => html)) {
+        fs.writeFileSync(path.join(options.saveHtml, `${kind}.html`), html);
+      }
+      log.info(`Saved captured pages to ${options.saveHtml}`);
+    }
+  } else {
+    log.error('Give an analysis page --link or --from-html files.');
+    process.exit(1);
+  }
+
+  const results = checkSelectors(pages);
+  console.log('');
+  printResults(results);
+
+  if (options.report) {
+    fs.mkdirSync(path.dirname(path.resolve(options.report)), { recursive: true });
+    fs.writeFileSync(options.report, JSON.stringify({ checkedAt: new Date().toISOString(), results }, null, 2));
+    log.info(`Report saved to ${options.report}`);
+  }
+
+  const count = status => results.filter(result => result.status === status).length;
+  console.log('');
+  const summary = `${count('ok')} ok, ${count('fallback')} on fallback, ${count('high')} over the expected count, ${count('fail')} failed, ${count('skipped')} skipped.`;
+  if (count('fail') > 0) { log.error(summary); process.exit(1); }
+  log.success(summary);
+}
+
+main();
@@ -2,11 +2,26 @@
 
 import CDP from 'chrome-remote-interface';
 import { program } from 'commander';
-import * as cheerio from 'cheerio';
 import fs from 'fs';
 import path from 'path';
-import { selectors } from './utils/selectors.js';
-import { transformAndSanitizeHtml } from './utils/sanitizer.js';
+import { getCandidates, resolveSelectorsLive } from './utils/selectorResolver.js';
+import { scrapeSingleQuestionPage, buildQuestionRecord, extractExamTitle, sanitizeExamName, readQuestionMeta } from './utils/parser.js';
+import { createResponseRecorder, loadRecordedResponses, extractQuestionSet, findIncompleteReason } from './utils/apiExtractor.js';
+import { createSnapshotStore, readSnapshotManifest, SNAPSHOT_MODES } from './utils/snapshotStore.js';
+import { saveCheckpoint, loadCheckpoint, clearCheckpoint } from './utils/checkpoint.js';
+import { randomDelay, smoothScroll, humanClick } from './utils/human.js';
+import { waitForSelector, waitForVisible, waitForAngularIdle, waitForQuestionChange, readQuestionSignature } from './utils/waits.js';
+import { loadPacingProfiles, createPacing, DEFAULT_PACING_PATH, DEFAULT_PACING_PROFILE } from './utils/pacing.js';
+import { createNavigator, NavigationError } from './utils/navigator.js';
+import { createRequestGate } from './utils/rateLimiter.js';
+import { hashFile, reportRunResult, reportRunFailure } from './utils/runResult.js';
+import { classifyFailure, FAILURE_CLASSES } from './utils/failures.js';
+import { detectSessionState, waitForSessionState, loadCookies, importCookies, SessionExpiredError, SESSION_STATES } from './utils/session.js';
+import { createRunLogger } from './utils/runLogger.js';
+import { addBrowserOptions, getBrowserOptions, startBrowser } from './utils/browser.js';
+import { LANGUAGES, parseLanguages, addLanguageFields, switchLanguage } from './utils/languages.js';
+import { createMediaStore, createCdpFetcher } from './utils/mediaStore.js';
+import { loadTagProfiles, resolveTagProfile, createTagger, DEFAULT_TAG_PROFILES_PATH } from './utils/tagRules.js';
 
 // --------------------- Logging ---------------------
 const consoleLog = {
@@ -17,307 +32,579 @@ const consoleLog = {
   error: (msg) => console.error(`[x] ${msg}`),
 };
 
-function createLogger(logFilePath) {
-  const logDir = path.dirname(logFilePath);
-  fs.mkdirSync(logDir, { recursive: true });
-  const logStream = fs.createWriteStream(logFilePath, { flags: 'a' });
-  const formatFileMessage = (level, msg) => `[${new Date().toISOString()}] [${level.toUpperCase()}] ${msg}\n`;
-
-  return {
-    action: (msg) => { console.log(`[*] ${msg}`); logStream.write(formatFileMessage('action', msg)); },
-    info: (msg) => { console.log(`[i] ${msg}`); logStream.write(formatFileMessage('info', msg)); },
-    success: (msg) => { console.log(`[✓] ${msg}`); logStream.write(formatFileMessage('success', msg)); },
-    warn: (msg) => { console.log(`[?] ${msg}`); logStream.write(formatFileMessage('warn', msg)); },
-    error: (msg) => { 
-      const message = msg instanceof Error ? (msg.stack || msg.toString()) : msg;
-      console.error(`[x] ${message}`); 
-      logStream.write(formatFileMessage('error', message));
-    },
-    close: () => { logStream.end(); }
-  };
+const LAST_QUESTION_TEXT = 'You have reached the last question.';
+const EXTRACT_MODES = ['dom', 'network'];
+
+// --------------------- Output ---------------------
+function saveScrapedData(allData, sanitizedExamName, log) {
+  if (allData.length === 0) { log.warn('No data scraped.'); return null; }
+  const outDir = path.join('output', 'scraped');
+  fs.mkdirSync(outDir, { recursive: true });
+  const filePath = path.join(outDir, `${sanitizedExamName}.json`);
+  fs.writeFileSync(filePath, JSON.stringify(allData, null, 2));
+  log.success(`Scraping completed! Saved ${allData.length} questions to ${filePath}`);
+  return filePath;
 }
 
-// --------------------- Delays & Randomization ---------------------
-const delay = ms => new Promise(res => setTimeout(res, ms));
-const randomDelay = (min, max) => delay(Math.floor(Math.random() * (max - min + 1) + min));
-
-// --------------------- Timeout Error ---------------------
-class TimeoutError extends Error {
-  constructor(message) {
-    super(message);
-    this.name = "TimeoutError";
-  }
+/**
+ * Reports the finished run to the batch runner (when there is one) so it
+ * never has to guess which file a scrape produced.
+ */
+async function finishRun({ filePath, allData, failedQuestions, examTitle, startTime }, log) {
+  if (failedQuestions.length > 0) log.warn(`Failed to parse question(s): ${failedQuestions.join(', ')}`);
+  const result = {
+    outputPath: filePath ? path.resolve(filePath) : null,
+    questionCount: allData.length,
+    failedQuestions,
+    examTitle,
+    durationMs: Date.now() - startTime,
+    hash: filePath ? hashFile(filePath) : null,
+  };
+  log.event('result', result);
+  await reportRunResult(result);
 }
 
-// --------------------- Wait for Selector ---------------------
-async function waitForSelector(Runtime, selector, timeout) {
-  const startTime = Date.now();
-  while (Date.now() - startTime < timeout) {
-    const { result } = await Runtime.evaluate({ expression: `document.querySelector('${selector}') !== null` });
-    if (result.value) return;
-    await delay(250);
-  }
-  throw new TimeoutError(`Timeout: waited ${timeout}ms for selector "${selector}"`);
+// --------------------- Tagging ---------------------
+function setupTagger(examTitle, { tagProfile, tagProfiles }, log) {
+  const profile = resolveTagProfile(tagProfiles, tagProfile, examTitle);
+  log.info(`Tag profile: ${profile.name}${tagProfile ? '' : ' (auto-detected)'}`);
+  return createTagger(profile, examTitle);
 }
 
-// --------------------- Human-like Scroll & Mouse ---------------------
-async function smoothScroll(Runtime, distance = 150, steps = 5) {
-  const stepSize = distance / steps;
-  for (let i = 0; i < steps; i++) {
-    const direction = Math.random() > 0.5 ? 1 : -1;
-    await Runtime.evaluate({ expression: `window.scrollBy(0, ${stepSize * direction})` });
-    // FASTER: Reduced scroll delay
-    await randomDelay(20, 50);
+/**
+ * Writes the questions no tag rule matched to `output/reports/unmatched-tags/`
+ * so a new section layout shows up instead of silently producing empty Tags.
+ */
+function reportUnmatchedTags(tagger, sanitizedExamName, log) {
+  const report = tagger.getUnmatchedReport();
+  if (!report) return;
+  const outDir = path.join('output', 'reports', 'unmatched-tags');
+  fs.mkdirSync(outDir, { recursive: true });
+  const filePath = path.join(outDir, `${sanitizedExamName}.json`);
+  fs.writeFileSync(filePath, JSON.stringify(report, null, 2));
+  for (const { sectionName, count } of report.sections) {
+    log.warn(`No tag rule matched ${count} question(s) in section "${sectionName || '(none)'}".`);
   }
+  log.warn(`Unmatched tag report saved to ${filePath}`);
 }
 
-async function humanMoveMouse(Input, startX, startY, endX, endY, steps = 8) {
-  for (let i = 0; i <= steps; i++) {
-    const x = startX + ((endX - startX) * i) / steps + Math.random() * 2;
-    const y = startY + ((endY - startY) * i) / steps + Math.random() * 2;
-    await Input.dispatchMouseEvent({ type: 'mouseMoved', x, y });
-    // FASTER: Reduced mouse move delay
-    await randomDelay(5, 15);
+// --------------------- Offline Parse ---------------------
+/**
+ * Lists the snapshots in a directory. A `manifest.json` written by the raw
+ * snapshot store supplies order, positions and section names; otherwise every
+ * `.html` file is taken in file-name order as positions 1..N.
+ */
+function loadSnapshots(dir) {
+  const manifest = readSnapshotManifest(dir);
+  if (manifest) {
+    const snapshots = manifest.entries.map(entry => ({
+      file: entry.file,
+      position: entry.position,
+      sectionName: entry.sectionName,
+      html: fs.readFileSync(path.join(dir, entry.file), 'utf-8'),
+    }));
+    return { examTitle: manifest.examTitle, snapshots };
   }
+
+  const files = fs.readdirSync(dir)
+    .filter(file => file.endsWith('.html'))
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+  const snapshots = files.map((file, i) => ({
+    file,
+    position: i + 1,
+    html: fs.readFileSync(path.join(dir, file), 'utf-8'),
+  }));
+  return { examTitle: snapshots.map(snap => extractExamTitle(snap.html)).find(Boolean), snapshots };
 }
 
-async function humanClick(Runtime, Input, selector) {
-  const { result } = await Runtime.evaluate({
-    expression: `(() => {
-      const el = document.querySelector('${selector}');
-      if (!el) return null;
-      const r = el.getBoundingClientRect();
-      return { x: r.left + r.width / 2, y: r.top + r.height / 2 };
-    })();`,
-    returnByValue: true
-  });
+/**
+ * Replays saved page snapshots (one `.html` file per question) through the
+ * same parser as a live session, without a browser.
+ */
+async function parseFromHtml(dir, { scrapeLimit, commonTag, skipCount, tagOptions, mediaFetcher, startTime, runLog }) {
+  if (!fs.existsSync(dir)) { runLog.error(`Snapshot directory not found: ${dir}`); process.exit(1); }
 
-  if (!result.value) throw new Error(`Selector not found: ${selector}`);
-  const { x, y } = result.value;
+  const { examTitle, snapshots } = loadSnapshots(dir);
+  if (snapshots.length === 0) { runLog.error(`No .html snapshots found in: ${dir}`); process.exit(1); }
+  runLog.info(`Found ${snapshots.length} snapshot(s) in ${dir}`);
+  if (!examTitle) { runLog.error('Exam title not found in any snapshot.'); process.exit(1); }
+  const sanitizedExamName = sanitizeExamName(examTitle);
 
-  await humanMoveMouse(Input, x + Math.random()*20 - 10, y + Math.random()*20 - 10, x, y);
-  // FASTER: Reduced pre-click delay
-  await randomDelay(50, 150);
+  const logger = runLog.with({ exam: sanitizedExamName });
+  try {
+    logger.info(`Exam: ${examTitle} (offline parse)`);
+    if (commonTag) logger.info(`Common tag: ${commonTag}`);
+    const tagger = setupTagger(examTitle, tagOptions, logger);
+    const mediaStore = mediaFetcher ? createMediaStore() : null;
+    if (mediaStore) logger.info(`Mirroring images to ${mediaStore.dir}`);
 
-  await Input.dispatchMouseEvent({ type: 'mousePressed', x, y, button: 'left', clickCount: 1 });
-  await randomDelay(40, 80);
-  await Input.dispatchMouseEvent({ type: 'mouseReleased', x, y, button: 'left', clickCount: 1 });
-  // FASTER: Reduced post-click delay
-  await randomDelay(100, 200);
-}
+    const allData = [];
+    const failedQuestions = [];
+    let serial = 1;
+    for (const snap of snapshots.filter(snap => snap.position > skipCount)) {
+      logger.action(`Parsing snapshot ${snap.file} as question #${snap.position}`);
+      const questionLog = logger.with({ question: snap.position });
+      const qData = await questionLog.time('parse', () => scrapeSingleQuestionPage(
+        snap.html, snap.position, questionLog, 1000 + snap.position - 1, serial, { sectionName: snap.sectionName, tagger, mediaStore }
+      ));
+      if (qData) {
+        if (commonTag) qData.Tags.push(commonTag);
+        allData.push(qData);
+        serial++;
+        logger.success(`Parsed Question SL #${qData.SL}`);
+      } else {
+        logger.warn(`Failed to parse question #${snap.position}`);
+        failedQuestions.push(snap.position);
+      }
 
-// --------------------- Tagging ---------------------
-function getTagForQuestion(sectionName, questionNumber) {
-  if (!sectionName || typeof questionNumber !== 'number') return null;
-  const s = sectionName.trim();
-  if (s === "Section I") {
-    if (questionNumber >= 1 && questionNumber <= 30) return 'MATH';
-    if (questionNumber >= 31 && questionNumber <= 60) return 'GI';
+      if (allData.length >= scrapeLimit) { logger.info('Reached scrape limit.'); break; }
+    }
+
+    const filePath = saveScrapedData(allData, sanitizedExamName, logger);
+    reportUnmatchedTags(tagger, sanitizedExamName, logger);
+    await finishRun({ filePath, allData, failedQuestions, examTitle, startTime }, logger);
+  } finally {
+    await runLog.close();
   }
-  if (s === "Section II") {
-    if (questionNumber >= 1 && questionNumber <= 45) return 'ENG';
-    if (questionNumber >= 46 && questionNumber <= 70) return 'GK';
+}
+
+// --------------------- API Extraction ---------------------
+/**
+ * Reads the question set in the primary language, plus every extra language
+ * from the same responses: the API carries all languages at once, so no
+ * switching is needed. Questions without a translation are left out of it.
+ * @returns {{questionSet: object|null, translations: Array<{code: string, byPosition: Map<number, object>}>}}
+ */
+function extractLanguages(responses, [primary, ...extra]) {
+  const questionSet = extractQuestionSet(responses, { language: LANGUAGES[primary].apiKey });
+  const translations = extra.map(code => {
+    const { apiKey } = LANGUAGES[code];
+    const questions = extractQuestionSet(responses, { language: apiKey })?.questions || [];
+    return { code, byPosition: new Map(questions.filter(q => q.language === apiKey).map(q => [q.position, q])) };
+  });
+  return { questionSet, translations };
+}
+
+/**
+ * Builds the question records of a whole exam from its API question set
+ * (see apiExtractor.js), honouring --skip and --count like the DOM walk.
+ * @returns {Promise<{allData: Array<object>, failedQuestions: Array<number>}>}
+ */
+async function buildApiRecords({ questionSet, translations }, { scrapeLimit, commonTag, skipCount, tagger, mediaStore, languages }, logger) {
+  const allData = [];
+  const failedQuestions = [];
+  let serial = 1;
+  for (const question of questionSet.questions.filter(q => q.position > skipCount)) {
+    const questionLog = logger.with({ question: question.position });
+    const noteId = 1000 + question.position - 1;
+    const qData = await questionLog.time('parse', () => buildQuestionRecord(
+      question, questionLog, noteId, serial, { tagger, mediaStore }
+    ), { source: 'api' });
+    if (qData) {
+      for (const { code, byPosition } of translations) {
+        if (!byPosition.has(question.position)) continue;
+        const translated = await buildQuestionRecord(byPosition.get(question.position), questionLog, noteId, serial, { mediaStore });
+        addLanguageFields(qData, translated, code, languages[0]);
+      }
+      if (commonTag) qData.Tags.push(commonTag);
+      allData.push(qData);
+      serial++;
+    } else {
+      failedQuestions.push(question.position);
+    }
+    if (allData.length >= scrapeLimit) { logger.info('Reached scrape limit.'); break; }
   }
-  const lc = s.toLowerCase();
-  if (lc.includes("quantitative") || lc.includes("quants")) return 'MATH';
-  if (lc.includes("intelligence") || lc.includes("reasoning")) return 'GI';
-  if (lc.includes("english")) return 'ENG';
-  if (lc.includes("awareness") || lc.includes("knowledge")) return 'GK';
-  if (lc.includes("computer")) return 'COMPUTER';
-  if (lc.includes("bengali")) return 'BENGALI';
-  return null;
+  logger.success(`Built ${allData.length} question(s) from the API responses.`);
+  translations.forEach(({ code }) => {
+    logger.info(`${LANGUAGES[code].name}: ${allData.filter(q => q.Languages?.includes(code)).length} of ${allData.length} question(s).`);
+  });
+  return { allData, failedQuestions };
 }
 
-// --------------------- Scrape Single Question ---------------------
-async function scrapeSingleQuestionPage(html, fallbackCounter, log, noteId, serialNumber) {
+/**
+ * Replays API responses saved with --save-responses through the same mapping
+ * as a live --extract network run, without a browser.
+ */
+async function parseFromResponses(dir, { scrapeLimit, commonTag, skipCount, tagOptions, mediaFetcher, languages, startTime, runLog }) {
+  if (!fs.existsSync(dir)) { runLog.error(`Response directory not found: ${dir}`); process.exit(1); }
+
+  const responses = loadRecordedResponses(dir);
+  runLog.info(`Found ${responses.length} recorded response(s) in ${dir}`);
+  const extracted = extractLanguages(responses, languages);
+  const { questionSet } = extracted;
+  if (!questionSet) { runLog.error('No question set found in the recorded responses.'); process.exit(1); }
+  const incomplete = findIncompleteReason(questionSet);
+  if (incomplete) runLog.warn(`Recorded responses are incomplete: ${incomplete}.`);
+  if (!questionSet.title) { runLog.error('Exam title not found in the recorded responses.'); process.exit(1); }
+  const examTitle = questionSet.title;
+  const sanitizedExamName = sanitizeExamName(examTitle);
+
+  const logger = runLog.with({ exam: sanitizedExamName });
   try {
-    const $ = cheerio.load(html);
-    const s = selectors.parser;
-    const $container = $(s.activeQuestionContainer);
-    if ($container.length === 0) { log.warn('No active question container.'); return null; }
-
-    const $numEl = $container.find(s.questionNumber).clone();
-    $numEl.find('span.hidden-xs').remove();
-    const slText = $numEl.text().trim();
-    const qNum = slText.match(/\d+/) ? parseInt(slText.match(/\d+/)[0], 10) : fallbackCounter;
-    const sectionName = $(s.sectionName).text().trim();
-    const tag = getTagForQuestion(sectionName, qNum);
-
-    const rawComprehension = $container.find(s.comprehension).html()?.trim();
-    const rawQuestionBody = $container.find(s.questionBody).html()?.trim();
-    const rawSolution = $container.find(s.solution).html()?.trim();
-
-    const rawOptions = [];
-    $container.find(s.optionContainer).each((_, el) => {
-      rawOptions.push($(el).find(s.optionText).html()?.trim());
-    });
-
-    const sanitizedComprehension = await transformAndSanitizeHtml(rawComprehension);
-    const sanitizedQuestionBody = await transformAndSanitizeHtml(rawQuestionBody);
-    const sanitizedSolution = await transformAndSanitizeHtml(rawSolution);
-    const sanitizedOptions = await Promise.all(rawOptions.map(opt => transformAndSanitizeHtml(opt)));
-
-    let finalQuestionHtml = sanitizedQuestionBody;
-    if (sanitizedComprehension) finalQuestionHtml = `${sanitizedComprehension}<br><br><strong><u>Question</u></strong><br>${sanitizedQuestionBody}`;
-
-    const correctAnswerIndex = $container.find(s.optionContainer).filter(`.${s.correctOptionClass}`).index();
-    if (!finalQuestionHtml || sanitizedOptions.length === 0) { log.warn(`Invalid data for question #${qNum}`); return null; }
-
-    return {
-      noteId, SL: serialNumber, Question: finalQuestionHtml,
-      OP1: sanitizedOptions[0] || null, OP2: sanitizedOptions[1] || null,
-      OP3: sanitizedOptions[2] || null, OP4: sanitizedOptions[3] || null,
-      Answer: correctAnswerIndex !== -1 ? correctAnswerIndex + 1 : 0,
-      Solution: sanitizedSolution, Tags: tag ? [tag] : []
-    };
-  } catch (e) {
-    log.error('Error parsing question.'); log.error(e); return null;
+    logger.info(`Exam: ${examTitle} (offline, from API responses)`);
+    if (commonTag) logger.info(`Common tag: ${commonTag}`);
+    const tagger = setupTagger(examTitle, tagOptions, logger);
+    const mediaStore = mediaFetcher ? createMediaStore() : null;
+    if (mediaStore) logger.info(`Mirroring images to ${mediaStore.dir}`);
+
+    const { allData, failedQuestions } = await buildApiRecords(extracted, { scrapeLimit, commonTag, skipCount, tagger, mediaStore, languages }, logger);
+    const filePath = saveScrapedData(allData, sanitizedExamName, logger);
+    reportUnmatchedTags(tagger, sanitizedExamName, logger);
+    await finishRun({ filePath, allData, failedQuestions, examTitle, startTime }, logger);
+  } finally {
+    await runLog.close();
   }
 }
 
 // --------------------- Main Function ---------------------
 async function main() {
-  program
+  const startTime = Date.now();
+  addBrowserOptions(program)
     .option('-l, --link <url>', 'Full URL to analysis page')
     .option('-c, --count <number>', 'Number of questions to scrape')
     .option('-t, --tag <tag>', 'Common tag for all questions')
     .option('-s, --skip <number>', 'Skip first N questions', '0')
+    .option('--tag-profile <name>', 'Tag profile to use (default: auto-detect from the exam title)')
+    .option('--tag-rules <path>', 'Path to the tag profiles JSON file', DEFAULT_TAG_PROFILES_PATH)
+    .option('--mirror-media [fetcher]', 'Download images to output/media/ and rewrite their src (node|cdp)')
+    .option('--from-html <dir>', 'Parse saved page snapshots from a directory instead of a live browser')
+    .option('--extract <mode>', `How questions are read: ${EXTRACT_MODES.join('|')} (network reads the test API responses and falls back to dom)`, 'dom')
+    .option('--languages <codes>', `Question languages to capture, primary first (${Object.keys(LANGUAGES).join('|')}, e.g. en,hi)`, 'en')
+    .option('--save-responses <dir>', 'Save the recorded test API responses, for --from-responses')
+    .option('--from-responses <dir>', 'Build the questions from saved API responses instead of a live browser')
+    .option('-r, --resume', 'Continue from the checkpoint left by an interrupted run')
+    .option('--save-raw [mode]', `Archive each question's raw HTML to output/raw/<exam>/ (${SNAPSHOT_MODES.join('|')})`)
+    .option('--rpm <number>', 'Limit page requests per minute (the batch scraper shares its own limit instead)')
+    .option('--cookies <file>', 'Import login cookies (cookie JSON, storage-state JSON or cookies.txt) before opening the page')
+    .option('--pacing <profile>', 'Human-like pause profile between actions', DEFAULT_PACING_PROFILE)
+    .option('--pacing-config <path>', 'Path to the pacing profiles JSON file', DEFAULT_PACING_PATH)
     .parse(process.argv);
 
   const options = program.opts();
-  if (!options.link) { consoleLog.error('The --link argument is required.'); process.exit(1); }
-
-  const url = options.link;
   const scrapeLimit = options.count ? parseInt(options.count, 10) : Infinity;
   const commonTag = options.tag;
-  const skipCount = parseInt(options.skip, 10);
+  let skipCount = parseInt(options.skip, 10);
+  const snapshotMode = options.saveRaw === true ? 'page' : options.saveRaw;
+  if (snapshotMode && !SNAPSHOT_MODES.includes(snapshotMode)) {
+    consoleLog.error(`--save-raw must be one of: ${SNAPSHOT_MODES.join(', ')}`); process.exit(1);
+  }
+
+  let tagProfiles;
+  try {
+    tagProfiles = loadTagProfiles(options.tagRules);
+  } catch (err) {
+    consoleLog.error(`Failed to read tag profiles from ${options.tagRules}: ${err.message}`); process.exit(1);
+  }
+  if (options.tagProfile && !tagProfiles[options.tagProfile]) {
+    consoleLog.error(`Unknown tag profile "${options.tagProfile}". Available: ${Object.keys(tagProfiles).join(', ')}`); process.exit(1);
+  }
+  const tagOptions = { tagProfile: options.tagProfile, tagProfiles };
+
+  const mediaFetcher = options.mirrorMedia === true ? 'node' : options.mirrorMedia;
+  if (mediaFetcher && !['node', 'cdp'].includes(mediaFetcher)) {
+    consoleLog.error('--mirror-media must be one of: node, cdp'); process.exit(1);
+  }
 
-  consoleLog.action(`Opening URL: ${url}`);
-  if (scrapeLimit !== Infinity) consoleLog.info(`Scraping limited to ${scrapeLimit} questions.`);
+  if (!EXTRACT_MODES.includes(options.extract)) {
+    consoleLog.error(`--extract must be one of: ${EXTRACT_MODES.join(', ')}`); process.exit(1);
+  }
+
+  let languages;
+  try {
+    languages = parseLanguages(options.languages);
+  } catch (err) {
+    consoleLog.error(err.message); process.exit(1);
+  }
+  const [primaryLanguage] = languages;
+  let extraLanguages = languages.slice(1);
+
+  if (options.fromResponses) {
+    if (mediaFetcher === 'cdp') { consoleLog.error('--mirror-media cdp needs a live browser.'); process.exit(1); }
+    const runLog = createRunLogger({ console: consoleLog, fields: commonTag ? { sl: commonTag } : {} });
+    return parseFromResponses(options.fromResponses, { scrapeLimit, commonTag, skipCount, tagOptions, mediaFetcher, languages, startTime, runLog });
+  }
 
-  let browserClient, tabClient, logger, sanitizedExamName;
+  if (options.fromHtml) {
+    if (mediaFetcher === 'cdp') { consoleLog.error('--mirror-media cdp needs a live browser.'); process.exit(1); }
+    if (scrapeLimit !== Infinity) consoleLog.info(`Parsing limited to ${scrapeLimit} questions.`);
+    if (extraLanguages.length > 0) consoleLog.warn('A snapshot holds only the language it was saved in; --languages is ignored.');
+    const runLog = createRunLogger({ console: consoleLog, fields: commonTag ? { sl: commonTag } : {} });
+    return parseFromHtml(options.fromHtml, { scrapeLimit, commonTag, skipCount, tagOptions, mediaFetcher, startTime, runLog });
+  }
 
+  if (!options.link) { consoleLog.error('The --link argument is required.'); process.exit(1); }
+  const url = options.link;
+  const perMinute = options.rpm ? Number(options.rpm) : 0;
+  if (Number.isNaN(perMinute) || perMinute < 0) { consoleLog.error('--rpm must be a positive number.'); process.exit(1); }
+  let pacing, browserOptions;
   try {
-    browserClient = await CDP();
-    consoleLog.success('Connected to browser.');
-    const { Target } = browserClient;
-    const { targetId } = await Target.createTarget({ url: 'about:blank' });
-    tabClient = await CDP({ target: targetId });
-    consoleLog.success(`Connected to new tab: ${targetId}`);
-
-    const { Page, Runtime, Input } = tabClient;
+    browserOptions = getBrowserOptions(options);
+  } catch (err) {
+    consoleLog.error(err.message); process.exit(1);
+  }
+  try {
+    pacing = createPacing(loadPacingProfiles(options.pacingConfig), options.pacing);
+  } catch (err) {
+    consoleLog.error(`Failed to set up pacing: ${err.message}`); process.exit(1);
+  }
+  const gate = await createRequestGate({ perMinute });
+
+  const runLog = createRunLogger({ console: consoleLog, fields: commonTag ? { sl: commonTag } : {} });
+  runLog.info(`Run log: ${runLog.filePath}`);
+  runLog.info(`Pacing: ${pacing.name}`);
+  runLog.action(`Opening URL: ${url}`);
+  if (scrapeLimit !== Infinity) runLog.info(`Scraping limited to ${scrapeLimit} questions.`);
+
+  let browser, browserClient, tabClient, targetId, logger, sanitizedExamName;
+  let stage = 'connect';
+  let scrapedCount = 0;
+
+  try {
+    browser = await startBrowser(browserOptions, runLog);
+    browserClient = await CDP({ host: browser.host, port: browser.port });
+    runLog.success('Connected to browser.');
+    ({ targetId } = await browserClient.Target.createTarget({ url: 'about:blank' }));
+    tabClient = await CDP({ host: browser.host, port: browser.port, target: targetId });
+    runLog.success(`Connected to new tab: ${targetId}`);
+
+    if (options.cookies) {
+      const cookies = loadCookies(options.cookies);
+      await importCookies(browser, cookies);
+      runLog.info(`Imported ${cookies.length} cookie(s) from ${options.cookies}.`);
+    }
+
+    const { Page, Runtime, Input, Network } = tabClient;
     await Promise.all([Page.enable(), Runtime.enable()]);
+    // Started before navigating: the test API is called while the analysis page loads.
+    const recorder = options.extract === 'network' || options.saveResponses ? createResponseRecorder(Network) : null;
+    if (recorder) await recorder.start();
 
+    stage = 'navigate';
     for (let i = 1; i <= 3; i++) {
       try {
-        consoleLog.action(`Navigating to URL (Attempt ${i}/3)...`);
-        await Page.navigate({ url, timeout: 60000 });
-        await Page.loadEventFired();
-        consoleLog.success('Page loaded.');
+        await gate.acquire();
+        runLog.action(`Navigating to URL (Attempt ${i}/3)...`);
+        await runLog.time('navigate', async () => {
+          await Page.navigate({ url, timeout: 60000 });
+          await Page.loadEventFired();
+        }, { attempt: i });
+        runLog.success('Page loaded.');
         break;
       } catch (err) {
-        consoleLog.warn(`Attempt ${i} failed: ${err.message}`);
+        runLog.warn(`Attempt ${i} failed: ${err.message}`);
+        await gate.reportError();
         if (i < 3) await randomDelay(4000, 6000);
         else throw err;
       }
     }
 
+    stage = 'setup';
     try {
-      consoleLog.action('Waiting for page content...');
-      await waitForSelector(Runtime, selectors.parser.examName, 10000);
-      await waitForSelector(Runtime, selectors.scraper.solutionsButton, 10000);
+      runLog.action('Waiting for page content...');
+      const sessionState = await runLog.time('wait', () => waitForSessionState(Runtime), { target: 'session' });
+      if (sessionState === SESSION_STATES.LOGIN || sessionState === SESSION_STATES.PAYWALL) throw new SessionExpiredError(sessionState);
+      await waitForSelector(Runtime, getCandidates('parser', 'examName'), 10000);
+      await waitForSelector(Runtime, getCandidates('scraper', 'solutionsButton'), 10000);
     } catch (err) {
-      consoleLog.error('Critical setup failed. Elements not found.');
-      process.exit(1);
+      if (!(err instanceof SessionExpiredError)) runLog.error('Critical setup failed. Elements not found.');
+      throw err;
     }
 
     const html = (await Runtime.evaluate({ expression: 'document.documentElement.outerHTML' })).result.value;
-    const $ = cheerio.load(html);
-    const examTitle = $(selectors.parser.examName).text().trim();
-    if (!examTitle) { consoleLog.error('Exam title not found.'); process.exit(1); }
-    sanitizedExamName = examTitle.replace(/: /g, ' - ').replace(/[<>:"/\\|?*]/g, '');
+    const examTitle = extractExamTitle(html);
+    // Still in the setup stage, so this is reported as a missing selector.
+    if (!examTitle) throw new Error('Exam title not found.');
+    sanitizedExamName = sanitizeExamName(examTitle);
 
-    const logFilePath = path.join('logs', 'scraped', `${sanitizedExamName}.log`);
-    logger = createLogger(logFilePath);
+    logger = runLog.with({ exam: sanitizedExamName });
     logger.info(`Exam: ${examTitle}`);
     if (commonTag) logger.info(`Common tag: ${commonTag}`);
+    const tagger = setupTagger(examTitle, tagOptions, logger);
+
+    let mediaStore = null;
+    if (mediaFetcher) {
+      mediaStore = createMediaStore({ fetcher: mediaFetcher === 'cdp' ? createCdpFetcher(Runtime) : undefined });
+      logger.info(`Mirroring images (${mediaFetcher}) to ${mediaStore.dir}`);
+    }
+
+    let resumedData = [];
+    let failedQuestions = [];
+    let resumeAfter;
+    if (options.resume) {
+      const checkpoint = loadCheckpoint(sanitizedExamName);
+      if (!checkpoint) logger.info('No checkpoint found. Starting from the beginning.');
+      else if (checkpoint.url !== url) logger.warn(`Ignoring checkpoint for a different URL: ${checkpoint.url}`);
+      else {
+        if (skipCount > 0) logger.warn('--skip is ignored when resuming from a checkpoint.');
+        resumedData = checkpoint.data;
+        failedQuestions = checkpoint.failed || [];
+        skipCount = checkpoint.position;
+        resumeAfter = checkpoint.position;
+        logger.info(`Resuming after question #${checkpoint.position} with ${resumedData.length} question(s) already scraped.`);
+      }
+    }
+
+    let snapshotStore = null;
+    if (snapshotMode) {
+      snapshotStore = createSnapshotStore(sanitizedExamName, { examTitle, url }, snapshotMode, { resumeAfter });
+      logger.info(`Archiving raw HTML (${snapshotMode}) to ${snapshotStore.dir}`);
+    }
 
     logger.action('Clicking Solutions button...');
-    await humanClick(Runtime, Input, selectors.scraper.solutionsButton);
-    await Page.loadEventFired();
+    await gate.acquire();
+    let activeSelectors = await resolveSelectorsLive(Runtime);
+    await logger.time('navigate', async () => {
+      await humanClick(Runtime, Input, activeSelectors.scraper.solutionsButton, { pacing });
+      await Page.loadEventFired();
+    }, { target: 'solutions' });
     logger.success('Quiz interface loaded.');
+    activeSelectors = await resolveSelectorsLive(Runtime);
+
+    if (recorder) {
+      await waitForAngularIdle(Runtime);
+      await recorder.settle();
+      logger.info(`Recorded ${recorder.responses().length} test API response(s).`);
+      if (options.saveResponses) {
+        recorder.save(options.saveResponses);
+        logger.info(`Saved the API responses to ${options.saveResponses}`);
+      }
+    }
+    if (options.extract === 'network') {
+      const extracted = extractLanguages(recorder.responses(), languages);
+      const { questionSet } = extracted;
+      const reason = questionSet ? findIncompleteReason(questionSet) : 'no question set in the recorded responses';
+      if (!reason) {
+        // The API returns the whole exam, so a checkpoint has nothing to add.
+        stage = 'scrape';
+        const { allData, failedQuestions: apiFailed } = await logger.time('extract', () => buildApiRecords(
+          extracted, { scrapeLimit, commonTag, skipCount: parseInt(options.skip, 10), tagger, mediaStore, languages }, logger
+        ));
+        scrapedCount = allData.length;
+        const filePath = saveScrapedData(allData, sanitizedExamName, logger);
+        reportUnmatchedTags(tagger, sanitizedExamName, logger);
+        clearCheckpoint(sanitizedExamName);
+        await finishRun({ filePath, allData, failedQuestions: apiFailed, examTitle, startTime }, logger);
+        return;
+      }
+      logger.warn(`Network extraction unavailable (${reason}); falling back to the DOM walk.`);
+    }
 
-    if (skipCount > 0) {
-      logger.action(`Skipping first ${skipCount} questions...`);
-      for (let i = 0; i < skipCount; i++) {
-        const exists = await Runtime.evaluate({ expression: `!!document.querySelector('${selectors.scraper.nextButton}')` });
-        if (!exists.result.value) break;
-        await humanClick(Runtime, Input, selectors.scraper.nextButton);
-        await randomDelay(500, 800);
+    // The DOM shows one language at a time: start every question in the primary one.
+    if (extraLanguages.length > 0) {
+      const state = await logger.time('language', () => switchLanguage(Runtime, primaryLanguage, activeSelectors), { target: primaryLanguage });
+      if (state === 'missing') {
+        logger.warn(`The page has no ${LANGUAGES[primaryLanguage].name} language option; capturing the language on screen only.`);
+        extraLanguages = [];
+      } else {
+        logger.info(`Languages: ${languages.map(code => LANGUAGES[code].name).join(', ')}`);
       }
-      logger.success('Skipped questions.');
+    }
+
+    let hasQuestionsLeft = true;
+    if (skipCount > 0) {
+      logger.action(`Jumping to question #${skipCount + 1}...`);
+      await gate.acquire();
+      const navigator = createNavigator(Runtime, Input, logger, activeSelectors, pacing);
+      hasQuestionsLeft = await logger.time('jump', () => navigator.goToQuestion(skipCount + 1), { question: skipCount + 1 });
+      if (hasQuestionsLeft) logger.success(`Skipped ${skipCount} questions.`);
+      else logger.info(`Exam has no questions after #${skipCount}.`);
     }
 
     // ---------------- Scraping Loop ----------------
-    const allData = [];
+    stage = 'scrape';
+    const allData = [...resumedData];
     let qCounter = skipCount + 1;
     let noteId = 1000 + skipCount;
-    let serial = 1;
-
-    while (true) {
-      logger.action(`Processing question #${qCounter}`);
-      await smoothScroll(Runtime);
-      // FASTER: Significantly reduced main "thinking" pause
-      await randomDelay(800, 1200);
-
-      await humanClick(Runtime, Input, selectors.scraper.viewSolutionButton);
-      // FASTER: Reduced wait for solution to appear
-      await randomDelay(700, 1000);
+    let serial = allData.length + 1;
+
+    while (hasQuestionsLeft) {
+      const questionLog = logger.with({ question: qCounter });
+      questionLog.action(`Processing question #${qCounter}`);
+      await smoothScroll(Runtime, pacing);
+      await questionLog.time('delay', () => pacing.pause('think'), { pause: 'think' });
+
+      // Re-resolved every question: fallbacks may differ between question types.
+      activeSelectors = await resolveSelectorsLive(Runtime);
+      await questionLog.time('click', () => humanClick(Runtime, Input, activeSelectors.scraper.viewSolutionButton, { pacing }), { target: 'viewSolution' });
+      const solutionShown = await questionLog.time('wait', () => waitForVisible(Runtime, `${activeSelectors.parser.activeQuestionContainer} ${activeSelectors.parser.solution}`), { target: 'solution' });
+      if (!solutionShown) questionLog.warn('Solution did not appear within 10s; parsing the page as it is.');
+      await questionLog.time('wait', () => waitForAngularIdle(Runtime), { target: 'idle' });
+      await questionLog.time('delay', () => pacing.pause('solution'), { pause: 'solution' });
 
       const { result } = await Runtime.evaluate({ expression: 'document.documentElement.outerHTML' });
-      const qData = await scrapeSingleQuestionPage(result.value, qCounter, logger, noteId, serial);
+      const qData = await questionLog.time('parse', () => scrapeSingleQuestionPage(result.value, qCounter, questionLog, noteId, serial, { tagger, mediaStore }));
+      if (qData && extraLanguages.length > 0) {
+        for (const code of extraLanguages) {
+          const state = await questionLog.time('language', () => switchLanguage(Runtime, code, activeSelectors), { target: code });
+          if (state !== 'switched') { questionLog.info(`No ${LANGUAGES[code].name} version (${state}).`); continue; }
+          const { result: translatedPage } = await Runtime.evaluate({ expression: 'document.documentElement.outerHTML' });
+          const translated = await questionLog.time('parse', () => scrapeSingleQuestionPage(translatedPage.value, qCounter, questionLog, noteId, serial, { mediaStore }), { language: code });
+          if (!addLanguageFields(qData, translated, code, primaryLanguage)) questionLog.warn(`Could not read the ${LANGUAGES[code].name} version.`);
+        }
+        await questionLog.time('language', () => switchLanguage(Runtime, primaryLanguage, activeSelectors), { target: primaryLanguage });
+      }
       if (qData) {
         if (commonTag) qData.Tags.push(commonTag);
         allData.push(qData);
         serial++;
-        logger.success(`Scraped Question SL #${qData.SL}`);
-      } else logger.warn(`Failed to scrape question #${qCounter}`);
+        scrapedCount++;
+        questionLog.success(`Scraped Question SL #${qData.SL}`);
+      } else {
+        questionLog.warn(`Failed to scrape question #${qCounter}`);
+        failedQuestions.push(qCounter);
+      }
+
+      if (snapshotStore) {
+        const { questionNumber, sectionName } = readQuestionMeta(result.value);
+        snapshotStore.save({ html: result.value, SL: qData?.SL, position: qCounter, questionNumber, sectionName });
+      }
+
+      saveCheckpoint(sanitizedExamName, { url, examTitle, position: qCounter, data: allData, failed: failedQuestions });
 
       if (allData.length >= scrapeLimit) { logger.info('Reached scrape limit.'); break; }
 
-      const nextExists = await Runtime.evaluate({ expression: `!!document.querySelector('${selectors.scraper.nextButton}')` });
+      const nextExists = await Runtime.evaluate({ expression: `!!document.querySelector('${activeSelectors.scraper.nextButton}')` });
       if (!nextExists.result.value) break;
 
-      await humanClick(Runtime, Input, selectors.scraper.nextButton);
+      const previous = await readQuestionSignature(Runtime, activeSelectors);
+      await questionLog.time('rate-limit', () => gate.acquire());
+      await questionLog.time('click', () => humanClick(Runtime, Input, activeSelectors.scraper.nextButton, { pacing }), { target: 'next' });
+      const outcome = await questionLog.time('wait', () => waitForQuestionChange(Runtime, previous, activeSelectors, { endText: LAST_QUESTION_TEXT }), { target: 'question' });
+      if (outcome === 'end') break;
+      // Scraping on would record the same question twice; the checkpoint lets --resume continue here.
+      if (!outcome) throw new NavigationError(`Question #${qCounter + 1} did not appear within 10s of clicking Next.`);
       qCounter++;
       noteId++;
-      
-      // FASTER: Removed the long periodic break
-      // FASTER: Shortened the post-"Next" delay
-      await randomDelay(300, 600);
-
-      const reachedEnd = await Runtime.evaluate({ expression: `document.body.innerText.includes('You have reached the last question.')` });
-      if (reachedEnd.result.value) break;
+      await questionLog.time('delay', () => pacing.pause('afterNext'), { pause: 'after-next' });
     }
 
-    if (allData.length > 0) {
-      const outDir = path.join('output', 'scraped');
-      fs.mkdirSync(outDir, { recursive: true });
-      const filePath = path.join(outDir, `${sanitizedExamName}.json`);
-      fs.writeFileSync(filePath, JSON.stringify(allData, null, 2));
-      logger.success(`Scraping completed! Saved ${allData.length} questions to ${filePath}`);
-    } else logger.warn('No data scraped.');
+    const filePath = saveScrapedData(allData, sanitizedExamName, logger);
+    reportUnmatchedTags(tagger, sanitizedExamName, logger);
+    clearCheckpoint(sanitizedExamName);
+    await finishRun({ filePath, allData, failedQuestions, examTitle, startTime }, logger);
 
   } catch (err) {
-    const log = logger || consoleLog;
+    const log = logger || runLog;
     log.error('Critical error in main process.');
     log.error(err);
-    process.exit(1);
+    const sessionState = tabClient ? await detectSessionState(tabClient.Runtime) : SESSION_STATES.UNKNOWN;
+    const errorClass = classifyFailure(err, { stage, sessionState, scrapedCount });
+    log.error(`Failure class: ${errorClass}`);
+    if (errorClass === FAILURE_CLASSES.SESSION_EXPIRED) log.error('Log in again in the debugging browser (npm run browser) or pass --cookies, then rerun with --resume.');
+    if (errorClass === FAILURE_CLASSES.PAYWALL) log.error('Buy the pass for this test or log in with an account that has it; rerunning as is will not help.');
+    await gate.reportError();
+    await reportRunFailure({ errorClass, message: err.message });
+    log.event('failure', { errorClass, stage, message: err.message });
+    // Not process.exit: the finally block still has to close the tab.
+    process.exitCode = 1;
   } finally {
+    // Under a batch the browser is shared, so the tab must not outlive the run.
+    if (targetId) await browserClient.Target.closeTarget({ targetId }).catch(() => {});
     if (tabClient) await tabClient.close();
     if (browserClient) await browserClient.close();
-    if (logger) logger.close();
+    if (browser) await browser.close();
     consoleLog.info('Connections closed.');
+    await runLog.close();
   }
 }
 
@@ -0,0 +1,183 @@
+// src/workflows/scrapper/utils/apiExtractor.js
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Testbook's Angular app loads a test's questions and its answers/solutions
+ * as JSON from `api.testbook.com/api/v2/tests/<id>...`. Recording those
+ * responses gives the whole exam at once instead of clicking through it.
+ *
+ * Expected response shapes (anything else makes extraction give up, and the
+ * scraper falls back to the DOM walk):
+ *   questions: `{ data: { title, sections: [{ title, questions: [{ _id,
+ *              en: { value, comp, options: [{ value }] } }] }] } }`
+ *   answers:   `{ data: { <questionId>: { correctOption: "2",
+ *              sol: { en: { value } } } } }`
+ * Answers and solutions embedded in the question objects work too.
+ */
+export const API_URL_PATTERN = /\/api\/v\d+\/tests?\//;
+
+// --------------------- Recording ---------------------
+/**
+ * Records the JSON responses of the test API through CDP `Network` events.
+ * Start it before navigating; bodies are read as each request finishes.
+ * @param {object} Network - CDP Network domain of the tab.
+ * @param {object} [options]
+ * @param {RegExp} [options.match=API_URL_PATTERN] - URLs to record.
+ */
+export function createResponseRecorder(Network, { match = API_URL_PATTERN } = {}) {
+  const pending = new Map();
+  const reads = [];
+  const recorded = [];
+
+  Network.responseReceived(({ requestId, response }) => {
+    if (match.test(response.url) && /json/i.test(response.mimeType)) {
+      pending.set(requestId, { url: response.url, status: response.status, mimeType: response.mimeType });
+    }
+  });
+  Network.loadingFinished(({ requestId }) => {
+    const meta = pending.get(requestId);
+    if (!meta) return;
+    pending.delete(requestId);
+    reads.push(Network.getResponseBody({ requestId }).then(({ body, base64Encoded }) => {
+      const text = base64Encoded ? Buffer.from(body, 'base64').toString('utf-8') : body;
+      recorded.push({ ...meta, body: JSON.parse(text) });
+    }).catch(() => {
+      // Evicted from the browser's buffer or not JSON after all; the DOM walk covers it.
+    }));
+  });
+
+  return {
+    start: () => Network.enable({ maxTotalBufferSize: 50 * 1024 * 1024 }),
+    /** Resolves once every finished response has been read. */
+    settle: () => Promise.all(reads),
+    responses: () => recorded,
+    /**
+     * Writes each response to `<dir>/NN.json`, for `--from-responses`.
+     * @param {string} dir
+     */
+    save(dir) {
+      fs.mkdirSync(dir, { recursive: true });
+      recorded.forEach((response, i) => {
+        fs.writeFileSync(path.join(dir, `${String(i + 1).padStart(2, '0')}.json`), JSON.stringify(response, null, 2));
+      });
+    },
+  };
+}
+
+/**
+ * Reads responses saved by `recorder.save`, in file-name order.
+ * @param {string} dir
+ * @returns {Array<{url: string, status: number, mimeType: string, body: object}>}
+ */
+export function loadRecordedResponses(dir) {
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+    .map(file => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf-8')));
+}
+
+// --------------------- Mapping ---------------------
+const isObject = value => value !== null && typeof value === 'object';
+
+/** Depth-first search for the first value `test` accepts. */
+function findDeep(value, test, seen = new Set()) {
+  if (!isObject(value) || seen.has(value)) return null;
+  seen.add(value);
+  if (test(value)) return value;
+  for (const child of Object.values(value)) {
+    const found = findDeep(child, test, seen);
+    if (found) return found;
+  }
+  return null;
+}
+
+const hasAnswerFields = value => isObject(value) && ('correctOption' in value || 'sol' in value);
+const questionId = question => question._id ?? question.id ?? question.qid;
+
+/** Calls `visit` on every object and array inside `value`. */
+function walk(value, visit, seen = new Set()) {
+  if (!isObject(value) || seen.has(value)) return;
+  seen.add(value);
+  visit(value);
+  Object.values(value).forEach(child => walk(child, visit, seen));
+}
+
+/** Collects `{ <questionId>: { correctOption, sol } }` entries from every response. */
+function collectAnswers(bodies) {
+  const answers = new Map();
+  bodies.forEach(body => walk(body, value => {
+    if (Array.isArray(value)) return;
+    Object.entries(value).filter(([, entry]) => hasAnswerFields(entry)).forEach(([id, entry]) => answers.set(id, entry));
+  }));
+  return answers;
+}
+
+const htmlOf = value => (isObject(value) ? value.value ?? value.text ?? '' : value ?? '');
+
+function readCorrectIndex(value, optionCount) {
+  const number = Number(value);
+  return Number.isInteger(number) && number >= 1 && number <= optionCount ? number - 1 : -1;
+}
+
+/**
+ * Finds the exam's questions in recorded API responses.
+ * @param {Array<{body: object}>} responses - Recorded responses.
+ * @param {object} [options]
+ * @param {string} [options.language='en'] - Language key of the question content.
+ * @returns {{title: string, questions: Array<object>}|null} Questions in exam
+ *   order, each with the raw parts buildQuestionRecord takes plus `id`,
+ *   `position` (1-based across sections) and `language` (the key actually
+ *   read: questions without `language` fall back to `en`); null if no
+ *   question set was found.
+ */
+export function extractQuestionSet(responses, { language = 'en' } = {}) {
+  const bodies = responses.map(response => response.body);
+  let holder = null;
+  for (const body of bodies) {
+    holder = findDeep(body, value => Array.isArray(value.sections) && value.sections.some(section => Array.isArray(section?.questions)));
+    if (holder) break;
+  }
+  if (!holder) return null;
+
+  const answers = collectAnswers(bodies);
+  const questions = [];
+  for (const section of holder.sections) {
+    (section.questions || []).forEach((question, i) => {
+      const key = question[language] ? language : 'en';
+      const content = question[key] || question;
+      const answer = answers.get(String(questionId(question))) || question;
+      const options = (content.options || []).map(htmlOf);
+      const solution = answer.sol?.[key] ?? answer.sol?.en ?? answer.sol ?? content.sol;
+      questions.push({
+        id: questionId(question),
+        position: questions.length + 1,
+        language: key,
+        questionNumber: i + 1,
+        sectionName: section.title ?? section.name ?? '',
+        comprehension: htmlOf(content.comp).trim(),
+        questionBody: htmlOf(content.value ?? content.question).trim(),
+        options,
+        solution: htmlOf(solution).trim(),
+        correctIndex: readCorrectIndex(answer.correctOption ?? answer.ans, options.length),
+      });
+    });
+  }
+  if (questions.length === 0) return null;
+  return { title: holder.title ?? holder.name ?? '', questions };
+}
+
+/**
+ * Tells why a question set cannot replace the DOM walk, if it cannot.
+ * @param {{questions: Array<object>}} questionSet
+ * @returns {string|null} The reason, or null if every question is complete.
+ */
+export function findIncompleteReason({ questions }) {
+  // A solution alone is not enough: the record's Answer comes from correctIndex.
+  const noAnswer = questions.filter(q => q.correctIndex === -1).length;
+  if (noAnswer > 0) return `${noAnswer} of ${questions.length} question(s) have no correct option (was the answers response captured?)`;
+  const noOptions = questions.filter(q => !q.questionBody || q.options.length === 0).length;
+  if (noOptions > 0) return `${noOptions} question(s) have no text or options`;
+  return null;
+}
@@ -0,0 +1,231 @@
+// src/workflows/scrapper/utils/browser.js
+
+import CDP from 'chrome-remote-interface';
+import { execa } from 'execa';
+import fs from 'fs';
+import net from 'net';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { delay } from './human.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PROJECT_ROOT = path.resolve(__dirname, '..', '..', '..', '..');
+
+// Kept between runs so the Testbook login survives; see .gitignore.
+export const DEFAULT_PROFILE_DIR = path.join(PROJECT_ROOT, '.browser-profile');
+export const DEFAULT_HOST = '127.0.0.1';
+// The port the old launch script used; a browser started by hand is still picked up there.
+export const DEFAULT_PORT = 9222;
+
+// Chromium-family executables, in order of preference.
+const BROWSER_NAMES = [
+  'brave-browser', 'brave', 'chromium', 'chromium-browser',
+  'google-chrome-stable', 'google-chrome', 'microsoft-edge-stable', 'microsoft-edge',
+];
+const BROWSER_PATH_ENV = 'BROWSER_PATH';
+
+// --------------------- CLI Options ---------------------
+/**
+ * Adds the browser options shared by every command that drives the browser
+ * (scraper, batch scraper, doctor, links discover).
+ * @param {import('commander').Command} command
+ * @returns {import('commander').Command}
+ */
+export function addBrowserOptions(command) {
+  return command
+    .option('--host <host>', 'Debugging host of the browser', DEFAULT_HOST)
+    .option('--port <number>', `Debugging port; a browser already listening there is reused (default: ${DEFAULT_PORT}, else a free port)`)
+    .option('--browser-path <path>', `Browser executable to launch (default: $${BROWSER_PATH_ENV}, then the first Chromium-family browser on PATH)`)
+    .option('--headless', 'Launch the browser without a window');
+}
+
+/**
+ * Picks the browser options out of parsed CLI options.
+ * @param {object} options - `program.opts()`.
+ * @returns {{host: string, port: number|undefined, browserPath: string|undefined, headless: boolean}}
+ * @throws {Error} If the port is not a valid port number.
+ */
+export function getBrowserOptions(options) {
+  const port = options.port === undefined ? undefined : Number(options.port);
+  if (port !== undefined && !(Number.isInteger(port) && port > 0 && port < 65536)) {
+    throw new Error(`--port must be a port number, got "${options.port}".`);
+  }
+  return { host: options.host || DEFAULT_HOST, port, browserPath: options.browserPath, headless: !!options.headless };
+}
+
+/**
+ * Turns browser options back into CLI arguments, for subprocesses.
+ * @param {{host: string, port: number}} browser - A started browser (see startBrowser).
+ * @returns {Array<string>}
+ */
+export function toBrowserArgs({ host, port }) {
+  return ['--host', host, '--port', String(port)];
+}
+
+// --------------------- Discovery ---------------------
+/**
+ * Finds a Chromium-family browser executable on PATH.
+ * @returns {string|null}
+ */
+export function findBrowser() {
+  if (process.env[BROWSER_PATH_ENV]) return process.env[BROWSER_PATH_ENV];
+  const dirs = (process.env.PATH || '').split(path.delimiter).filter(Boolean);
+  for (const name of BROWSER_NAMES) {
+    for (const dir of dirs) {
+      const candidate = path.join(dir, name);
+      try {
+        fs.accessSync(candidate, fs.constants.X_OK);
+        return candidate;
+      } catch {
+        // Not here; keep looking.
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Asks the OS for a free TCP port.
+ * @returns {Promise<number>}
+ */
+export function findFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on('error', reject);
+    server.listen(0, DEFAULT_HOST, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Reads `/json/version` of a debugging endpoint.
+ * @returns {Promise<object|null>} The version info, or null if nothing answers.
+ */
+export async function probeBrowser(host, port) {
+  try {
+    const response = await fetch(`http://${host}:${port}/json/version`, { signal: AbortSignal.timeout(2000) });
+    return response.ok ? await response.json() : null;
+  } catch {
+    return null;
+  }
+}
+
+// --------------------- Lifecycle ---------------------
+/**
+ * Launches a browser with remote debugging and waits until `/json/version` answers.
+ * @param {object} options
+ * @param {string} options.browserPath
+ * @param {number} options.port
+ * @param {boolean} [options.headless=false]
+ * @param {string} [options.profileDir=DEFAULT_PROFILE_DIR]
+ * @param {number} [options.timeout=30000]
+ * @returns {Promise<{subprocess: object, version: object}>}
+ * @throws {Error} If the browser exits or does not answer in time.
+ */
+async function launchBrowser({ browserPath, port, headless = false, profileDir = DEFAULT_PROFILE_DIR, timeout = 30000 }) {
+  fs.mkdirSync(profileDir, { recursive: true });
+  const args = [
+    `--remote-debugging-port=${port}`,
+    `--user-data-dir=${profileDir}`,
+    '--no-first-run',
+    '--no-default-browser-check',
+    '--disable-background-timer-throttling',
+    '--disable-backgrounding-occluded-windows',
+    '--disable-renderer-backgrounding',
+    ...(headless ? ['--headless=new'] : []),
+    'about:blank',
+  ];
+  const subprocess = execa(browserPath, args, { stdio: 'ignore', reject: false });
+  let exited = false;
+  subprocess.then(() => { exited = true; });
+
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    if (exited) throw new Error(`${browserPath} exited before opening port ${port} (is the profile in use by another browser?)`);
+    const version = await probeBrowser(DEFAULT_HOST, port);
+    if (version) return { subprocess, version };
+    await delay(250);
+  }
+  subprocess.kill('SIGKILL');
+  throw new Error(`${browserPath} did not answer on port ${port} within ${timeout / 1000}s.`);
+}
+
+/**
+ * Closes a launched browser: asks it to quit over CDP so the profile is
+ * flushed, then falls back to SIGTERM and SIGKILL.
+ */
+async function shutdownBrowser(subprocess, host, port) {
+  if (subprocess.exitCode !== null) return;
+  let asked = false;
+  try {
+    const client = await CDP({ host, port });
+    await client.Browser.close();
+    await client.close().catch(() => {});
+    asked = true;
+  } catch {
+    // Fall through to signals.
+  }
+  for (const [signal, wait] of [[null, 5000], ['SIGTERM', 5000], ['SIGKILL', 2000]]) {
+    if (!signal && !asked) continue;
+    if (signal) subprocess.kill(signal);
+    const exited = await Promise.race([subprocess.then(() => true), delay(wait).then(() => false)]);
+    if (exited) return;
+  }
+}
+
+/**
+ * Connects to a debugging browser, launching one when none is running.
+ * With `--port`, a browser already listening there is reused, otherwise one
+ * is launched on that port. Without it, a browser on the default port 9222
+ * is reused, otherwise one is launched on a free port. Launched browsers use
+ * the persistent profile in `.browser-profile/` and are shut down by `close`
+ * (and on Ctrl+C); reused ones are left running.
+ * @param {object} options - Output of getBrowserOptions.
+ * @param {object} log - Logger with action/info/success/warn/error.
+ * @returns {Promise<{host: string, port: number, launched: boolean, close: function(): Promise<void>}>}
+ *   Pass `{ host, port }` to `CDP()`.
+ * @throws {Error} If no browser can be found or started.
+ */
+export async function startBrowser({ host = DEFAULT_HOST, port, browserPath, headless = false }, log) {
+  const reusePort = port ?? DEFAULT_PORT;
+  const running = await probeBrowser(host, reusePort);
+  if (running) {
+    log.info(`Using the browser already running at ${host}:${reusePort} (${running.Browser}).`);
+    return { host, port: reusePort, launched: false, close: async () => {} };
+  }
+  if (![DEFAULT_HOST, 'localhost'].includes(host)) {
+    throw new Error(`No browser answers at ${host}:${reusePort}, and browsers are only launched on this machine.`);
+  }
+
+  const executable = browserPath || findBrowser();
+  if (!executable) {
+    throw new Error(`No Chromium-family browser found on PATH. Install one or pass --browser-path (or set $${BROWSER_PATH_ENV}).`);
+  }
+  const launchPort = port ?? await findFreePort();
+  log.action(`Launching ${path.basename(executable)}${headless ? ' (headless)' : ''} on port ${launchPort}...`);
+  const { subprocess, version } = await launchBrowser({ browserPath: executable, port: launchPort, headless });
+  log.success(`Browser ready: ${version.Browser}, profile ${DEFAULT_PROFILE_DIR}`);
+
+  let closing = null;
+  const close = () => (closing ||= shutdownBrowser(subprocess, DEFAULT_HOST, launchPort));
+  const onSignal = async (signal) => {
+    await close();
+    process.kill(process.pid, signal);
+  };
+  process.once('SIGINT', onSignal);
+  process.once('SIGTERM', onSignal);
+
+  return {
+    host: DEFAULT_HOST,
+    port: launchPort,
+    launched: true,
+    close: async () => {
+      process.off('SIGINT', onSignal);
+      process.off('SIGTERM', onSignal);
+      await close();
+    },
+  };
+}
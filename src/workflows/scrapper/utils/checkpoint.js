@@ -0,0 +1,54 @@
+// src/workflows/scrapper/utils/checkpoint.js
+
+import fs from 'fs';
+import path from 'path';
+
+const CHECKPOINT_DIR = path.join('output', 'checkpoints');
+
+/**
+ * Returns the checkpoint file path for an exam.
+ * @param {string} sanitizedExamName - File-safe exam name.
+ * @returns {string}
+ */
+export function getCheckpointPath(sanitizedExamName) {
+  return path.join(CHECKPOINT_DIR, `${sanitizedExamName}.json`);
+}
+
+/**
+ * Writes the scrape state after a question has been processed. The file is
+ * written to a temp path and renamed so a crash never leaves it half-written.
+ * @param {string} sanitizedExamName - File-safe exam name.
+ * @param {object} state - The scrape state.
+ * @param {string} state.url - The analysis page URL the data came from.
+ * @param {string} state.examTitle - The exam title.
+ * @param {number} state.position - Position of the last processed question (1-based).
+ * @param {Array<object>} state.data - All question records scraped so far.
+ * @param {Array<number>} [state.failed] - Positions that could not be parsed so far.
+ */
+export function saveCheckpoint(sanitizedExamName, { url, examTitle, position, data, failed = [] }) {
+  const filePath = getCheckpointPath(sanitizedExamName);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.tmp`;
+  const state = { url, examTitle, position, updatedAt: new Date().toISOString(), failed, data };
+  fs.writeFileSync(tempPath, JSON.stringify(state, null, 2));
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Reads an exam's checkpoint.
+ * @param {string} sanitizedExamName - File-safe exam name.
+ * @returns {object|null} The saved state or null if there is none.
+ */
+export function loadCheckpoint(sanitizedExamName) {
+  const filePath = getCheckpointPath(sanitizedExamName);
+  if (!fs.existsSync(filePath)) return null;
+  return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+}
+
+/**
+ * Deletes an exam's checkpoint once its output has been written.
+ * @param {string} sanitizedExamName - File-safe exam name.
+ */
+export function clearCheckpoint(sanitizedExamName) {
+  fs.rmSync(getCheckpointPath(sanitizedExamName), { force: true });
+}
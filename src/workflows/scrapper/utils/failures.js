@@ -0,0 +1,82 @@
+// src/workflows/scrapper/utils/failures.js
+
+import { SESSION_STATES } from './session.js';
+
+/**
+ * Failure classes a scraper run can end with. The scraper reports the class
+ * to the batch runner, which picks a retry policy from it.
+ */
+export const FAILURE_CLASSES = {
+  NAVIGATION_TIMEOUT: 'navigation_timeout',
+  SESSION_EXPIRED: 'session_expired',
+  PAYWALL: 'paywall',
+  SELECTOR_MISSING: 'selector_missing',
+  PARTIAL_SCRAPE: 'partial_scrape',
+  PARSE_ERROR: 'parse_error',
+  UNPARSED_QUESTIONS: 'unparsed_questions',
+  UNKNOWN: 'unknown',
+};
+
+/**
+ * Retry policy per failure class. `maxAttempts` counts every attempt in one
+ * batch run, including the first; `baseDelayMs` doubles after each retry.
+ * Layout changes (`selector_missing`) and tests the account has no pass for
+ * (`paywall`) are never retried. An expired session is not retried on its own:
+ * the batch pauses until the login works again. `parse_error` is a run that
+ * produced nothing; a run that saved its output but skipped some questions
+ * (`unparsed_questions`) goes to NEEDS_REVIEW instead, as rerunning it would
+ * parse the same pages the same way.
+ */
+export const RETRY_POLICIES = {
+  [FAILURE_CLASSES.NAVIGATION_TIMEOUT]: { retryable: true, maxAttempts: 4, baseDelayMs: 30000 },
+  [FAILURE_CLASSES.SESSION_EXPIRED]: { retryable: true, maxAttempts: 1, baseDelayMs: 0 },
+  [FAILURE_CLASSES.PAYWALL]: { retryable: false, maxAttempts: 1, baseDelayMs: 0 },
+  [FAILURE_CLASSES.SELECTOR_MISSING]: { retryable: false, maxAttempts: 1, baseDelayMs: 0 },
+  [FAILURE_CLASSES.PARTIAL_SCRAPE]: { retryable: true, maxAttempts: 3, baseDelayMs: 60000 },
+  [FAILURE_CLASSES.PARSE_ERROR]: { retryable: true, maxAttempts: 2, baseDelayMs: 10000 },
+  [FAILURE_CLASSES.UNPARSED_QUESTIONS]: { retryable: false, maxAttempts: 1, baseDelayMs: 0 },
+  [FAILURE_CLASSES.UNKNOWN]: { retryable: true, maxAttempts: 2, baseDelayMs: 30000 },
+};
+
+const MAX_RETRY_DELAY_MS = 15 * 60 * 1000;
+
+/**
+ * Returns the retry policy for a failure class, falling back to `unknown`.
+ * @param {string} errorClass - One of FAILURE_CLASSES.
+ * @returns {{retryable: boolean, maxAttempts: number, baseDelayMs: number}}
+ */
+export function getRetryPolicy(errorClass) {
+  return RETRY_POLICIES[errorClass] || RETRY_POLICIES[FAILURE_CLASSES.UNKNOWN];
+}
+
+/**
+ * Computes the exponential backoff before the next attempt.
+ * @param {string} errorClass - One of FAILURE_CLASSES.
+ * @param {number} attempt - The attempt that just failed (1-based).
+ * @returns {number} Delay in milliseconds.
+ */
+export function getRetryDelay(errorClass, attempt) {
+  const { baseDelayMs } = getRetryPolicy(errorClass);
+  return Math.min(baseDelayMs * 2 ** (attempt - 1), MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Works out the failure class of a scraper run that threw.
+ * @param {Error} err - The error that ended the run.
+ * @param {object} context
+ * @param {string} context.stage - `navigate`, `setup` or `scrape`.
+ * @param {string} context.sessionState - What the page shows now, one of SESSION_STATES.
+ * @param {number} context.scrapedCount - Questions scraped in this run before the error.
+ * @returns {string} One of FAILURE_CLASSES.
+ */
+export function classifyFailure(err, { stage, sessionState, scrapedCount }) {
+  const state = err?.name === 'SessionExpiredError' ? err.state : sessionState;
+  if (state === SESSION_STATES.PAYWALL) return FAILURE_CLASSES.PAYWALL;
+  if (state === SESSION_STATES.LOGIN) return FAILURE_CLASSES.SESSION_EXPIRED;
+  if (stage === 'navigate') return FAILURE_CLASSES.NAVIGATION_TIMEOUT;
+  if (scrapedCount > 0) return FAILURE_CLASSES.PARTIAL_SCRAPE;
+  if (stage === 'setup' || err?.name === 'TimeoutError' || /Selector not found/.test(err?.message)) {
+    return FAILURE_CLASSES.SELECTOR_MISSING;
+  }
+  return FAILURE_CLASSES.UNKNOWN;
+}
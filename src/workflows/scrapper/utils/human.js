@@ -0,0 +1,63 @@
+// src/workflows/scrapper/utils/human.js
+
+// --------------------- Delays & Randomization ---------------------
+export const delay = ms => new Promise(res => setTimeout(res, ms));
+export const randomDelay = (min, max) => delay(Math.floor(Math.random() * (max - min + 1) + min));
+
+// Pacing that never pauses, for callers that pass none (see pacing.js).
+export const NO_PACING = { name: 'none', pause: () => Promise.resolve() };
+
+// --------------------- Human-like Scroll & Mouse ---------------------
+/**
+ * Scrolls up and down a little in small steps.
+ * @param {object} Runtime - CDP Runtime domain of the tab.
+ * @param {object} [pacing=NO_PACING] - Pauses `scroll` after every step (see pacing.js).
+ */
+export async function smoothScroll(Runtime, pacing = NO_PACING, distance = 150, steps = 5) {
+  const stepSize = distance / steps;
+  for (let i = 0; i < steps; i++) {
+    const direction = Math.random() > 0.5 ? 1 : -1;
+    await Runtime.evaluate({ expression: `window.scrollBy(0, ${stepSize * direction})` });
+    await pacing.pause('scroll');
+  }
+}
+
+async function humanMoveMouse(Input, pacing, startX, startY, endX, endY, steps = 8) {
+  for (let i = 0; i <= steps; i++) {
+    const x = startX + ((endX - startX) * i) / steps + Math.random() * 2;
+    const y = startY + ((endY - startY) * i) / steps + Math.random() * 2;
+    await Input.dispatchMouseEvent({ type: 'mouseMoved', x, y });
+    await pacing.pause('mouseMove');
+  }
+}
+
+/**
+ * Moves the mouse to an element and clicks it with human-like timing.
+ * @param {string} selector - CSS selector of the element.
+ * @param {object} [options]
+ * @param {number} [options.index=0] - Which match to click when the selector matches several elements.
+ * @param {object} [options.pacing=NO_PACING] - Pauses `mouseMove` per step, `beforeClick`,
+ *   `press` (button held) and `afterClick` (see pacing.js).
+ */
+export async function humanClick(Runtime, Input, selector, { index = 0, pacing = NO_PACING } = {}) {
+  const { result } = await Runtime.evaluate({
+    expression: `(() => {
+      const el = document.querySelectorAll('${selector}')[${index}];
+      if (!el) return null;
+      const r = el.getBoundingClientRect();
+      return { x: r.left + r.width / 2, y: r.top + r.height / 2 };
+    })();`,
+    returnByValue: true
+  });
+
+  if (!result.value) throw new Error(`Selector not found: ${selector}`);
+  const { x, y } = result.value;
+
+  await humanMoveMouse(Input, pacing, x + Math.random()*20 - 10, y + Math.random()*20 - 10, x, y);
+  await pacing.pause('beforeClick');
+
+  await Input.dispatchMouseEvent({ type: 'mousePressed', x, y, button: 'left', clickCount: 1 });
+  await pacing.pause('press');
+  await Input.dispatchMouseEvent({ type: 'mouseReleased', x, y, button: 'left', clickCount: 1 });
+  await pacing.pause('afterClick');
+}
@@ -0,0 +1,106 @@
+// src/workflows/scrapper/utils/languages.js
+
+import { getCandidates } from './selectorResolver.js';
+import { readQuestionSignature, waitForQuestionChange, waitForAngularIdle } from './waits.js';
+
+/**
+ * Question languages Testbook offers. `labels` are matched (lower-cased)
+ * against the entries of the page's language switcher; `apiKey` is the key
+ * of the language's content in the test API responses.
+ */
+export const LANGUAGES = {
+  en: { name: 'English', labels: ['english'], apiKey: 'en' },
+  hi: { name: 'Hindi', labels: ['hindi', 'हिन्दी', 'हिंदी'], apiKey: 'hn' },
+  bn: { name: 'Bengali', labels: ['bengali', 'bangla', 'বাংলা'], apiKey: 'bn' },
+};
+
+// Record fields that exist once per language; extra languages add `<field>_<code>`.
+export const LANGUAGE_FIELDS = ['Question', 'OP1', 'OP2', 'OP3', 'OP4', 'Solution'];
+
+/**
+ * Parses a `--languages` value such as `en,hi`. The first language fills the
+ * plain record fields; the others are stored next to them.
+ * @param {string} value
+ * @returns {Array<string>} Language codes.
+ * @throws {Error} On an unknown, repeated or missing code.
+ */
+export function parseLanguages(value) {
+  const codes = String(value || '').split(',').map(code => code.trim().toLowerCase()).filter(Boolean);
+  if (codes.length === 0) throw new Error('--languages needs at least one language code.');
+  const unknown = codes.filter(code => !LANGUAGES[code]);
+  if (unknown.length > 0) throw new Error(`Unknown language(s): ${unknown.join(', ')}. Available: ${Object.keys(LANGUAGES).join(', ')}`);
+  if (new Set(codes).size !== codes.length) throw new Error(`--languages lists a language twice: ${value}`);
+  return codes;
+}
+
+/**
+ * Copies the language fields of `translated` into `record` as `<field>_<code>`
+ * and adds the code to `record.Languages` (which starts with the primary language). Media and math issues of the
+ * translation are merged in under the suffixed field names. A translation
+ * identical to the primary text (the page had nothing else to show) is skipped.
+ * @param {object} record - The primary-language record; changed in place.
+ * @param {object|null} translated - The same question parsed in language `code`.
+ * @param {string} code
+ * @param {string} primary - Language of the plain fields.
+ * @returns {boolean} Whether the fields were added.
+ */
+export function addLanguageFields(record, translated, code, primary) {
+  if (!translated || LANGUAGE_FIELDS.every(field => translated[field] === record[field])) return false;
+  LANGUAGE_FIELDS.forEach(field => { record[`${field}_${code}`] = translated[field]; });
+  record.Languages = [...(record.Languages || [primary]), code];
+  if (translated.MissingMedia) {
+    const known = new Set((record.MissingMedia || []).map(m => m.url));
+    const added = translated.MissingMedia.filter(m => !known.has(m.url));
+    if (added.length > 0) record.MissingMedia = [...(record.MissingMedia || []), ...added];
+  }
+  if (translated.MathErrors) {
+    record.MathErrors = [...(record.MathErrors || []), ...translated.MathErrors.map(err => ({ ...err, field: `${err.field}_${code}` }))];
+  }
+  return true;
+}
+
+// --------------------- Switching ---------------------
+// Page-side: picks the language in a <select> or clicks the switcher entry carrying its name.
+const SELECT_LANGUAGE = `({ switchers, labels }) => {
+  const matches = el => labels.some(label => el.textContent.trim().toLowerCase().includes(label));
+  for (const selector of switchers) {
+    for (const el of document.querySelectorAll(selector)) {
+      if (el.tagName === 'SELECT') {
+        const option = [...el.options].find(matches);
+        if (!option) continue;
+        if (el.value === option.value) return 'current';
+        el.value = option.value;
+        el.dispatchEvent(new Event('change', { bubbles: true }));
+        return 'switched';
+      }
+      if (matches(el)) {
+        if (el.classList.contains('active') || el.parentElement?.classList.contains('active')) return 'current';
+        el.click();
+        return 'switched';
+      }
+    }
+  }
+  return 'missing';
+}`;
+
+/**
+ * Switches the question language through the page's language switcher
+ * (`selectors.scraper.languageSwitcher`) and waits for the question to
+ * re-render in it.
+ * @param {object} Runtime - CDP Runtime domain of the tab.
+ * @param {string} code - A key of LANGUAGES.
+ * @param {object} activeSelectors - Selectors resolved against the page (see selectorResolver.js).
+ * @param {number} [timeout=5000]
+ * @returns {Promise<'switched'|'current'|'unchanged'|'missing'>} `current` when it
+ *   was already showing, `unchanged` when the question looks the same afterwards
+ *   (no translation), `missing` when the switcher has no such language.
+ */
+export async function switchLanguage(Runtime, code, activeSelectors, timeout = 5000) {
+  const previous = await readQuestionSignature(Runtime, activeSelectors);
+  const args = { switchers: getCandidates('scraper', 'languageSwitcher'), labels: LANGUAGES[code].labels };
+  const { result } = await Runtime.evaluate({ expression: `(${SELECT_LANGUAGE})(${JSON.stringify(args)})`, returnByValue: true });
+  if (result.value !== 'switched') return result.value;
+  const outcome = await waitForQuestionChange(Runtime, previous, activeSelectors, { timeout });
+  await waitForAngularIdle(Runtime);
+  return outcome ? 'switched' : 'unchanged';
+}
@@ -0,0 +1,295 @@
+// src/workflows/scrapper/utils/math.js
+
+import * as cheerio from 'cheerio';
+import katex from 'katex';
+
+/**
+ * Math normalization for question HTML. Every formula leaves this stage as
+ * LaTeX text in one of two delimiters, whatever the page used:
+ *   inline  `\( ... \)`  (MathJax `math/tex` scripts, MathML, equation images)
+ *   display `\[ ... \]`  (`mode=display` scripts, `display="block"` MathML, `$$ ... $$`)
+ * Formulas are then checked by rendering them with KaTeX (see findMathErrors).
+ */
+
+// Entities in LaTeX taken from HTML (`&lt;`, `&amp;` as a matrix column separator).
+const decodeHtml = text => text
+  .replace(/<br\s*\/?>/gi, ' ').replace(/&nbsp;/g, ' ').replace(/&lt;/g, '<').replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"').replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+  .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16))).replace(/&amp;/g, '&');
+
+// --------------------- MathML to LaTeX ---------------------
+const GREEK = {
+  'α': '\\alpha', 'β': '\\beta', 'γ': '\\gamma', 'δ': '\\delta', 'ε': '\\epsilon', 'ϵ': '\\epsilon', 'ζ': '\\zeta',
+  'η': '\\eta', 'θ': '\\theta', 'ϑ': '\\vartheta', 'ι': '\\iota', 'κ': '\\kappa', 'λ': '\\lambda', 'μ': '\\mu',
+  'ν': '\\nu', 'ξ': '\\xi', 'ο': 'o', 'π': '\\pi', 'ρ': '\\rho', 'σ': '\\sigma', 'ς': '\\varsigma', 'τ': '\\tau',
+  'υ': '\\upsilon', 'φ': '\\phi', 'ϕ': '\\phi', 'χ': '\\chi', 'ψ': '\\psi', 'ω': '\\omega',
+  'Γ': '\\Gamma', 'Δ': '\\Delta', 'Θ': '\\Theta', 'Λ': '\\Lambda', 'Ξ': '\\Xi', 'Π': '\\Pi', 'Σ': '\\Sigma',
+  'Υ': '\\Upsilon', 'Φ': '\\Phi', 'Ψ': '\\Psi', 'Ω': '\\Omega',
+};
+
+const SYMBOLS = {
+  ...GREEK,
+  '×': '\\times', '÷': '\\div', '±': '\\pm', '∓': '\\mp', '−': '-', '⋅': '\\cdot', '·': '\\cdot', '∗': '*',
+  '≤': '\\le', '≥': '\\ge', '≠': '\\ne', '≈': '\\approx', '≡': '\\equiv', '≅': '\\cong', '∼': '\\sim', '∝': '\\propto',
+  '→': '\\to', '←': '\\leftarrow', '↔': '\\leftrightarrow', '⇒': '\\Rightarrow', '⇐': '\\Leftarrow', '⇔': '\\Leftrightarrow',
+  '∴': '\\therefore', '∵': '\\because', '∞': '\\infty', '°': '^\\circ', '∠': '\\angle', '△': '\\triangle',
+  '∥': '\\parallel', '⊥': '\\perp', '∈': '\\in', '∉': '\\notin', '⊂': '\\subset', '⊆': '\\subseteq',
+  '∪': '\\cup', '∩': '\\cap', '∅': '\\emptyset', '∀': '\\forall', '∃': '\\exists', '∂': '\\partial', '∇': '\\nabla',
+  '∑': '\\sum', '∏': '\\prod', '∫': '\\int', '√': '\\surd', '…': '\\ldots', '⋯': '\\cdots', '′': "'", '″': "''",
+  '{': '\\{', '}': '\\}', '%': '\\%', '#': '\\#', '&': '\\&', '$': '\\$', '_': '\\_', '~': '\\sim', '|': '|',
+  // Invisible operators (function application, invisible times and separator) carry no ink.
+  '\u2061': '', '\u2062': '', '\u2063': '', '\u00a0': '\\ ',
+};
+
+const FUNCTION_NAMES = ['sin', 'cos', 'tan', 'cot', 'sec', 'csc', 'log', 'ln', 'exp', 'lim', 'max', 'min', 'sinh', 'cosh', 'tanh', 'det', 'gcd'];
+const LARGE_OPERATORS = ['\\sum', '\\prod', '\\int', '\\lim', '\\max', '\\min', '\\bigcup', '\\bigcap'];
+
+const OVER_ACCENTS = { '¯': '\\overline', '‾': '\\overline', '―': '\\overline', '_': '\\overline', '^': '\\hat', 'ˆ': '\\hat', '→': '\\vec', '⃗': '\\vec', '~': '\\tilde', '˜': '\\tilde', '˙': '\\dot', '.': '\\dot', '¨': '\\ddot', '⏜': '\\overgroup', '⌒': '\\overgroup' };
+const UNDER_ACCENTS = { '_': '\\underline', '¯': '\\underline', '̲': '\\underline' };
+
+// `\backslash` is math-only, and `\^`/`\~` are accents in text mode, so these three get text commands.
+const TEXT_ESCAPES = { '\\': '\\textbackslash{}', '^': '\\textasciicircum{}', '~': '\\textasciitilde{}' };
+// Escapes text for `\text{}`.
+const escapeText = text => text.replace(/[\\{}%#&$_^~]/g, char => TEXT_ESCAPES[char] ?? `\\${char}`);
+// Escapes text for `\mathrm{}`, which is math mode: the text commands are wrapped in `\text{}`.
+const escapeMathText = text => text.replace(/[\\{}%#&$_^~]/g, char => (TEXT_ESCAPES[char] ? `\\text{${TEXT_ESCAPES[char]}}` : `\\${char}`));
+const symbolsOf = text => [...text].map(char => SYMBOLS[char] ?? char).join('');
+
+/** Joins LaTeX fragments, keeping a space where a command would run into a letter. */
+function joinLatex(parts) {
+  return parts.filter(part => part !== '').reduce((out, part) => (
+    /\\[A-Za-z]+$/.test(out) && /^[A-Za-z]/.test(part) ? `${out} ${part}` : out + part
+  ), '');
+}
+
+// Single tokens (`x`, `2`, `\alpha`) need no braces as a base or script.
+const group = latex => (/^([A-Za-z0-9]|\\[A-Za-z]+)$/.test(latex) ? latex : `{${latex}}`);
+
+function convertIdentifier(text, variant) {
+  if (FUNCTION_NAMES.includes(text)) return `\\${text}`;
+  if ([...text].length === 1) {
+    const symbol = symbolsOf(text);
+    return variant === 'normal' && /^[A-Za-z]$/.test(symbol) ? `\\mathrm{${symbol}}` : symbol;
+  }
+  return `\\mathrm{${escapeMathText(text)}}`;
+}
+
+function convertOperator(text) {
+  if (FUNCTION_NAMES.includes(text)) return `\\${text}`;
+  if (/^[A-Za-z]{2,}$/.test(text)) return `\\operatorname{${text}}`;
+  return symbolsOf(text);
+}
+
+function convertNode($, node) {
+  if (node.type === 'text') return symbolsOf(node.data.trim());
+  if (node.type !== 'tag') return '';
+  const $node = $(node);
+  const children = $node.children().toArray();
+  const convert = child => convertNode($, child);
+  const all = () => joinLatex($node.contents().toArray().map(convert));
+  const text = $node.text().trim();
+
+  switch (node.name.toLowerCase()) {
+    case 'mi': return convertIdentifier(text, $node.attr('mathvariant'));
+    case 'mn': return symbolsOf(text);
+    case 'mo': return convertOperator(text);
+    case 'mtext': return text ? `\\text{${escapeText($node.text())}}` : ($node.text() ? '\\ ' : '');
+    case 'ms': return `\\text{"${escapeText(text)}"}`;
+    case 'mspace': return '\\ ';
+    case 'msup': return `${group(convert(children[0]))}^{${convert(children[1])}}`;
+    case 'msub': return `${group(convert(children[0]))}_{${convert(children[1])}}`;
+    case 'msubsup': return `${group(convert(children[0]))}_{${convert(children[1])}}^{${convert(children[2])}}`;
+    case 'mfrac': {
+      const [numerator, denominator] = children.map(convert);
+      return $node.attr('linethickness') === '0'
+        ? `\\genfrac{}{}{0pt}{}{${numerator}}{${denominator}}`
+        : `\\frac{${numerator}}{${denominator}}`;
+    }
+    case 'msqrt': return `\\sqrt{${joinLatex(children.map(convert))}}`;
+    case 'mroot': return `\\sqrt[${convert(children[1])}]{${convert(children[0])}}`;
+    case 'mfenced': {
+      // Read raw: cheerio's attr() returns "open" for `open`, an HTML boolean attribute.
+      const open = node.attribs.open ?? '(';
+      const close = node.attribs.close ?? ')';
+      const separator = ($node.attr('separators') ?? ',').trim().charAt(0);
+      return `\\left${symbolsOf(open) || '.'}${children.map(convert).join(separator)}\\right${symbolsOf(close) || '.'}`;
+    }
+    case 'mover': {
+      const [base, over] = children.map(convert);
+      const accent = OVER_ACCENTS[$(children[1]).text().trim()];
+      if (accent) return `${accent}{${base}}`;
+      return LARGE_OPERATORS.includes(base) ? `${base}^{${over}}` : `\\overset{${over}}{${base}}`;
+    }
+    case 'munder': {
+      const [base, under] = children.map(convert);
+      const accent = UNDER_ACCENTS[$(children[1]).text().trim()];
+      if (accent) return `${accent}{${base}}`;
+      return LARGE_OPERATORS.includes(base) ? `${base}_{${under}}` : `\\underset{${under}}{${base}}`;
+    }
+    case 'munderover': {
+      const [base, under, over] = children.map(convert);
+      return LARGE_OPERATORS.includes(base)
+        ? `${base}_{${under}}^{${over}}`
+        : `\\underset{${under}}{\\overset{${over}}{${base}}}`;
+    }
+    case 'mtable': {
+      const rows = $node.children('mtr, mlabeledtr').toArray()
+        .map(row => $(row).children('mtd').toArray().map(convert).join(' & '));
+      return `\\begin{matrix}${rows.join(' \\\\ ')}\\end{matrix}`;
+    }
+    case 'menclose': {
+      const notation = $node.attr('notation') || 'longdiv';
+      if (/strike/.test(notation)) return `\\cancel{${all()}}`;
+      if (/box|roundedbox|circle/.test(notation)) return `\\boxed{${all()}}`;
+      return all();
+    }
+    case 'mphantom': return `\\phantom{${all()}}`;
+    case 'semantics': {
+      const tex = $node.children('annotation').filter((_, el) => /tex/i.test($(el).attr('encoding') || '')).first();
+      return tex.length ? tex.text().trim() : convert(children[0]);
+    }
+    case 'annotation':
+    case 'annotation-xml':
+    case 'none':
+    case 'mprescripts':
+      return '';
+    default:
+      // math, mrow, mstyle, mpadded, merror, and anything unknown: the children in order.
+      return all();
+  }
+}
+
+/**
+ * Converts a MathML fragment to LaTeX. Entities are decoded by reparsing, so
+ * `&minus;`, `&#x2212;` and the like come through as symbols.
+ * @param {string} mathml - Outer HTML of a `<math>` element.
+ * @returns {{latex: string, display: boolean}|null} Null if it holds no math.
+ */
+export function mathmlToLatex(mathml) {
+  const $ = cheerio.load(mathml, null, false);
+  const math = $('math').first();
+  if (math.length === 0) return null;
+  const latex = convertNode($, math[0]).trim();
+  if (!latex) return null;
+  return { latex, display: math.attr('display') === 'block' || math.attr('mode') === 'display' };
+}
+
+// --------------------- Equation Images ---------------------
+// MathType/WIRIS images carry their MathML in `data-mathml`, with `<>"&` swapped for `«»¨§`.
+const decodeWirisMathml = value => value
+  .replace(/«/g, '<').replace(/»/g, '>').replace(/¨/g, '"').replace(/§/g, '&').replace(/`/g, "'");
+
+// Rendering services that take the LaTeX as the query string.
+const LATEX_IMAGE_SOURCES = [
+  { pattern: /codecogs\.com\/[^?]*\?(.+)$/i, read: query => query },
+  { pattern: /chart\.googleapis\.com\/chart\?(.+)$/i, read: query => new URLSearchParams(query).get('chl') },
+];
+
+/**
+ * Reads the formula behind an equation image.
+ * @param {string} src
+ * @param {string} [dataMathml] - The image's `data-mathml` attribute, if any.
+ * @returns {{latex: string, display: boolean}|null} Null for ordinary images.
+ */
+export function equationImageToLatex(src, dataMathml) {
+  if (dataMathml) return mathmlToLatex(decodeWirisMathml(dataMathml));
+  for (const { pattern, read } of LATEX_IMAGE_SOURCES) {
+    const match = decodeHtml(src || '').match(pattern);
+    if (!match) continue;
+    let latex;
+    try {
+      // CodeCogs editors write spaces and plus signs as `&space;` and `&plus;`.
+      latex = decodeURIComponent((read(match[1]) || '').replace(/\+/g, ' '))
+        .replace(/&space;/g, ' ').replace(/&plus;/g, '+');
+    } catch {
+      return null;
+    }
+    // Rendering switches (`\dpi{150}`, `\bg_white`, `\inline`) are not part of the formula.
+    latex = latex.replace(/^(\s*\\(dpi\{\d+\}|bg_\w+|bg\{\w+\}|inline|large|fn_\w+))+/g, '').trim();
+    return latex ? { latex, display: false } : null;
+  }
+  return null;
+}
+
+// --------------------- Normalization ---------------------
+const escapeHtml = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+const delimit = ({ latex, display }) => escapeHtml(display ? `\\[${latex}\\]` : `\\(${latex}\\)`);
+
+// Page-side formula sources that rendered MathJax output can stand in for.
+const MATH_SCRIPT = 'script[type^="math/tex"]';
+
+/**
+ * Rewrites every formula in a loaded snippet as delimited LaTeX text, and
+ * turns spans styled as raised or lowered text into `<sup>`/`<sub>`. Run it
+ * before inline styles are stripped, since that is where the vertical
+ * alignment lives.
+ * @param {import('cheerio').CheerioAPI} $ - The snippet, loaded with `decodeEntities: false`.
+ */
+export function normalizeMath($) {
+  $('span[style]').each((_, el) => {
+    const align = ($(el).attr('style') || '').match(/vertical-align\s*:\s*(super|sub)\b/i);
+    if (align) el.name = align[1].toLowerCase() === 'super' ? 'sup' : 'sub';
+  });
+
+  // Rendered MathJax: drop it when its source script follows, otherwise keep its MathML.
+  const hasSource = $el => $el.next(MATH_SCRIPT).length > 0;
+  $('.MathJax_Display, .MathJax, mjx-container').each((_, el) => {
+    const $el = $(el);
+    if (hasSource($el) || hasSource($el.parent('.MathJax_Display'))) { $el.remove(); return; }
+    const source = $el.attr('data-mathml') || $.html($el.find('math').first());
+    const formula = source ? mathmlToLatex(source) : null;
+    if (formula) $el.replaceWith(delimit(formula));
+    else $el.remove();
+  });
+  $('.MathJax_Preview, .MJX_Assistive_MathML').remove();
+
+  $(MATH_SCRIPT).each((_, el) => {
+    const latex = decodeHtml($(el).html() || '').trim();
+    if (latex) $(el).replaceWith(delimit({ latex, display: /mode\s*=\s*display/i.test($(el).attr('type')) }));
+    else $(el).remove();
+  });
+
+  $('math').each((_, el) => {
+    const formula = mathmlToLatex($.html(el));
+    if (formula) $(el).replaceWith(delimit(formula));
+    else $(el).remove();
+  });
+
+  $('img').each((_, el) => {
+    const formula = equationImageToLatex($(el).attr('src'), $(el).attr('data-mathml'));
+    if (formula) $(el).replaceWith(delimit(formula));
+  });
+}
+
+/**
+ * Unifies the delimiters of formulas written as text: `$$ ... $$` becomes
+ * `\[ ... \]`, and padding just inside `\( \)`/`\[ \]` is trimmed. Single `$`
+ * is left alone, since it is far more often a currency sign.
+ * @param {string} html
+ * @returns {string}
+ */
+export function unifyMathDelimiters(html) {
+  return html
+    .replace(/\$\$([\s\S]+?)\$\$/g, (_, latex) => `\\[${latex.trim()}\\]`)
+    .replace(/\\\(\s+/g, '\\(').replace(/\s+\\\)/g, '\\)')
+    .replace(/\\\[\s+/g, '\\[').replace(/\s+\\\]/g, '\\]');
+}
+
+// --------------------- KaTeX Validation ---------------------
+/**
+ * Renders every `\( \)` and `\[ \]` formula in a sanitized snippet with KaTeX.
+ * @param {string} html - Output of transformAndSanitizeHtml.
+ * @returns {Array<{latex: string, error: string}>} One entry per formula KaTeX rejects.
+ */
+export function findMathErrors(html) {
+  const errors = [];
+  for (const [, inline, display] of (html || '').matchAll(/\\\(([\s\S]*?)\\\)|\\\[([\s\S]*?)\\\]/g)) {
+    const latex = decodeHtml(inline ?? display).trim();
+    try {
+      katex.renderToString(latex, { displayMode: display !== undefined, throwOnError: true, strict: 'ignore' });
+    } catch (err) {
+      errors.push({ latex, error: err.message.replace(/^KaTeX parse error:\s*/, '') });
+    }
+  }
+  return errors;
+}
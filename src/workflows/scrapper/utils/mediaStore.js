@@ -0,0 +1,127 @@
+// src/workflows/scrapper/utils/mediaStore.js
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+export const MEDIA_DIR = path.join('output', 'media');
+const INDEX_FILE = 'index.json';
+const BASE_URL = 'https://testbook.com/';
+
+const EXTENSIONS = {
+  'image/png': 'png', 'image/jpeg': 'jpg', 'image/gif': 'gif', 'image/webp': 'webp',
+  'image/svg+xml': 'svg', 'image/bmp': 'bmp',
+};
+
+function guessExtension(url, contentType) {
+  const type = (contentType || '').split(';')[0].trim().toLowerCase();
+  if (EXTENSIONS[type]) return EXTENSIONS[type];
+  if (url.startsWith('data:')) return 'bin';
+  const ext = path.extname(new URL(url).pathname).slice(1).toLowerCase();
+  return /^[a-z0-9]{1,5}$/.test(ext) ? ext : 'bin';
+}
+
+/**
+ * Fetches an asset from Node. Works for public CDN URLs and `data:` URIs.
+ * @param {string} url - Absolute URL.
+ * @returns {Promise<{data: Buffer, contentType: string|null}>}
+ */
+export async function nodeFetcher(url) {
+  const response = await fetch(url, { signal: AbortSignal.timeout(30000) });
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  return { data: Buffer.from(await response.arrayBuffer()), contentType: response.headers.get('content-type') };
+}
+
+/**
+ * Creates a fetcher that downloads assets from inside the open tab, so the
+ * request carries the page's cookies and session. The target must allow the
+ * page's origin through CORS.
+ * @param {object} Runtime - CDP Runtime domain of the tab.
+ */
+export function createCdpFetcher(Runtime) {
+  return async (url) => {
+    const { result, exceptionDetails } = await Runtime.evaluate({
+      expression: `(async () => {
+        const res = await fetch(${JSON.stringify(url)});
+        if (!res.ok) throw new Error('HTTP ' + res.status);
+        const bytes = new Uint8Array(await res.arrayBuffer());
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        return { data: btoa(binary), contentType: res.headers.get('content-type') };
+      })()`,
+      awaitPromise: true,
+      returnByValue: true,
+    });
+    if (exceptionDetails) throw new Error(exceptionDetails.exception?.description || exceptionDetails.text);
+    return { data: Buffer.from(result.value.data, 'base64'), contentType: result.value.contentType };
+  };
+}
+
+// --------------------- Index ---------------------
+// The index is only a download cache, so an unreadable one is started afresh.
+function readIndex(indexPath) {
+  try {
+    return JSON.parse(fs.readFileSync(indexPath, 'utf-8'));
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Adds `url -> fileName` to the index on disk. Parallel scrapers share the
+ * file, so their entries are merged in first, and the file is replaced
+ * through a rename so a crash never leaves it half-written.
+ */
+function writeIndexEntry(indexPath, index, url, fileName) {
+  Object.assign(index, readIndex(indexPath), { [url]: fileName });
+  const tempPath = `${indexPath}.${process.pid}.tmp`;
+  try {
+    fs.writeFileSync(tempPath, JSON.stringify(index, null, 2));
+    fs.renameSync(tempPath, indexPath);
+  } finally {
+    fs.rmSync(tempPath, { force: true });
+  }
+}
+
+// --------------------- Store ---------------------
+/**
+ * Creates a content-addressed media store. Each distinct URL is downloaded at
+ * most once (across runs and parallel scrapers too, via `index.json`) and
+ * saved as `<sha256 prefix>.<ext>`, so identical images share one file.
+ * @param {object} [options]
+ * @param {string} [options.dir] - Media folder (default `output/media`).
+ * @param {Function} [options.fetcher] - `(url) => Promise<{data, contentType}>`; swap in a stub for tests.
+ */
+export function createMediaStore({ dir = MEDIA_DIR, fetcher = nodeFetcher } = {}) {
+  fs.mkdirSync(dir, { recursive: true });
+  const indexPath = path.join(dir, INDEX_FILE);
+  const index = readIndex(indexPath);
+  const pending = new Map();
+
+  async function download(url) {
+    const { data, contentType } = await fetcher(url);
+    const hash = crypto.createHash('sha256').update(data).digest('hex').slice(0, 16);
+    const fileName = `${hash}.${guessExtension(url, contentType)}`;
+    const filePath = path.join(dir, fileName);
+    if (!fs.existsSync(filePath)) fs.writeFileSync(filePath, data);
+    if (!url.startsWith('data:')) writeIndexEntry(indexPath, index, url, fileName);
+    return fileName;
+  }
+
+  return {
+    dir,
+    /**
+     * Returns the local file name for an image `src`, downloading it if needed.
+     * @param {string} src - The `src` as found in the HTML (relative URLs resolve against testbook.com).
+     * @returns {Promise<string>} File name inside the media folder.
+     * @throws If the download fails.
+     */
+    localize: (src) => {
+      const url = src.startsWith('data:') ? src : new URL(src, BASE_URL).href;
+      if (index[url] && fs.existsSync(path.join(dir, index[url]))) return Promise.resolve(index[url]);
+      // Failed downloads stay cached too, so a broken URL is only tried once per run.
+      if (!pending.has(url)) pending.set(url, download(url));
+      return pending.get(url);
+    },
+  };
+}
@@ -0,0 +1,118 @@
+// src/workflows/scrapper/utils/navigator.js
+
+import { selectors } from './selectors.js';
+import { humanClick, NO_PACING } from './human.js';
+import { waitForCondition, waitForAngularIdle, waitForQuestionChange, readQuestionSignature } from './waits.js';
+
+// --------------------- Navigation Error ---------------------
+export class NavigationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "NavigationError";
+  }
+}
+
+/**
+ * Creates a navigator that jumps straight to a question by its position in the
+ * exam (1-based, counted across all sections) using the section tabs and the
+ * question palette. Every jump is verified against `.tp-ques-number`.
+ * When the page has no palette it falls back to clicking Next.
+ * @param {object} Runtime - CDP Runtime domain of the tab.
+ * @param {object} Input - CDP Input domain of the tab.
+ * @param {object} log - Logger.
+ * @param {object} [activeSelectors=selectors] - Selectors resolved against the page (see selectorResolver.js).
+ * @param {object} [pacing=NO_PACING] - Click jitter (see pacing.js).
+ */
+export function createNavigator(Runtime, Input, log, activeSelectors = selectors, pacing = NO_PACING) {
+  const { sectionTab, paletteQuestion, nextButton } = activeSelectors.scraper;
+  let sectionSizes = null;
+
+  const evaluate = async (expression) => (await Runtime.evaluate({ expression, returnByValue: true })).result.value;
+  const count = (selector) => evaluate(`document.querySelectorAll('${selector}').length`);
+  const activeSectionIndex = () => evaluate(
+    `[...document.querySelectorAll('${sectionTab}')].findIndex(el => el.classList.contains('active'))`
+  );
+  const readPaletteLabel = (index) => evaluate(`(() => {
+    const el = document.querySelectorAll('${paletteQuestion}')[${index}];
+    const m = el && el.textContent.match(/\\d+/);
+    return m ? parseInt(m[0], 10) : null;
+  })()`);
+  // Page-side reader of the number in `.tp-ques-number`, minus the "Q." shown on small screens.
+  const displayedNumber = `() => {
+    const el = document.querySelector('${activeSelectors.parser.activeQuestionContainer} ${activeSelectors.parser.questionNumber}');
+    if (!el) return null;
+    const copy = el.cloneNode(true);
+    copy.querySelectorAll('span.hidden-xs').forEach(n => n.remove());
+    const m = copy.textContent.match(/\\d+/);
+    return m ? parseInt(m[0], 10) : null;
+  }`;
+
+  async function waitForDisplayedNumber(expected, timeout = 10000) {
+    const shown = await waitForCondition(Runtime, `expected => (${displayedNumber})() === expected`, { args: expected, timeout });
+    return shown ? expected : evaluate(`(${displayedNumber})()`);
+  }
+
+  async function openSection(index) {
+    if (await activeSectionIndex() === index) return;
+    await humanClick(Runtime, Input, sectionTab, { index, pacing });
+    await waitForCondition(Runtime, `index => document.querySelectorAll('${sectionTab}')[index]?.classList.contains('active')`, { args: index });
+    await waitForAngularIdle(Runtime);
+  }
+
+  /** Counts the palette entries of every section once and caches the result. */
+  async function mapSections() {
+    if (sectionSizes) return sectionSizes;
+    const tabCount = await count(sectionTab);
+    if (tabCount === 0) {
+      sectionSizes = [await count(paletteQuestion)];
+    } else {
+      sectionSizes = [];
+      for (let i = 0; i < tabCount; i++) {
+        await openSection(i);
+        sectionSizes.push(await count(paletteQuestion));
+      }
+    }
+    log.info(`Question palette: ${sectionSizes.join(' + ')} question(s) across ${sectionSizes.length} section(s).`);
+    return sectionSizes;
+  }
+
+  async function clickThrough(position) {
+    log.warn('Question palette not found. Falling back to clicking Next.');
+    for (let i = 1; i < position; i++) {
+      const exists = await evaluate(`!!document.querySelector('${nextButton}')`);
+      if (!exists) return false;
+      const previous = await readQuestionSignature(Runtime, activeSelectors);
+      await humanClick(Runtime, Input, nextButton, { pacing });
+      if (await waitForQuestionChange(Runtime, previous, activeSelectors) !== 'changed') return false;
+    }
+    return true;
+  }
+
+  /**
+   * Jumps to the question at `position`.
+   * @param {number} position - 1-based position of the question in the exam.
+   * @returns {Promise<boolean>} False if the exam has fewer questions than `position`.
+   * @throws {NavigationError} If the page does not show the expected question after the jump.
+   */
+  async function goToQuestion(position) {
+    const sizes = await mapSections();
+    const total = sizes.reduce((sum, size) => sum + size, 0);
+    if (total === 0) return clickThrough(position);
+    if (position < 1 || position > total) return false;
+
+    let section = 0;
+    let index = position - 1;
+    while (index >= sizes[section]) index -= sizes[section++];
+
+    if (await count(sectionTab) > 0) await openSection(section);
+    const label = await readPaletteLabel(index);
+    await humanClick(Runtime, Input, paletteQuestion, { index, pacing });
+    const shown = await waitForDisplayedNumber(label);
+    if (shown !== label) {
+      throw new NavigationError(`Jump to question #${position} failed: expected "${label}" but page shows "${shown}".`);
+    }
+    return true;
+  }
+
+  return { goToQuestion, mapSections };
+}
@@ -0,0 +1,45 @@
+// src/workflows/scrapper/utils/pacing.js
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { randomDelay } from './human.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const DEFAULT_PACING_PATH = path.join(__dirname, '..', 'config', 'pacing.json');
+export const DEFAULT_PACING_PROFILE = 'human';
+
+/**
+ * Reads the pacing profiles file: an object keyed by profile name, where each
+ * profile maps a pause to a `[min, max]` range in milliseconds. Reading pauses:
+ * `think` before opening a solution, `solution` after it is shown, `afterNext`
+ * once the next question is on screen. Input jitter (see human.js): `mouseMove`
+ * per mouse step, `beforeClick`, `press` while the button is held,
+ * `afterClick`, and `scroll` per scroll step.
+ * @param {string} [filePath=DEFAULT_PACING_PATH]
+ * @returns {object}
+ */
+export function loadPacingProfiles(filePath = DEFAULT_PACING_PATH) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+}
+
+/**
+ * Creates the human-like jitter policy. Waiting for the page itself is done
+ * by waits.js; these pauses are only added on top of it.
+ * @param {object} profiles - Output of loadPacingProfiles.
+ * @param {string} [name=DEFAULT_PACING_PROFILE]
+ * @returns {{name: string, pause: function(string): Promise<void>}}
+ * @throws {Error} If the profile is unknown.
+ */
+export function createPacing(profiles, name = DEFAULT_PACING_PROFILE) {
+  const profile = profiles[name];
+  if (!profile) throw new Error(`Unknown pacing profile "${name}". Available: ${Object.keys(profiles).join(', ')}`);
+  return {
+    name,
+    /** Sleeps for a random time in the range of `kind`; unknown kinds do not pause. */
+    pause: (kind) => {
+      const [min, max] = profile[kind] || [0, 0];
+      return max > 0 ? randomDelay(min, max) : Promise.resolve();
+    },
+  };
+}
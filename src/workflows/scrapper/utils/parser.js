@@ -0,0 +1,155 @@
+// src/workflows/scrapper/utils/parser.js
+
+import * as cheerio from 'cheerio';
+import { resolveSelectorsFor$ } from './selectorResolver.js';
+import { transformAndSanitizeHtml } from './sanitizer.js';
+import { findMathErrors } from './math.js';
+
+// --------------------- Exam Name ---------------------
+/**
+ * Reads the exam title from a page's HTML using `selectors.parser.examName`
+ * (or the first of its fallbacks that matches).
+ * @param {string} html - The page's outerHTML.
+ * @returns {string} The trimmed title, or an empty string if not present.
+ */
+export function extractExamTitle(html) {
+  const $ = cheerio.load(html);
+  return $(resolveSelectorsFor$($).parser.examName).text().trim();
+}
+
+/**
+ * Turns an exam title into a name that is safe to use as a file name.
+ * @param {string} examTitle - The exam title as shown on the page.
+ * @returns {string}
+ */
+export function sanitizeExamName(examTitle) {
+  return examTitle.replace(/: /g, ' - ').replace(/[<>:"/\\|?*]/g, '');
+}
+
+// --------------------- Question Meta ---------------------
+function readQuestionNumber($, $container, s) {
+  const $numEl = $container.find(s.questionNumber).clone();
+  $numEl.find('span.hidden-xs').remove();
+  const match = $numEl.text().trim().match(/\d+/);
+  return match ? parseInt(match[0], 10) : null;
+}
+
+/**
+ * Reads the displayed question number and active section name from a page.
+ * @param {string} html - The page's outerHTML.
+ * @returns {{questionNumber: number|null, sectionName: string}}
+ */
+export function readQuestionMeta(html) {
+  const $ = cheerio.load(html);
+  const s = resolveSelectorsFor$($).parser;
+  const $container = $(s.activeQuestionContainer);
+  return {
+    questionNumber: readQuestionNumber($, $container, s),
+    sectionName: $(s.sectionName).text().trim(),
+  };
+}
+
+// --------------------- Question Record ---------------------
+const MATH_FIELDS = ['Question', 'OP1', 'OP2', 'OP3', 'OP4', 'Solution'];
+
+/**
+ * Sanitizes the raw HTML parts of one question and assembles its record.
+ * Shared by the DOM walk below and the API extractor (`apiExtractor.js`), so
+ * both produce identical records.
+ * `context.tagger` (see `tagRules.js`) assigns the subject tag.
+ * `context.mediaStore` (see `mediaStore.js`) mirrors images locally; images it
+ * cannot fetch keep their remote URL and are listed in the record's `MissingMedia`.
+ * Formulas KaTeX cannot render are listed in the record's `MathErrors`.
+ * @param {object} raw
+ * @param {string} [raw.comprehension] - Passage shared by a group of questions.
+ * @param {string} raw.questionBody
+ * @param {string} [raw.solution]
+ * @param {Array<string>} raw.options
+ * @param {number} raw.correctIndex - 0-based index of the correct option, -1 if unknown.
+ * @param {number} raw.questionNumber - Number shown for the question, used for tagging.
+ * @param {string} raw.sectionName
+ * @returns {Promise<object|null>} The record, or null if the question or its options are empty.
+ */
+export async function buildQuestionRecord(raw, log, noteId, serialNumber, context = {}) {
+  const qNum = raw.questionNumber;
+  const tag = context.tagger ? context.tagger.tagFor(raw.sectionName, qNum) : null;
+
+  const missingMedia = [];
+  const sanitizeOptions = {};
+  if (context.mediaStore) {
+    sanitizeOptions.rewriteImage = async (src) => {
+      try {
+        return await context.mediaStore.localize(src);
+      } catch (err) {
+        if (!missingMedia.some(m => m.url === src)) missingMedia.push({ url: src, error: err.message });
+        return src;
+      }
+    };
+  }
+
+  // Timed as one `sanitize` step when the logger can record timings (includes image mirroring).
+  const sanitizeAll = async () => [
+    await transformAndSanitizeHtml(raw.comprehension, sanitizeOptions),
+    await transformAndSanitizeHtml(raw.questionBody, sanitizeOptions),
+    await transformAndSanitizeHtml(raw.solution, sanitizeOptions),
+    await Promise.all(raw.options.map(opt => transformAndSanitizeHtml(opt, sanitizeOptions))),
+  ];
+  const [sanitizedComprehension, sanitizedQuestionBody, sanitizedSolution, sanitizedOptions] =
+    log.time ? await log.time('sanitize', sanitizeAll) : await sanitizeAll();
+
+  let finalQuestionHtml = sanitizedQuestionBody;
+  if (sanitizedComprehension) finalQuestionHtml = `${sanitizedComprehension}<br><br><strong><u>Question</u></strong><br>${sanitizedQuestionBody}`;
+
+  if (!finalQuestionHtml || sanitizedOptions.length === 0) { log.warn(`Invalid data for question #${qNum}`); return null; }
+
+  const record = {
+    noteId, SL: serialNumber, Question: finalQuestionHtml,
+    OP1: sanitizedOptions[0] || null, OP2: sanitizedOptions[1] || null,
+    OP3: sanitizedOptions[2] || null, OP4: sanitizedOptions[3] || null,
+    Answer: raw.correctIndex !== -1 ? raw.correctIndex + 1 : 0,
+    Solution: sanitizedSolution, Tags: tag ? [tag] : []
+  };
+  if (missingMedia.length > 0) {
+    record.MissingMedia = missingMedia;
+    log.warn(`${missingMedia.length} image(s) could not be mirrored for question #${qNum}.`);
+  }
+  const mathErrors = MATH_FIELDS.flatMap(field => findMathErrors(record[field]).map(err => ({ field, ...err })));
+  if (mathErrors.length > 0) {
+    record.MathErrors = mathErrors;
+    log.warn(`${mathErrors.length} formula(s) in question #${qNum} do not render with KaTeX.`);
+  }
+  return record;
+}
+
+// --------------------- Scrape Single Question ---------------------
+/**
+ * Parses the active question out of a page's HTML into a question record
+ * (see buildQuestionRecord for `context.tagger` and `context.mediaStore`).
+ * `context.sectionName` stands in for the section tab when the HTML is only
+ * the `#questions` container (e.g. a container-mode snapshot).
+ */
+export async function scrapeSingleQuestionPage(html, fallbackCounter, log, noteId, serialNumber, context = {}) {
+  try {
+    const $ = cheerio.load(html);
+    const s = resolveSelectorsFor$($).parser;
+    const $container = $(s.activeQuestionContainer);
+    if ($container.length === 0) { log.warn('No active question container.'); return null; }
+
+    const rawOptions = [];
+    $container.find(s.optionContainer).each((_, el) => {
+      rawOptions.push($(el).find(s.optionText).html()?.trim());
+    });
+
+    return await buildQuestionRecord({
+      comprehension: $container.find(s.comprehension).html()?.trim(),
+      questionBody: $container.find(s.questionBody).html()?.trim(),
+      solution: $container.find(s.solution).html()?.trim(),
+      options: rawOptions,
+      correctIndex: $container.find(s.optionContainer).filter(`.${s.correctOptionClass}`).index(),
+      questionNumber: readQuestionNumber($, $container, s) ?? fallbackCounter,
+      sectionName: $(s.sectionName).text().trim() || context.sectionName || '',
+    }, log, noteId, serialNumber, context);
+  } catch (e) {
+    log.error('Error parsing question.'); log.error(e); return null;
+  }
+}
@@ -0,0 +1,103 @@
+// src/workflows/scrapper/utils/rateLimiter.js
+
+import { delay } from './human.js';
+
+/**
+ * Creates a rate limiter that spaces page requests evenly at `perMinute`,
+ * adds a random jitter to every slot and pauses everyone for `cooldownMs`
+ * after an error is reported. Slots are handed out in call order, so callers
+ * from several workers share one budget.
+ * @param {object} [options]
+ * @param {number} [options.perMinute=30] - Maximum requests per minute.
+ * @param {number} [options.jitterMs=1000] - Upper bound of the random extra wait per request.
+ * @param {number} [options.cooldownMs=60000] - Pause applied after `reportError()`.
+ * @returns {{acquire: function(): Promise<void>, reportError: function(): void, stats: function(): object}}
+ */
+export function createRateLimiter({ perMinute = 30, jitterMs = 1000, cooldownMs = 60000 } = {}) {
+  if (!(perMinute > 0)) throw new Error(`Rate limit must be a positive number, got ${perMinute}.`);
+  const interval = 60000 / perMinute;
+  let nextSlot = 0;
+  let granted = 0;
+  let cooldowns = 0;
+
+  return {
+    /**
+     * Waits until the caller may send its next request.
+     */
+    async acquire() {
+      const now = Date.now();
+      const slot = Math.max(now, nextSlot) + Math.floor(Math.random() * (jitterMs + 1));
+      nextSlot = slot + interval;
+      granted++;
+      if (slot > now) await delay(slot - now);
+    },
+
+    /**
+     * Pushes every pending and future slot back by the cool-down period.
+     */
+    reportError() {
+      nextSlot = Math.max(nextSlot, Date.now() + cooldownMs);
+      cooldowns++;
+    },
+
+    stats() {
+      return { granted, cooldowns };
+    },
+  };
+}
+
+/**
+ * Creates the gate the scraper calls before every page request. Under the
+ * batch scraper (IPC channel open) permits come from the parent's shared
+ * limiter; standalone runs use a local limiter when `perMinute` is given and
+ * no limiter otherwise.
+ * @param {object} [options] - Options for a local limiter (see createRateLimiter).
+ * @returns {Promise<{acquire: function(): Promise<void>, reportError: function(): Promise<void>}>}
+ */
+export async function createRequestGate(options = {}) {
+  if (process.send) {
+    const { sendMessage, getOneMessage } = await import('execa');
+    let requestId = 0;
+    return {
+      async acquire() {
+        const id = ++requestId;
+        const granted = getOneMessage({ filter: message => message?.type === 'rate:grant' && message.id === id });
+        await sendMessage({ type: 'rate:acquire', id });
+        await granted;
+      },
+      async reportError() {
+        await sendMessage({ type: 'rate:error' });
+      },
+    };
+  }
+
+  if (options.perMinute) {
+    const limiter = createRateLimiter(options);
+    return { acquire: () => limiter.acquire(), reportError: async () => limiter.reportError() };
+  }
+
+  return { acquire: async () => {}, reportError: async () => {} };
+}
+
+/**
+ * Answers a rate-limit message coming from a scraper subprocess started with
+ * `ipc: true`. Grants are sent asynchronously so one waiting scraper never
+ * holds up the other messages of its subprocess.
+ * @param {object} subprocess - The execa subprocess.
+ * @param {ReturnType<typeof createRateLimiter>} limiter - The shared limiter.
+ * @param {object} message - A message received from the subprocess.
+ * @returns {boolean} True if the message was a rate-limit message.
+ */
+export function handleRateMessage(subprocess, limiter, message) {
+  if (message?.type === 'rate:acquire') {
+    limiter.acquire()
+      .then(() => subprocess.sendMessage({ type: 'rate:grant', id: message.id }))
+      .catch(() => {}); // The subprocess exited while waiting for its slot.
+    return true;
+  }
+  if (message?.type === 'rate:error') {
+    limiter.reportError();
+    return true;
+  }
+  return false;
+}
@@ -0,0 +1,125 @@
+// src/workflows/scrapper/utils/runLogger.js
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+export const RUN_LOG_DIR = path.join('logs', 'runs');
+// Set by the batch scraper so its scraper subprocesses log into the same run.
+export const RUN_ID_ENV = 'SCRAPE_RUN_ID';
+
+const plainConsole = {
+  action: (msg) => console.log(`[*] ${msg}`),
+  info: (msg) => console.log(`[i] ${msg}`),
+  success: (msg) => console.log(`[✓] ${msg}`),
+  warn: (msg) => console.log(`[?] ${msg}`),
+  error: (msg) => console.error(`[x] ${msg}`),
+};
+
+/**
+ * Creates a sortable, file-safe run ID, e.g. `20261019-164803-3fa2`.
+ * @returns {string}
+ */
+export function createRunId() {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+  return `${stamp}-${crypto.randomBytes(2).toString('hex')}`;
+}
+
+/**
+ * Returns the JSON-lines log path of a run.
+ * @param {string} runId
+ * @returns {string}
+ */
+export function getRunLogPath(runId) {
+  return path.join(RUN_LOG_DIR, `${runId}.jsonl`);
+}
+
+/**
+ * Reads every event of a run log, skipping lines cut off by a crash.
+ * @param {string} filePath
+ * @returns {Array<object>}
+ */
+export function readRunLog(filePath) {
+  if (!fs.existsSync(filePath)) return [];
+  return fs.readFileSync(filePath, 'utf-8').split('\n').filter(Boolean).flatMap(line => {
+    try {
+      return [JSON.parse(line)];
+    } catch {
+      return [];
+    }
+  });
+}
+
+/**
+ * Creates a logger that prints the usual `[*] [i] [✓] [?] [x]` console lines
+ * and appends every message, timing and event to `logs/runs/<runId>.jsonl`
+ * as one JSON object per line: `{ts, runId, type, ...fields}`. Several
+ * processes of one batch run append to the same file.
+ * @param {object} [options]
+ * @param {string} [options.runId] - Defaults to $SCRAPE_RUN_ID, then a new ID.
+ * @param {object} [options.console] - Console logger to print through (action/info/success/warn/error).
+ * @param {object} [options.fields] - Fields added to every line, e.g. `{ sl }`.
+ * @returns {object} The logger: console methods plus `event`, `time`, `with` and `close`.
+ */
+export function createRunLogger({ runId = process.env[RUN_ID_ENV] || createRunId(), console: out = plainConsole, fields = {} } = {}) {
+  const filePath = getRunLogPath(runId);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const stream = fs.createWriteStream(filePath, { flags: 'a' });
+  return bindLogger({ runId, filePath, stream, out }, fields);
+}
+
+function bindLogger(shared, fields) {
+  const { runId, filePath, stream, out } = shared;
+  const write = (type, data) => {
+    if (stream.writable) stream.write(`${JSON.stringify({ ts: new Date().toISOString(), runId, type, ...fields, ...data })}\n`);
+  };
+  const message = (level) => (msg, extra = {}) => {
+    out[level](msg instanceof Error ? (msg.stack || msg.toString()) : msg);
+    write('log', { level, msg: msg instanceof Error ? msg.message : msg, ...(msg instanceof Error && { stack: msg.stack }), ...extra });
+  };
+
+  return {
+    runId,
+    filePath,
+    action: message('action'),
+    info: message('info'),
+    success: message('success'),
+    warn: message('warn'),
+    error: message('error'),
+
+    /**
+     * Records a structured event without printing it.
+     * @param {string} type - Event type, e.g. `task`.
+     * @param {object} data - Event fields.
+     */
+    event: (type, data) => write(type, data),
+
+    /**
+     * Runs `fn` and records how long it took as a `timing` line.
+     * @param {string} step - Step name: navigate, click, delay, parse, sanitize, ...
+     * @param {function(): Promise<*>} fn
+     * @param {object} [data] - Extra fields, e.g. `{ question: 12 }`.
+     * @returns {Promise<*>} Whatever `fn` returns.
+     */
+    async time(step, fn, data = {}) {
+      const start = performance.now();
+      let ok = true;
+      try {
+        return await fn();
+      } catch (err) {
+        ok = false;
+        throw err;
+      } finally {
+        write('timing', { step, ms: Math.round(performance.now() - start), ok, ...data });
+      }
+    },
+
+    /**
+     * Returns a logger writing to the same file with extra fields on every line.
+     * @param {object} extra - e.g. `{ exam }` or `{ question: 12 }`.
+     */
+    with: (extra) => bindLogger(shared, { ...fields, ...extra }),
+
+    close: () => new Promise(resolve => stream.end(resolve)),
+  };
+}
@@ -0,0 +1,180 @@
+// src/workflows/scrapper/utils/runReport.js
+
+import fs from 'fs';
+import path from 'path';
+
+export const RUN_REPORT_DIR = path.join('output', 'reports', 'runs');
+
+// Deliberate waits; listed per step but kept out of the "slowest" list.
+const WAIT_STEPS = ['delay', 'rate-limit'];
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+// `delay:think`, `click:next`, ... so each randomDelay range and click target gets its own row.
+const stepName = event => [event.step, event.pause || event.target].filter(Boolean).join(':');
+
+/**
+ * Aggregates the events of one run log.
+ * @param {Array<object>} events - Lines of `logs/runs/<runId>.jsonl`.
+ * @returns {object} Run summary used by the renderers.
+ */
+export function summarizeRun(events) {
+  const times = events.map(event => Date.parse(event.ts)).filter(Number.isFinite);
+  const start = events.find(event => event.type === 'run' && event.phase === 'start');
+  const end = [...events].reverse().find(event => event.type === 'run' && event.phase === 'end');
+  const startedAt = start ? Date.parse(start.ts) : Math.min(...times);
+  const endedAt = end ? Date.parse(end.ts) : Math.max(...times);
+  const durationMs = Math.max(0, endedAt - startedAt) || 0;
+
+  const taskEvents = events.filter(event => event.type === 'task');
+  const tasks = new Map();
+  for (const event of taskEvents) {
+    const key = event.link || event.sl;
+    const known = tasks.get(key);
+    tasks.set(key, { ...event, attempts: (known?.attempts || 0) + 1 });
+  }
+  const finalTasks = [...tasks.values()];
+  const statusCounts = {};
+  finalTasks.forEach(task => { statusCounts[task.status] = (statusCounts[task.status] || 0) + 1; });
+  const questions = finalTasks.reduce((sum, task) => sum + (task.questionCount || 0), 0);
+
+  const failures = {};
+  for (const event of taskEvents.filter(event => event.outcome === 'failed')) {
+    const entry = failures[event.errorClass] ||= { count: 0, examples: [] };
+    entry.count++;
+    if (entry.examples.length < 3) entry.examples.push(`${event.sl}: ${event.message}`);
+  }
+
+  const timings = events.filter(event => event.type === 'timing');
+  const byStep = new Map();
+  timings.forEach(event => {
+    const name = stepName(event);
+    if (!byStep.has(name)) byStep.set(name, []);
+    byStep.get(name).push(event.ms);
+  });
+  const steps = [...byStep.entries()].map(([name, values]) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const total = sorted.reduce((sum, ms) => sum + ms, 0);
+    return { name, count: sorted.length, totalMs: total, avgMs: Math.round(total / sorted.length), p50Ms: percentile(sorted, 50), p95Ms: percentile(sorted, 95), maxMs: sorted[sorted.length - 1] };
+  }).sort((a, b) => b.totalMs - a.totalMs);
+
+  const slowest = timings
+    .filter(event => !WAIT_STEPS.includes(event.step))
+    .sort((a, b) => b.ms - a.ms)
+    .slice(0, 10)
+    .map(event => ({ step: stepName(event), ms: event.ms, sl: event.sl || '', question: event.question ?? '', ok: event.ok !== false }));
+
+  return {
+    runId: events[0]?.runId || '',
+    startedAt: Number.isFinite(startedAt) ? new Date(startedAt).toISOString() : '',
+    durationMs,
+    tasks: finalTasks.map(task => ({
+      sl: task.sl, subject: task.subject || '', status: task.status, attempts: task.attempts,
+      questionCount: task.questionCount || 0, durationMs: task.durationMs || 0, errorClass: task.errorClass || '',
+    })),
+    statusCounts,
+    questions,
+    questionsPerMinute: durationMs > 0 ? Math.round((questions / (durationMs / 60000)) * 10) / 10 : 0,
+    failures,
+    steps,
+    slowest,
+  };
+}
+
+const seconds = ms => `${(ms / 1000).toFixed(1)}s`;
+
+function tables(summary) {
+  return [
+    {
+      title: 'Tasks',
+      head: ['SL', 'Subject', 'Status', 'Attempts', 'Questions', 'Duration', 'Failure'],
+      rows: summary.tasks.map(task => [task.sl, task.subject, task.status, task.attempts, task.questionCount, seconds(task.durationMs), task.errorClass]),
+    },
+    {
+      title: 'Failures by class',
+      head: ['Class', 'Attempts', 'Examples'],
+      rows: Object.entries(summary.failures).map(([errorClass, { count, examples }]) => [errorClass, count, examples.join('; ')]),
+    },
+    {
+      title: 'Steps',
+      head: ['Step', 'Count', 'Total', 'Avg (ms)', 'p50 (ms)', 'p95 (ms)', 'Max (ms)'],
+      rows: summary.steps.map(step => [step.name, step.count, seconds(step.totalMs), step.avgMs, step.p50Ms, step.p95Ms, step.maxMs]),
+    },
+    {
+      title: 'Slowest steps',
+      head: ['Step', 'ms', 'SL', 'Question', 'OK'],
+      rows: summary.slowest.map(event => [event.step, event.ms, event.sl, event.question, event.ok ? 'yes' : 'no']),
+    },
+  ];
+}
+
+function overview(summary) {
+  const statuses = Object.entries(summary.statusCounts).map(([status, n]) => `${n} ${status}`).join(', ') || 'none';
+  return [
+    ['Run', summary.runId],
+    ['Started', summary.startedAt],
+    ['Duration', seconds(summary.durationMs)],
+    ['Tasks', `${summary.tasks.length} (${statuses})`],
+    ['Questions', `${summary.questions} (${summary.questionsPerMinute}/min)`],
+  ];
+}
+
+/**
+ * Renders a run summary as Markdown.
+ * @param {object} summary - Output of summarizeRun.
+ * @returns {string}
+ */
+export function renderMarkdown(summary) {
+  const cell = value => String(value ?? '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+  const lines = [`# Scrape run ${summary.runId}`, ''];
+  overview(summary).forEach(([label, value]) => lines.push(`- **${label}:** ${value}`));
+  for (const { title, head, rows } of tables(summary)) {
+    lines.push('', `## ${title}`, '');
+    if (rows.length === 0) { lines.push('_None._'); continue; }
+    lines.push(`| ${head.join(' | ')} |`, `|${head.map(() => ' --- ').join('|')}|`);
+    rows.forEach(row => lines.push(`| ${row.map(cell).join(' | ')} |`));
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Renders a run summary as a standalone HTML page.
+ * @param {object} summary - Output of summarizeRun.
+ * @returns {string}
+ */
+export function renderHtml(summary) {
+  const escape = value => String(value ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  const sections = tables(summary).map(({ title, head, rows }) => `<h2>${escape(title)}</h2>\n${rows.length === 0 ? '<p><em>None.</em></p>' : `<table>
+<tr>${head.map(h => `<th>${escape(h)}</th>`).join('')}</tr>
+${rows.map(row => `<tr>${row.map(value => `<td>${escape(value)}</td>`).join('')}</tr>`).join('\n')}
+</table>`}`);
+  return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>Scrape run ${escape(summary.runId)}</title>
+<style>body{font-family:sans-serif;margin:2em}table{border-collapse:collapse}td,th{border:1px solid #ccc;padding:4px 8px;text-align:left}</style>
+</head><body>
+<h1>Scrape run ${escape(summary.runId)}</h1>
+<ul>${overview(summary).map(([label, value]) => `<li><strong>${escape(label)}:</strong> ${escape(value)}</li>`).join('')}</ul>
+${sections.join('\n')}
+</body></html>
+`;
+}
+
+/**
+ * Writes `<runId>.md` and `<runId>.html` for a run.
+ * @param {string} runId
+ * @param {Array<object>} events - Lines of the run log.
+ * @param {string} [dir=RUN_REPORT_DIR]
+ * @returns {{markdownPath: string, htmlPath: string, summary: object}}
+ */
+export function writeRunReport(runId, events, dir = RUN_REPORT_DIR) {
+  const summary = summarizeRun(events);
+  fs.mkdirSync(dir, { recursive: true });
+  const markdownPath = path.join(dir, `${runId}.md`);
+  const htmlPath = path.join(dir, `${runId}.html`);
+  fs.writeFileSync(markdownPath, renderMarkdown(summary));
+  fs.writeFileSync(htmlPath, renderHtml(summary));
+  return { markdownPath, htmlPath, summary };
+}
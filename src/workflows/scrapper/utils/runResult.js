@@ -0,0 +1,48 @@
+// src/workflows/scrapper/utils/runResult.js
+
+import crypto from 'crypto';
+import fs from 'fs';
+
+export const RESULT_MESSAGE_TYPE = 'scrape:result';
+export const FAILURE_MESSAGE_TYPE = 'scrape:failure';
+
+/**
+ * Hashes a file's contents so the batch runner can tell when an output file
+ * was later overwritten by a different exam with the same sanitized name.
+ * @param {string} filePath - Path to the file.
+ * @returns {string|null} Hex SHA-256 digest, or null if the file is missing.
+ */
+export function hashFile(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+  return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+/**
+ * Sends the outcome of a scrape to the batch runner over the IPC channel.
+ * Does nothing when the scraper was started by hand.
+ * @param {object} result
+ * @param {string|null} result.outputPath - Absolute path of the written JSON file.
+ * @param {number} result.questionCount - Number of records in the file.
+ * @param {Array<number>} result.failedQuestions - Positions that could not be parsed.
+ * @param {string} result.examTitle - The exam title read from the page.
+ * @param {number} result.durationMs - Wall-clock duration of the run.
+ * @param {string|null} result.hash - SHA-256 of the output file.
+ */
+export async function reportRunResult(result) {
+  if (!process.send) return;
+  const { sendMessage } = await import('execa');
+  await sendMessage({ type: RESULT_MESSAGE_TYPE, result });
+}
+
+/**
+ * Tells the batch runner why a scrape failed so it can pick a retry policy.
+ * Does nothing when the scraper was started by hand.
+ * @param {object} failure
+ * @param {string} failure.errorClass - One of FAILURE_CLASSES.
+ * @param {string} failure.message - The error message.
+ */
+export async function reportRunFailure(failure) {
+  if (!process.send) return;
+  const { sendMessage } = await import('execa');
+  await sendMessage({ type: FAILURE_MESSAGE_TYPE, failure });
+}
@@ -2,6 +2,7 @@
 
 import * as cheerio from 'cheerio';
 import { minify } from 'html-minifier-terser';
+import { normalizeMath, unifyMathDelimiters } from './math.js';
 
 const minifierOptions = {
   collapseWhitespace: true,
@@ -26,7 +27,15 @@ async function minifyHtml(htmlString) {
   }
 }
 
-export async function transformAndSanitizeHtml(htmlString) {
+/**
+ * Cleans a question/option/solution HTML snippet for export.
+ * @param {string} htmlString - Raw HTML from the page.
+ * @param {object} [options]
+ * @param {(src: string) => Promise<string>} [options.rewriteImage] - Maps each remaining
+ *   `<img src>` to a new value (e.g. a local media file name).
+ * @returns {Promise<string>}
+ */
+export async function transformAndSanitizeHtml(htmlString, { rewriteImage } = {}) {
   if (typeof htmlString !== 'string' || !htmlString) return htmlString || '';
 
   // Load the HTML into Cheerio for manipulation.
@@ -34,6 +43,10 @@ export async function transformAndSanitizeHtml(htmlString) {
 
   // --- DOM MANIPULATIONS ---
 
+  // Turn MathJax scripts, MathML and equation images into delimited LaTeX, and
+  // styled super/subscripts into <sup>/<sub> (reads inline styles, so it runs first).
+  normalizeMath($);
+
   // Remove all inline styles, as they can interfere with presentation.
   $('*').removeAttr('style');
 
@@ -44,23 +57,6 @@ export async function transformAndSanitizeHtml(htmlString) {
   // Remove junk tags often left by WYSIWYG editors or frameworks.
   $('o\\:p, span.ng-binding').remove();
 
-  // NEW: Convert spans containing only numbers to <sup> tags (for exponents).
-  // This fixes cases like `x<span>2</span>` which should be `x<sup>2</sup>`.
-  $('span').each((_, el) => {
-    const element = $(el);
-    // Check if the span contains only digits and has no other nested elements.
-    if (/^\d+$/.test(element.text().trim()) && element.children().length === 0) {
-      element.replaceWith(`<sup>${element.html()}</sup>`);
-    }
-  });
-
-  // Convert MathJax script tags into standard LaTeX format.
-  $('script[type="math/tex"]').each((_, el) => {
-    const latex = $(el).html();
-    if (latex && latex.trim()) $(el).replaceWith(`\\(${latex.trim()}\\)`);
-  });
-  $('.MathJax, .MathJax_Preview, .MJX_Assistive_MathML').remove();
-
   // Remove specific decorative <img> tags that are not part of the content.
   $('img').each((_, el) => {
     const src = $(el).attr('src') || '';
@@ -72,6 +68,13 @@ export async function transformAndSanitizeHtml(htmlString) {
     }
   });
 
+  // Point the remaining content images at their mirrored copies.
+  if (rewriteImage) {
+    for (const el of $('img[src]').toArray()) {
+      $(el).attr('src', await rewriteImage($(el).attr('src')));
+    }
+  }
+
   // Unwrap <p> tags into their content followed by a <br> to simplify structure.
   $('p').each((_, el) => {
     const innerHtml = $(el).html();
@@ -104,6 +107,7 @@ export async function transformAndSanitizeHtml(htmlString) {
 
   processedHtml = processedHtml.replace(/<!--[\s\S]*?-->/g, '');      // Remove HTML comments.
   processedHtml = processedHtml.replace(/&nbsp;/g, ' ');               // Replace non-breaking spaces with regular spaces.
+  processedHtml = unifyMathDelimiters(processedHtml);                   // `$$ $$` to `\[ \]`, no padding inside delimiters.
   processedHtml = processedHtml.replace(/\u00AD/g, '');                 // NEW: Remove soft hyphens, which can be invisible and problematic.
   processedHtml = processedHtml.replace(/(<br\s*\/?>\s*){3,}/gi, '<br><br>'); // Collapse 3+ line breaks into just two.
   processedHtml = processedHtml.replace(/^(\s*<br\s*\/?>)+|(<br\s*\/?>\s*)+$/gi, ''); // Remove all leading and trailing line breaks.
@@ -0,0 +1,154 @@
+// src/workflows/scrapper/utils/selectorHealth.js
+
+import * as cheerio from 'cheerio';
+import { getCandidates } from './selectorResolver.js';
+
+/**
+ * What each selector should match. `page` is where it lives (`analysis`,
+ * `solutions` or `any`); `min`/`max` bound the match count; `within` counts
+ * inside the matches of another parser key; `className` marks keys that
+ * hold a class name rather than a selector. `hints` are attribute fragments
+ * used to suggest replacements when nothing matches.
+ */
+export const SELECTOR_EXPECTATIONS = {
+  scraper: {
+    solutionsButton: { page: 'analysis', min: 1, hints: ['solutions'] },
+    viewSolutionButton: { page: 'solutions', min: 1, max: 1, hints: ['ViewSolution', 'solution'] },
+    // Missing on the last question, so check a snapshot of an earlier one.
+    nextButton: { page: 'solutions', min: 1, max: 1, hints: ['navBtnPressed', 'next'] },
+    sectionTab: { page: 'solutions', min: 0, hints: ['section'] },
+    paletteQuestion: { page: 'solutions', min: 1, hints: ['goToQues', 'palette'] },
+    // Only bilingual tests have one.
+    languageSwitcher: { page: 'solutions', min: 0, hints: ['lang'] },
+    loginPrompt: { page: 'any', min: 0, max: 0, hints: [] },
+    paywall: { page: 'any', min: 0, max: 0, hints: [] },
+    lastQuestionModal: { page: 'solutions', min: 0, max: 1, hints: [] },
+  },
+  parser: {
+    examName: { page: 'analysis', min: 1, max: 1, hints: ['title'] },
+    activeQuestionContainer: { page: 'solutions', min: 1, max: 1, hints: ['questions'] },
+    questionNumber: { page: 'solutions', within: 'activeQuestionContainer', min: 1, max: 1, hints: ['ques-number', 'question-number'] },
+    sectionName: { page: 'solutions', min: 1, max: 1, hints: ['section'] },
+    comprehension: { page: 'solutions', within: 'activeQuestionContainer', min: 0, max: 1, hints: ['comprehension'] },
+    questionBody: { page: 'solutions', within: 'activeQuestionContainer', min: 1, max: 1, hints: ['getQuestionDesc', 'question'] },
+    optionContainer: { page: 'solutions', within: 'activeQuestionContainer', min: 2, max: 5, hints: ['option'] },
+    optionText: { page: 'solutions', within: 'optionContainer', min: 2, max: 5, hints: ['qns-view-box', 'option'] },
+    correctOptionClass: { page: 'solutions', within: 'activeQuestionContainer', className: true, min: 1, max: 1, hints: ['correct'] },
+    // Only present once "View Solution" has been clicked.
+    solution: { page: 'solutions', within: 'activeQuestionContainer', min: 1, max: 1, hints: ['isSet(1)', 'solution'] },
+  },
+};
+
+const HINT_ATTRIBUTES = ['id', 'class', 'ng-click', 'ng-bind-html', 'ng-show', 'ng-repeat', 'href', 'name'];
+
+function countIn($, $root, selector) {
+  try {
+    return $root ? $root.find(selector).length : $(selector).length;
+  } catch {
+    return 0; // Cheerio rejects a few browser-only selectors.
+  }
+}
+
+const describeRange = ({ min, max }) => (max === undefined ? `at least ${min}` : min === max ? `${min}` : `${min}-${max}`);
+
+/**
+ * Tells whether a saved page is the analysis page or the solutions view.
+ * @param {string} html
+ * @returns {'analysis'|'solutions'}
+ */
+export function detectPageKind(html) {
+  const $ = cheerio.load(html);
+  return getCandidates('parser', 'activeQuestionContainer').some(selector => countIn($, null, selector) > 0) ? 'solutions' : 'analysis';
+}
+
+/**
+ * Proposes selectors built from elements whose attributes contain one of the
+ * hints, ranked by how well their match count fits the expectation.
+ * @returns {Array<{selector: string, count: number}>} Up to three suggestions.
+ */
+function suggestSelectors($, $root, expectation, known) {
+  const found = new Map();
+  const lowerHints = expectation.hints.map(hint => hint.toLowerCase());
+  const scope = $root ? $root.find('*') : $('*');
+
+  scope.each((_, el) => {
+    const tag = el.tagName;
+    for (const attr of HINT_ATTRIBUTES) {
+      const value = $(el).attr(attr);
+      if (!value) continue;
+      for (const hint of lowerHints) {
+        const at = value.toLowerCase().indexOf(hint);
+        if (at === -1) continue;
+        if (attr === 'id') found.set(`#${value}`, null);
+        else if (attr === 'class') {
+          value.split(/\s+/).filter(token => token.toLowerCase().includes(hint))
+            .forEach(token => found.set(expectation.className ? token : `${tag}.${token}`, null));
+        } else found.set(`${tag}[${attr}*="${value.slice(at, at + hint.length)}"]`, null);
+      }
+    }
+  });
+
+  const fit = count => (count < expectation.min ? expectation.min - count : expectation.max !== undefined && count > expectation.max ? count - expectation.max : 0);
+  return [...found.keys()]
+    .filter(selector => !known.includes(selector))
+    .map(selector => ({ selector, count: countIn($, $root, expectation.className ? `.${selector}` : selector) }))
+    .filter(({ count }) => count > 0)
+    .sort((a, b) => fit(a.count) - fit(b.count) || a.selector.length - b.selector.length)
+    .slice(0, 3);
+}
+
+/**
+ * Evaluates every `scraper` and `parser` selector (with its fallbacks)
+ * against the captured pages.
+ * @param {{analysis?: string, solutions?: string}} pages - Page HTML by kind.
+ * @returns {Array<object>} One entry per key: `{group, key, status, page,
+ *   expected, candidates: [{selector, count}], matchedIndex, count, suggestions}`.
+ *   `status` is `ok`, `fallback` (a later candidate matched), `high` (more
+ *   matches than expected), `fail` or `skipped` (its page was not captured).
+ */
+export function checkSelectors(pages) {
+  const loaded = Object.fromEntries(Object.entries(pages).filter(([, html]) => html).map(([kind, html]) => [kind, cheerio.load(html)]));
+  const results = [];
+
+  for (const [group, keys] of Object.entries(SELECTOR_EXPECTATIONS)) {
+    for (const [key, expectation] of Object.entries(keys)) {
+      const kinds = expectation.page === 'any' ? Object.keys(loaded) : [expectation.page].filter(kind => loaded[kind]);
+      const candidates = getCandidates(group, key);
+      const base = { group, key, page: expectation.page, expected: describeRange(expectation) };
+      if (kinds.length === 0) {
+        results.push({ ...base, status: 'skipped', candidates: candidates.map(selector => ({ selector, count: null })), matchedIndex: -1, count: null, suggestions: [] });
+        continue;
+      }
+
+      for (const kind of kinds) {
+        const $ = loaded[kind];
+        let $root = null;
+        if (expectation.within) {
+          const containers = getCandidates('parser', expectation.within);
+          const container = containers.find(selector => countIn($, null, selector) > 0);
+          $root = container ? $(container) : $('__no_container__');
+        }
+        const counted = candidates.map(selector => ({ selector, count: countIn($, $root, expectation.className ? `.${selector}` : selector) }));
+        const matchedIndex = counted.findIndex(({ count }) => count >= expectation.min && count > 0);
+        const inRange = ({ count }) => count >= expectation.min && (expectation.max === undefined || count <= expectation.max);
+
+        let status;
+        let count;
+        if (expectation.min === 0 && counted.every(({ count }) => count === 0)) {
+          status = 'ok';
+          count = 0;
+        } else if (matchedIndex === -1) {
+          status = 'fail';
+          count = Math.max(...counted.map(({ count }) => count));
+        } else {
+          count = counted[matchedIndex].count;
+          status = !inRange(counted[matchedIndex]) ? 'high' : matchedIndex > 0 ? 'fallback' : 'ok';
+        }
+
+        const suggestions = status === 'fail' || status === 'fallback' ? suggestSelectors($, $root, expectation, candidates) : [];
+        results.push({ ...base, page: kind, status, candidates: counted, matchedIndex, count, suggestions });
+      }
+    }
+  }
+  return results;
+}
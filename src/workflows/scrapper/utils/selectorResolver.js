@@ -0,0 +1,72 @@
+// src/workflows/scrapper/utils/selectorResolver.js
+
+import { selectorCandidates } from './selectors.js';
+
+/**
+ * Returns the ordered selector list for a key.
+ * @param {string} group - `scraper`, `parser` or `discover`.
+ * @param {string} key - Key within the group.
+ * @returns {Array<string>}
+ */
+export function getCandidates(group, key) {
+  const value = selectorCandidates[group]?.[key];
+  if (value === undefined) throw new Error(`Unknown selector: ${group}.${key}`);
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Picks, for every key with fallbacks, the first candidate that matches
+ * something on the page. Keys where nothing matches keep their primary
+ * selector, so callers fail the same way they did without fallbacks.
+ * @param {function(string): number} countMatches - Counts the elements a selector matches.
+ * @returns {object} An object shaped like `selectors`.
+ */
+export function resolveSelectors(countMatches) {
+  return Object.fromEntries(Object.entries(selectorCandidates).map(([group, keys]) => [
+    group,
+    Object.fromEntries(Object.keys(keys).map(key => {
+      const candidates = getCandidates(group, key);
+      if (candidates.length === 1) return [key, candidates[0]];
+      return [key, candidates.find(selector => countMatches(selector) > 0) ?? candidates[0]];
+    })),
+  ]));
+}
+
+/**
+ * Resolves the fallbacks against a document loaded with Cheerio.
+ * @param {import('cheerio').CheerioAPI} $
+ * @returns {object} An object shaped like `selectors`.
+ */
+export function resolveSelectorsFor$($) {
+  return resolveSelectors(selector => {
+    try {
+      return $(selector).length;
+    } catch {
+      return 0; // Cheerio rejects a few browser-only selectors.
+    }
+  });
+}
+
+/**
+ * Resolves the fallbacks against the live page in one round trip.
+ * @param {object} Runtime - The CDP Runtime domain.
+ * @returns {Promise<object>} An object shaped like `selectors`.
+ */
+export async function resolveSelectorsLive(Runtime) {
+  const { result } = await Runtime.evaluate({
+    expression: `(() => {
+      const count = (selector) => { try { return document.querySelectorAll(selector).length; } catch { return 0; } };
+      const lists = ${JSON.stringify(selectorCandidates)};
+      const counts = {};
+      for (const group of Object.values(lists)) {
+        for (const value of Object.values(group)) {
+          if (Array.isArray(value)) value.forEach(selector => { counts[selector] = count(selector); });
+        }
+      }
+      return counts;
+    })()`,
+    returnByValue: true,
+  });
+  const counts = result.value || {};
+  return resolveSelectors(selector => counts[selector] ?? 0);
+}
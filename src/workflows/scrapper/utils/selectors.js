@@ -2,28 +2,59 @@
 
 /**
  * Centralized configuration for all CSS selectors.
+ *
+ * A key may hold an ordered list of fallbacks instead of a single selector:
+ * the first entry is the current markup, later entries are looser matches
+ * that keep the scraper working through small layout changes. Code that
+ * needs the fallbacks resolves them against the page with
+ * `selectorResolver.js`; `selectors` below exposes only the first entry.
+ * `npm run doctor` reports which entry matched.
  */
-export const selectors = {
+export const selectorCandidates = {
   /**
    * Selectors used for browser INTERACTION (clicking, checking state).
    * These are used by the CDP client (Runtime.evaluate).
    */
   scraper: {
-    solutionsButton: 'a[href*="#/solutions"]',
-    viewSolutionButton: 'button[ng-click="toggleViewSolution()"]',
-    nextButton: 'button[ng-click="navBtnPressed(true)"]',
+    solutionsButton: ['a[href*="#/solutions"]', 'a[href*="/solutions"]'],
+    viewSolutionButton: ['button[ng-click="toggleViewSolution()"]', 'button[ng-click*="ViewSolution"]'],
+    nextButton: ['button[ng-click="navBtnPressed(true)"]', 'button[ng-click*="navBtnPressed(true"]'],
+    // Section tabs across the top of the solutions view; the active one holds `parser.sectionName`.
+    sectionTab: ['li[ng-repeat*="section"]', '[ng-repeat*="section"]'],
+    // Numbered buttons in the question palette, listing the active section's questions in order.
+    paletteQuestion: ['button[ng-click*="goToQues"]', '[ng-click*="goToQues"]'],
+    // The question-language switcher (a dropdown or a list of language names); see languages.js.
+    languageSwitcher: ['select[ng-model*="lang"]', '[ng-click*="changeLang"]', '[ng-click*="Language"]'],
+    // Anything that only shows up when the session has expired: the login page/modal or its password field.
+    loginPrompt: 'form[name="loginForm"], #loginModal, input[type="password"]',
+    // The "get a Testbook Pass" wall shown instead of a Pass-only test to an account without one.
+    paywall: ['[class*="pass-paywall"]', '#passModal', '[ng-if*="passRequired"]'],
     // Note: While we now use a text-based check for the last question,
     // this selector is kept for potential future use or debugging.
     lastQuestionModal: 'div.bootbox-confirm', 
   },
 
+  /**
+   * Selectors for test-series LISTING pages, used by `links discover`.
+   * Tests are found by their `/<slug>/tests/<id>` links; these only narrow
+   * down the card around each link and the pagination control.
+   */
+  discover: {
+    // The card wrapping one test in the listing.
+    testCard: '.test-card, [class*="test-card"], li[ng-repeat*="test"], div[ng-repeat*="test"]',
+    // The test name inside a card.
+    testTitle: '.test-card__title, [class*="title"], h3, h4',
+    // Pagination: the "next page" control or a "load more" button.
+    nextPage: 'a[rel="next"], li.pagination-next:not(.disabled) a, button[ng-click*="loadMore"], button[ng-click*="nextPage"]',
+  },
+
   /**
    * Selectors used for data EXTRACTION with Cheerio.
    * These are used after getting the page's HTML to parse the content.
    */
   parser: {
     // Selector for the main exam name on the analysis page.
-    examName: 'div.sticky-header__title .d-none.d-md-block',
+    examName: ['div.sticky-header__title .d-none.d-md-block', '.sticky-header__title .d-md-block', '[class*="sticky-header__title"]'],
 
     // The stable parent container for the currently visible question.
     activeQuestionContainer: '#questions',
@@ -38,10 +69,10 @@ export const selectors = {
     comprehension: '.aei-comprehension div[ng-bind-html^="getComprehension"]',
     
     // The main body of the question itself.
-    questionBody: '.que-ans-box > .qns-view-box[ng-bind-html*="getQuestionDesc"]',
+    questionBody: ['.que-ans-box > .qns-view-box[ng-bind-html*="getQuestionDesc"]', '.qns-view-box[ng-bind-html*="getQuestionDesc"]'],
     
     // The container for a single option row.
-    optionContainer: 'li.option',
+    optionContainer: ['li.option', 'li[ng-repeat*="option"]'],
     
     // The text content within a single option container.
     optionText: '.qns-view-box',
@@ -50,6 +81,18 @@ export const selectors = {
     correctOptionClass: 'correct-option',
     
     // The container for the detailed solution text.
-    solution: 'div[ng-show="isSet(1)"] > .qns-view-box',
+    solution: ['div[ng-show="isSet(1)"] > .qns-view-box', 'div[ng-show*="isSet(1)"] .qns-view-box'],
   }
-};
\ No newline at end of file
+};
+
+const firstOf = (value) => (Array.isArray(value) ? value[0] : value);
+
+/**
+ * The primary selector of every key, for code that does not need fallbacks.
+ */
+export const selectors = Object.fromEntries(
+  Object.entries(selectorCandidates).map(([group, keys]) => [
+    group,
+    Object.fromEntries(Object.entries(keys).map(([key, value]) => [key, firstOf(value)])),
+  ])
+);
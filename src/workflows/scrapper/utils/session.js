@@ -0,0 +1,212 @@
+// src/workflows/scrapper/utils/session.js
+
+import CDP from 'chrome-remote-interface';
+import fs from 'fs';
+import { getCandidates } from './selectorResolver.js';
+import { waitForCondition } from './waits.js';
+import { delay } from './human.js';
+
+/**
+ * What a Testbook page shows: the page itself (`authenticated`), a login
+ * prompt (`login`), a "buy a pass" wall (`paywall`), or nothing decisive yet
+ * (`unknown`).
+ */
+export const SESSION_STATES = {
+  AUTHENTICATED: 'authenticated',
+  LOGIN: 'login',
+  PAYWALL: 'paywall',
+  UNKNOWN: 'unknown',
+};
+
+// --------------------- Session Expired Error ---------------------
+export class SessionExpiredError extends Error {
+  constructor(state) {
+    super(state === SESSION_STATES.PAYWALL
+      ? 'The page asks for a Testbook Pass; the logged-in account cannot open this test.'
+      : 'The Testbook session has expired; the page shows a login prompt.');
+    this.name = "SessionExpiredError";
+    this.state = state;
+  }
+}
+
+// --------------------- Detection ---------------------
+// Page-side: login and paywall win over page content, which can render behind a modal.
+const SESSION_STATE = `(s) => {
+  if (/\\/login/.test(location.pathname) || s.login.some(sel => document.querySelector(sel))) return 'login';
+  if (s.paywall.some(sel => document.querySelector(sel))) return 'paywall';
+  if (s.ready.some(sel => document.querySelector(sel))) return 'authenticated';
+  return null;
+}`;
+
+const stateArgs = () => ({
+  login: getCandidates('scraper', 'loginPrompt'),
+  paywall: getCandidates('scraper', 'paywall'),
+  ready: [...getCandidates('parser', 'examName'), ...getCandidates('parser', 'activeQuestionContainer')],
+});
+
+/**
+ * Reads the session state of the page in the tab right now.
+ * @param {object} Runtime - CDP Runtime domain of the tab.
+ * @returns {Promise<string>} One of SESSION_STATES.
+ */
+export async function detectSessionState(Runtime) {
+  try {
+    const { result } = await Runtime.evaluate({ expression: `(${SESSION_STATE})(${JSON.stringify(stateArgs())})`, returnByValue: true });
+    return result.value || SESSION_STATES.UNKNOWN;
+  } catch {
+    return SESSION_STATES.UNKNOWN;
+  }
+}
+
+/**
+ * Waits until a freshly loaded page shows its content, a login prompt or a
+ * paywall, whichever comes first.
+ * @param {object} Runtime
+ * @param {number} [timeout=15000]
+ * @returns {Promise<string>} One of SESSION_STATES; `unknown` on timeout.
+ */
+export async function waitForSessionState(Runtime, timeout = 15000) {
+  return await waitForCondition(Runtime, SESSION_STATE, { args: stateArgs(), timeout }) || SESSION_STATES.UNKNOWN;
+}
+
+// --------------------- Cookies ---------------------
+const SAME_SITE = { strict: 'Strict', lax: 'Lax', none: 'None', no_restriction: 'None' };
+
+function toCookieParam(cookie) {
+  const expires = cookie.expires ?? cookie.expirationDate;
+  const sameSite = SAME_SITE[String(cookie.sameSite).toLowerCase()];
+  return {
+    name: cookie.name,
+    value: String(cookie.value),
+    ...(cookie.domain ? { domain: cookie.domain } : { url: cookie.url }),
+    path: cookie.path || '/',
+    secure: !!cookie.secure,
+    httpOnly: !!cookie.httpOnly,
+    ...(sameSite && { sameSite }),
+    // Storage-state files mark session cookies with -1.
+    ...(expires > 0 && { expires }),
+  };
+}
+
+function parseNetscapeCookies(text) {
+  return text.split(/\r?\n/).flatMap(line => {
+    const httpOnly = line.startsWith('#HttpOnly_');
+    if (!httpOnly && (line.startsWith('#') || !line.trim())) return [];
+    const fields = (httpOnly ? line.slice('#HttpOnly_'.length) : line).split('\t');
+    if (fields.length < 7) return [];
+    const [domain, , path, secure, expires, name, value] = fields;
+    return [{ domain, path, secure: secure === 'TRUE', expires: Number(expires), name, value, httpOnly }];
+  });
+}
+
+/**
+ * Reads cookies exported from a browser: a JSON array of cookies (as browser
+ * cookie-export extensions write them), a storage-state JSON with a `cookies`
+ * array, or a Netscape `cookies.txt`.
+ * @param {string} filePath
+ * @returns {Array<object>} Cookies in the shape `Network.setCookies` takes.
+ * @throws {Error} If the file holds none of those formats.
+ */
+export function loadCookies(filePath) {
+  const text = fs.readFileSync(filePath, 'utf-8');
+  let list;
+  if (/^\s*[[{]/.test(text)) {
+    const data = JSON.parse(text);
+    list = Array.isArray(data) ? data : data?.cookies;
+    if (!Array.isArray(list)) throw new Error('Expected a cookie array or a storage-state object with a "cookies" array.');
+  } else {
+    list = parseNetscapeCookies(text);
+  }
+  const cookies = list.filter(cookie => cookie?.name && cookie.value !== undefined && (cookie.domain || cookie.url)).map(toCookieParam);
+  if (cookies.length === 0) throw new Error(`No cookies found in ${filePath}.`);
+  return cookies;
+}
+
+/**
+ * Sets cookies in the debugging browser through `Network.setCookies`.
+ * @param {{host: string, port: number}} browser - Debugging browser address (see startBrowser).
+ * @param {Array<object>} cookies - Output of loadCookies.
+ */
+export async function importCookies({ host, port }, cookies) {
+  const browserClient = await CDP({ host, port });
+  const { targetId } = await browserClient.Target.createTarget({ url: 'about:blank' });
+  const tabClient = await CDP({ host, port, target: targetId });
+  try {
+    await tabClient.Network.setCookies({ cookies });
+  } finally {
+    await browserClient.Target.closeTarget({ targetId }).catch(() => {});
+    await tabClient.close();
+    await browserClient.close();
+  }
+}
+
+// --------------------- Probing ---------------------
+/**
+ * Loads `url` in a new tab and reports whether it opens logged in.
+ * @param {{host: string, port: number}} browser
+ * @param {string} url - A page that needs the login, e.g. an analysis page.
+ * @returns {Promise<string>} One of SESSION_STATES.
+ */
+export async function probeSession({ host, port }, url) {
+  const browserClient = await CDP({ host, port });
+  const { targetId } = await browserClient.Target.createTarget({ url: 'about:blank' });
+  const tabClient = await CDP({ host, port, target: targetId });
+  try {
+    const { Page, Runtime } = tabClient;
+    await Promise.all([Page.enable(), Runtime.enable()]);
+    await Page.navigate({ url });
+    await Page.loadEventFired();
+    return await waitForSessionState(Runtime);
+  } finally {
+    await browserClient.Target.closeTarget({ targetId }).catch(() => {});
+    await tabClient.close();
+    await browserClient.close();
+  }
+}
+
+/**
+ * Polls `probeUrl` until it loads logged in. A cookie file is imported first
+ * and again whenever it changes on disk, so dropping a fresh export next to
+ * a running batch is enough; logging in by hand in the browser works too.
+ * @param {{host: string, port: number}} browser
+ * @param {string} probeUrl
+ * @param {object} options
+ * @param {string} [options.cookiesPath] - Cookie file to import (see loadCookies).
+ * @param {number} [options.pollMs=30000] - Time between probes.
+ * @param {number} [options.maxWaitMs=1800000] - Give up after this long.
+ * @param {function(): Promise<void>} [options.beforeProbe] - Called before each probe, e.g. a rate limiter.
+ * @param {object} options.log - Logger with action/info/success/warn/error.
+ * @returns {Promise<boolean>} True once authenticated, false if `maxWaitMs` ran out.
+ */
+export async function waitForSession(browser, probeUrl, { cookiesPath, pollMs = 30000, maxWaitMs = 30 * 60 * 1000, beforeProbe, log }) {
+  const deadline = Date.now() + maxWaitMs;
+  let importedMtime = 0;
+  for (let probe = 1; ; probe++) {
+    if (cookiesPath && fs.existsSync(cookiesPath) && fs.statSync(cookiesPath).mtimeMs > importedMtime) {
+      importedMtime = fs.statSync(cookiesPath).mtimeMs;
+      try {
+        const cookies = loadCookies(cookiesPath);
+        await importCookies(browser, cookies);
+        log.info(`Imported ${cookies.length} cookie(s) from ${cookiesPath}.`);
+      } catch (err) {
+        log.warn(`Could not import cookies from ${cookiesPath}: ${err.message}`);
+      }
+    }
+
+    let state;
+    try {
+      if (beforeProbe) await beforeProbe();
+      state = await probeSession(browser, probeUrl);
+    } catch (err) {
+      state = SESSION_STATES.UNKNOWN;
+      log.warn(`Session probe failed: ${err.message}`);
+    }
+    if (state === SESSION_STATES.AUTHENTICATED) return true;
+    if (Date.now() + pollMs > deadline) return false;
+    if (probe === 1) {
+      log.warn(`Not logged in (${state}). Log in to Testbook in the debugging browser at http://${browser.host}:${browser.port}${cookiesPath ? ` or update ${cookiesPath}` : ''}; waiting up to ${Math.round(maxWaitMs / 60000)} min.`);
+    }
+    log.info(`Session probe: ${state}. Checking again in ${Math.round(pollMs / 1000)}s...`);
+    await delay(pollMs);
+  }
+}
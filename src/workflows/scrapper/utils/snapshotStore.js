@@ -0,0 +1,70 @@
+// src/workflows/scrapper/utils/snapshotStore.js
+
+import * as cheerio from 'cheerio';
+import fs from 'fs';
+import path from 'path';
+import { resolveSelectorsFor$ } from './selectorResolver.js';
+
+export const SNAPSHOT_MODES = ['page', 'container'];
+export const MANIFEST_FILE = 'manifest.json';
+
+/**
+ * Creates a store that archives the raw HTML of every scraped question under
+ * `output/raw/<exam>/`, alongside a `manifest.json` describing each snapshot.
+ * The manifest is rewritten after every save so it survives a crashed run.
+ * @param {string} sanitizedExamName - File-safe exam name, used as the folder name.
+ * @param {object} meta - Exam-level details recorded in the manifest.
+ * @param {string} meta.examTitle - The exam title as shown on the page.
+ * @param {string} meta.url - The analysis page URL.
+ * @param {'page'|'container'} [mode='page'] - Save the full page or only the `#questions` container.
+ * @param {object} [options]
+ * @param {number} [options.resumeAfter] - Set when resuming from a checkpoint: the
+ *   existing manifest (same URL and mode) keeps its entries up to this position
+ *   and new snapshots are appended to it.
+ */
+export function createSnapshotStore(sanitizedExamName, { examTitle, url }, mode = 'page', { resumeAfter } = {}) {
+  if (!SNAPSHOT_MODES.includes(mode)) throw new Error(`Unknown snapshot mode: ${mode}`);
+
+  const dir = path.join('output', 'raw', sanitizedExamName);
+  fs.mkdirSync(dir, { recursive: true });
+  const manifestPath = path.join(dir, MANIFEST_FILE);
+  const previous = resumeAfter !== undefined ? readSnapshotManifest(dir) : null;
+  const manifest = previous && previous.url === url && previous.mode === mode
+    ? { ...previous, entries: previous.entries.filter(entry => entry.position <= resumeAfter) }
+    : { examTitle, url, mode, createdAt: new Date().toISOString(), entries: [] };
+
+  const extract = (html) => {
+    if (mode === 'page') return html;
+    const $ = cheerio.load(html);
+    return $.html($(resolveSelectorsFor$($).parser.activeQuestionContainer));
+  };
+
+  return {
+    dir,
+    /**
+     * Saves one question's HTML. Parsed questions are stored as `<SL>.html`;
+     * questions the parser rejected as `unparsed-<position>.html`.
+     */
+    save: ({ html, SL, position, questionNumber, sectionName }) => {
+      const file = SL ? `${SL}.html` : `unparsed-${position}.html`;
+      fs.writeFileSync(path.join(dir, file), extract(html));
+      manifest.entries.push({
+        file, SL: SL ?? null, position, questionNumber, sectionName,
+        url, timestamp: new Date().toISOString(),
+      });
+      fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+      return file;
+    },
+  };
+}
+
+/**
+ * Reads a snapshot directory's manifest, if it has one.
+ * @param {string} dir - The snapshot directory.
+ * @returns {object|null} The parsed manifest or null when absent.
+ */
+export function readSnapshotManifest(dir) {
+  const manifestPath = path.join(dir, MANIFEST_FILE);
+  if (!fs.existsSync(manifestPath)) return null;
+  return JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+}
@@ -0,0 +1,95 @@
+// src/workflows/scrapper/utils/tagRules.js
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const DEFAULT_TAG_PROFILES_PATH = path.join(__dirname, '..', 'config', 'tagProfiles.json');
+const FALLBACK_PROFILE = 'default';
+
+/**
+ * Reads the tag profiles file: an object keyed by profile name, where each
+ * profile has an optional `examTitle` regex (used for auto-detection), an
+ * optional `extends` parent profile and an ordered list of `rules`.
+ * A rule matches when all of its given conditions match:
+ *   - `section`: regex tested (case-insensitively) against the section tab name
+ *   - `questions`: inclusive `[from, to]` range of the displayed question number
+ *   - `examTitle`: regex tested (case-insensitively) against the exam title
+ * @param {string} [filePath] - Path to the profiles JSON file.
+ * @returns {object} The profiles keyed by name.
+ */
+export function loadTagProfiles(filePath = DEFAULT_TAG_PROFILES_PATH) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+}
+
+function flattenRules(profiles, name, seen = new Set()) {
+  if (seen.has(name)) throw new Error(`Circular "extends" in tag profile: ${name}`);
+  seen.add(name);
+  const profile = profiles[name];
+  if (!profile) throw new Error(`Unknown tag profile: ${name}`);
+  const parentRules = profile.extends ? flattenRules(profiles, profile.extends, seen) : [];
+  return [...(profile.rules || []), ...parentRules];
+}
+
+/**
+ * Picks a profile by name or, when no name is given, by the first profile
+ * whose `examTitle` pattern matches the exam title (else `default`).
+ * @param {object} profiles - Profiles from `loadTagProfiles`.
+ * @param {string|undefined} name - Explicit profile name (`--tag-profile`).
+ * @param {string} examTitle - The exam title.
+ * @returns {{name: string, rules: Array<object>}} The profile with inherited rules appended.
+ */
+export function resolveTagProfile(profiles, name, examTitle) {
+  const detected = name || Object.keys(profiles).find(key => {
+    const pattern = profiles[key].examTitle;
+    return pattern && new RegExp(pattern, 'i').test(examTitle);
+  }) || FALLBACK_PROFILE;
+  return { name: detected, rules: flattenRules(profiles, detected) };
+}
+
+function ruleMatches(rule, sectionName, questionNumber, examTitle) {
+  if (rule.section && !new RegExp(rule.section, 'i').test(sectionName)) return false;
+  if (rule.examTitle && !new RegExp(rule.examTitle, 'i').test(examTitle)) return false;
+  if (rule.questions) {
+    const [from, to] = rule.questions;
+    if (typeof questionNumber !== 'number' || questionNumber < from || questionNumber > to) return false;
+  }
+  return true;
+}
+
+/**
+ * Creates a tagger for one exam that maps a question's section and number to
+ * a subject tag, and remembers every question no rule matched.
+ * @param {{name: string, rules: Array<object>}} profile - From `resolveTagProfile`.
+ * @param {string} examTitle - The exam title.
+ */
+export function createTagger(profile, examTitle) {
+  const unmatched = new Map();
+
+  return {
+    profile: profile.name,
+    /**
+     * @returns {string|null} The tag of the first matching rule, or null.
+     */
+    tagFor: (sectionName, questionNumber) => {
+      const section = (sectionName || '').trim();
+      const rule = profile.rules.find(r => ruleMatches(r, section, questionNumber, examTitle));
+      if (rule) return rule.tag;
+      if (!unmatched.has(section)) unmatched.set(section, []);
+      unmatched.get(section).push(questionNumber);
+      return null;
+    },
+    /**
+     * @returns {object|null} Unmatched question numbers grouped by section name, or null if all matched.
+     */
+    getUnmatchedReport: () => {
+      if (unmatched.size === 0) return null;
+      return {
+        examTitle,
+        profile: profile.name,
+        sections: [...unmatched].map(([sectionName, questions]) => ({ sectionName, count: questions.length, questions })),
+      };
+    },
+  };
+}
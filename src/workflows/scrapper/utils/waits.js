@@ -0,0 +1,166 @@
+// src/workflows/scrapper/utils/waits.js
+
+import { delay } from './human.js';
+
+// --------------------- Timeout Error ---------------------
+export class TimeoutError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "TimeoutError";
+  }
+}
+
+// --------------------- In-page Waits ---------------------
+/**
+ * Waits inside the page until `predicate` returns a truthy value. The check
+ * runs once, then again on every DOM mutation (including attribute changes,
+ * so `ng-hide` toggles count), all in one `Runtime.evaluate` call whose
+ * promise resolves as soon as the page changes, with no polling.
+ * @param {object} Runtime - CDP Runtime domain of the tab.
+ * @param {string} predicate - Source of a page-side function `(args) => value`.
+ * @param {object} [options]
+ * @param {*} [options.args] - JSON-serializable argument passed to `predicate`.
+ * @param {number} [options.timeout=10000] - Milliseconds to wait.
+ * @returns {Promise<*>} The truthy value, or null on timeout.
+ */
+export async function waitForCondition(Runtime, predicate, { args = null, timeout = 10000 } = {}) {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    const remaining = deadline - Date.now();
+    const expression = `new Promise(resolve => {
+      const check = ${predicate};
+      const args = ${JSON.stringify(args)};
+      const test = () => { try { return check(args); } catch { return null; } };
+      const first = test();
+      if (first) return resolve(first);
+      let timer;
+      const observer = new MutationObserver(() => {
+        const value = test();
+        if (value) { observer.disconnect(); clearTimeout(timer); resolve(value); }
+      });
+      observer.observe(document, { subtree: true, childList: true, attributes: true, characterData: true });
+      timer = setTimeout(() => { observer.disconnect(); resolve(null); }, ${remaining});
+    })`;
+    try {
+      const { result, exceptionDetails } = await Runtime.evaluate({ expression, awaitPromise: true, returnByValue: true });
+      if (exceptionDetails) throw new Error(exceptionDetails.exception?.description || exceptionDetails.text);
+      return result.value ?? null;
+    } catch (err) {
+      // A navigation destroys the page context mid-wait; wait again in the new one.
+      if (!/context|navigat/i.test(err.message)) throw err;
+      await delay(100);
+    }
+  }
+  return null;
+}
+
+/**
+ * Waits until any of the selectors matches an element.
+ * @param {object} Runtime
+ * @param {string|Array<string>} selector - A selector or an ordered fallback list (see selectors.js).
+ * @param {number} timeout
+ * @throws {TimeoutError} If nothing matched in time.
+ */
+export async function waitForSelector(Runtime, selector, timeout) {
+  const candidates = Array.isArray(selector) ? selector : [selector];
+  const found = await waitForCondition(Runtime, 'candidates => candidates.some(s => document.querySelector(s) !== null)', { args: candidates, timeout });
+  if (!found) throw new TimeoutError(`Timeout: waited ${timeout}ms for selector "${candidates.join('" or "')}"`);
+}
+
+/**
+ * Waits until the element matched by `selector` is rendered and visible:
+ * attached, not hidden by `ng-hide`/`display: none`, and not empty.
+ * @param {object} Runtime
+ * @param {string} selector
+ * @param {number} [timeout=10000]
+ * @returns {Promise<boolean>} False on timeout.
+ */
+export async function waitForVisible(Runtime, selector, timeout = 10000) {
+  return !!await waitForCondition(Runtime, `selector => {
+    const el = document.querySelector(selector);
+    if (!el || el.getClientRects().length === 0) return false;
+    return getComputedStyle(el).visibility !== 'hidden' && (el.textContent.trim() !== '' || !!el.querySelector('img'));
+  }`, { args: selector, timeout });
+}
+
+// Page-side: the displayed question number, section and the start of the
+// question text. The number alone repeats across sections.
+const QUESTION_SIGNATURE = `(s) => {
+  const container = document.querySelector(s.container);
+  if (!container) return '';
+  const numberEl = container.querySelector(s.number);
+  let number = '';
+  if (numberEl) {
+    const copy = numberEl.cloneNode(true);
+    copy.querySelectorAll('span.hidden-xs').forEach(n => n.remove());
+    number = (copy.textContent.match(/\\d+/) || [''])[0];
+  }
+  const section = document.querySelector(s.section)?.textContent.trim() || '';
+  const body = container.querySelector(s.body)?.textContent.trim().slice(0, 200) || '';
+  return number + '|' + section + '|' + body;
+}`;
+
+const signatureArgs = (activeSelectors) => ({
+  container: activeSelectors.parser.activeQuestionContainer,
+  number: activeSelectors.parser.questionNumber,
+  section: activeSelectors.parser.sectionName,
+  body: activeSelectors.parser.questionBody,
+});
+
+/**
+ * Reads what identifies the question on screen, for `waitForQuestionChange`.
+ * @param {object} Runtime
+ * @param {object} activeSelectors - Selectors resolved against the page (see selectorResolver.js).
+ * @returns {Promise<string>}
+ */
+export async function readQuestionSignature(Runtime, activeSelectors) {
+  const { result } = await Runtime.evaluate({ expression: `(${QUESTION_SIGNATURE})(${JSON.stringify(signatureArgs(activeSelectors))})`, returnByValue: true });
+  return result.value || '';
+}
+
+/**
+ * Waits after a Next click until another question is on screen, or until the
+ * page says there is none (`endText`).
+ * @param {object} Runtime
+ * @param {string} previous - `readQuestionSignature` before the click.
+ * @param {object} activeSelectors
+ * @param {object} [options]
+ * @param {string} [options.endText] - Text shown when Next is clicked on the last question.
+ * @param {number} [options.timeout=10000]
+ * @returns {Promise<'changed'|'end'|null>} Null on timeout.
+ */
+export async function waitForQuestionChange(Runtime, previous, activeSelectors, { endText, timeout = 10000 } = {}) {
+  return waitForCondition(Runtime, `({ s, previous, endText }) => {
+    if (endText && document.body.innerText.includes(endText)) return 'end';
+    const now = (${QUESTION_SIGNATURE})(s);
+    return now !== '' && now !== previous ? 'changed' : null;
+  }`, { args: { s: signatureArgs(activeSelectors), previous, endText }, timeout });
+}
+
+/**
+ * Waits until AngularJS has no pending HTTP requests or timeouts (through its
+ * testability API, as Protractor does). Pages without Angular resolve at once.
+ * @param {object} Runtime
+ * @param {number} [timeout=5000]
+ * @returns {Promise<boolean>} False on timeout.
+ */
+export async function waitForAngularIdle(Runtime, timeout = 5000) {
+  const expression = `new Promise(resolve => {
+    const timer = setTimeout(() => resolve(false), ${timeout});
+    const done = () => { clearTimeout(timer); resolve(true); };
+    try {
+      const ng = window.angular;
+      const root = document.querySelector('[ng-app], [data-ng-app], .ng-scope') || document.body;
+      if (ng && ng.getTestability) return ng.getTestability(root).whenStable(done);
+      const injector = ng && ng.element(root).injector();
+      if (injector) return injector.get('$browser').notifyWhenNoOutstandingRequests(done);
+    } catch {}
+    done();
+  })`;
+  try {
+    const { result } = await Runtime.evaluate({ expression, awaitPromise: true, returnByValue: true });
+    return !!result.value;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,55 @@
+// src/workflows/tagging/classifiers/httpClassifier.js
+
+import { getQuestionText } from '../utils/questionText.js';
+
+/**
+ * Creates a classifier backed by an HTTP service. Each question is POSTed as
+ * JSON and the service must answer with `{ "tags": ["MATH::Algebra", ...] }`.
+ * Any local server that speaks this contract can stand in for the real one.
+ *
+ * Request body:
+ *   { noteId, subjects, html: { question, options, solution }, text: { question, options, solution } }
+ *
+ * @param {object} options
+ * @param {string} options.url - Endpoint to POST to (`TAGGER_HTTP_URL`).
+ * @param {string} [options.apiKey] - Sent as a Bearer token when set (`TAGGER_HTTP_API_KEY`).
+ * @param {number} [options.timeoutMs=15000] - Per-request timeout (`TAGGER_HTTP_TIMEOUT_MS`).
+ * @param {Function} [options.fetchImpl=fetch] - Fetch implementation.
+ */
+export function createHttpClassifier({ url, apiKey, timeoutMs = 15000, fetchImpl = fetch }) {
+  if (!url) throw new Error('The HTTP classifier needs a URL (set TAGGER_HTTP_URL or pass --http-url).');
+
+  return {
+    name: 'http',
+    /**
+     * @param {object} question - A scraped question record.
+     * @returns {Promise<Array<string>>} Tags returned by the service.
+     */
+    classify: async (question) => {
+      const body = {
+        noteId: question.noteId,
+        subjects: question.Tags || [],
+        html: {
+          question: question.Question,
+          options: [question.OP1, question.OP2, question.OP3, question.OP4],
+          solution: question.Solution,
+        },
+        text: getQuestionText(question),
+      };
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+      const response = await fetchImpl(url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      if (!response.ok) throw new Error(`Classifier responded with HTTP ${response.status}`);
+
+      const payload = await response.json();
+      if (!Array.isArray(payload?.tags)) throw new Error('Classifier response has no "tags" array.');
+      return payload.tags.filter(tag => typeof tag === 'string' && tag.trim()).map(tag => tag.trim());
+    },
+  };
+}
@@ -0,0 +1,56 @@
+// src/workflows/tagging/classifiers/index.js
+
+import { createKeywordClassifier } from './keywordClassifier.js';
+import { createHttpClassifier } from './httpClassifier.js';
+
+/**
+ * Registry of classifier backends. Each factory takes the shared options
+ * object and returns `{ name, classify(question) => Promise<string[]> }`.
+ */
+const CLASSIFIERS = {
+  keyword: (options) => createKeywordClassifier({ rulesPath: options.rulesPath }),
+  http: (options) => createHttpClassifier({
+    url: options.httpUrl,
+    apiKey: options.httpApiKey,
+    timeoutMs: options.httpTimeoutMs,
+  }),
+};
+
+export const CLASSIFIER_NAMES = Object.keys(CLASSIFIERS);
+
+/**
+ * Builds the classifier backend with the given name.
+ * @param {string} name - One of `CLASSIFIER_NAMES`.
+ * @param {object} [options] - Backend options (see each classifier).
+ */
+export function createClassifier(name, options = {}) {
+  const factory = CLASSIFIERS[name];
+  if (!factory) throw new Error(`Unknown classifier "${name}". Available: ${CLASSIFIER_NAMES.join(', ')}`);
+  return factory(options);
+}
+
+/**
+ * Registers the classifier CLI options shared by `tagger.js` and
+ * `run_batch_tagger.js`. Defaults come from the environment (`.env`).
+ * @param {import('commander').Command} program
+ */
+export function addClassifierOptions(program) {
+  return program
+    .option('--classifier <name>', `Classifier backend (${CLASSIFIER_NAMES.join('|')})`, process.env.TAGGER_CLASSIFIER || 'keyword')
+    .option('--rules <path>', 'Topic rules JSON for the keyword classifier')
+    .option('--http-url <url>', 'Endpoint for the http classifier', process.env.TAGGER_HTTP_URL)
+    .option('--http-timeout <ms>', 'Per-request timeout for the http classifier', process.env.TAGGER_HTTP_TIMEOUT_MS || '15000');
+}
+
+/**
+ * Builds a classifier from the options registered by `addClassifierOptions`.
+ * @param {object} opts - Parsed commander options.
+ */
+export function createClassifierFromOptions(opts) {
+  return createClassifier(opts.classifier, {
+    rulesPath: opts.rules,
+    httpUrl: opts.httpUrl,
+    httpApiKey: process.env.TAGGER_HTTP_API_KEY,
+    httpTimeoutMs: parseInt(opts.httpTimeout, 10),
+  });
+}
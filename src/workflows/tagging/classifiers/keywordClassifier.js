@@ -0,0 +1,63 @@
+// src/workflows/tagging/classifiers/keywordClassifier.js
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getQuestionText } from '../utils/questionText.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const DEFAULT_TOPIC_RULES_PATH = path.join(__dirname, '..', 'config', 'topicRules.json');
+
+// A pattern found in the question counts more than one found only in the solution.
+const QUESTION_WEIGHT = 3;
+const OPTION_WEIGHT = 1;
+const SOLUTION_WEIGHT = 1;
+
+/**
+ * Creates the built-in deterministic classifier. Topic rules are keyed by
+ * subject tag (`MATH`, `GI`, ...); a question is only scored against the rules
+ * of the subject tags it already carries, or against every subject if it has
+ * none. Each rule scores by how many of its patterns match, weighted by where
+ * they match, and the highest-scoring rule wins (ties go to the earlier rule).
+ * @param {object} [options]
+ * @param {string} [options.rulesPath] - Path to the topic rules JSON file.
+ */
+export function createKeywordClassifier({ rulesPath } = {}) {
+  const rawRules = JSON.parse(fs.readFileSync(rulesPath || DEFAULT_TOPIC_RULES_PATH, 'utf-8'));
+  const rulesBySubject = Object.fromEntries(Object.entries(rawRules).map(([subject, rules]) => [
+    subject,
+    rules.map(rule => ({ tag: rule.tag, patterns: rule.patterns.map(p => new RegExp(p, 'i')) })),
+  ]));
+
+  const score = (rule, { question, options, solution }) => rule.patterns.reduce((total, pattern) => total
+    + (pattern.test(question) ? QUESTION_WEIGHT : 0)
+    + (options.some(opt => pattern.test(opt)) ? OPTION_WEIGHT : 0)
+    + (pattern.test(solution) ? SOLUTION_WEIGHT : 0), 0);
+
+  return {
+    name: 'keyword',
+    /**
+     * @param {object} question - A scraped question record.
+     * @returns {Promise<Array<string>>} At most one topic tag per subject.
+     */
+    classify: async (question) => {
+      const text = getQuestionText(question);
+      const tagged = Object.keys(rulesBySubject).filter(subject => (question.Tags || []).includes(subject));
+      const subjects = tagged.length > 0 ? tagged : Object.keys(rulesBySubject);
+
+      const matches = [];
+      for (const subject of subjects) {
+        let best = null;
+        for (const rule of rulesBySubject[subject]) {
+          const points = score(rule, text);
+          if (points > 0 && (!best || points > best.points)) best = { tag: rule.tag, points };
+        }
+        if (best) matches.push(best);
+      }
+      if (tagged.length > 0) return matches.map(match => match.tag);
+      // Without a subject tag, only the single strongest match across all subjects is trusted.
+      const strongest = matches.reduce((top, match) => (!top || match.points > top.points ? match : top), null);
+      return strongest ? [strongest.tag] : [];
+    },
+  };
+}
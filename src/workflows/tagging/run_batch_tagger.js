@@ -0,0 +1,69 @@
+// src/workflows/tagging/run_batch_tagger.js
+
+import { program } from 'commander';
+import fs from 'fs';
+import path from 'path';
+import { addClassifierOptions, createClassifierFromOptions } from './classifiers/index.js';
+import { tagFile, SCRAPED_DIR, TAGGED_DIR } from './utils/tagFile.js';
+
+// Simple logger for the batch tagger
+const log = {
+  action: (msg) => console.log(`\n[🏷️ BATCH] [*] ${msg}`),
+  info: (msg) => console.log(`[🏷️ BATCH] [i] ${msg}`),
+  success: (msg) => console.log(`[🏷️ BATCH] [✓] ${msg}`),
+  error: (msg) => console.error(`[🏷️ BATCH] [x] ${msg}`),
+  warn: (msg) => console.log(`[🏷️ BATCH] [?] ${msg}`),
+};
+
+/**
+ * Checks whether a scraped file already has a tagged copy that is newer.
+ * @param {string} fileName - File name inside `output/scraped`.
+ * @returns {boolean}
+ */
+function isUpToDate(fileName) {
+  const taggedPath = path.join(TAGGED_DIR, fileName);
+  if (!fs.existsSync(taggedPath)) return false;
+  return fs.statSync(taggedPath).mtimeMs >= fs.statSync(path.join(SCRAPED_DIR, fileName)).mtimeMs;
+}
+
+/**
+ * The main function to tag every scraped file.
+ */
+async function main() {
+  addClassifierOptions(program.option('--force', 'Re-tag files whose tagged copy is already up to date'));
+  program.parse(process.argv);
+  const options = program.opts();
+
+  if (!fs.existsSync(SCRAPED_DIR)) { log.error(`Scraped directory not found: ${SCRAPED_DIR}`); process.exit(1); }
+  const files = fs.readdirSync(SCRAPED_DIR).filter(file => file.endsWith('.json'));
+  const pending = options.force ? files : files.filter(file => !isUpToDate(file));
+  if (pending.length === 0) { log.success('All scraped files are already tagged. Nothing to do.'); return; }
+
+  let classifier;
+  try {
+    classifier = createClassifierFromOptions(options);
+  } catch (err) {
+    log.error(err.message);
+    process.exit(1);
+  }
+  log.info(`Tagging ${pending.length} of ${files.length} file(s) with the "${classifier.name}" classifier...`);
+
+  let failedFiles = 0;
+  for (const file of pending) {
+    log.action(`Tagging ${file}`);
+    try {
+      const result = await tagFile(path.join(SCRAPED_DIR, file), classifier, log);
+      log.success(`Tagged ${result.tagged}/${result.total} question(s).`);
+      if (result.untagged > 0) log.warn(`${result.untagged} question(s) matched no topic.`);
+      if (result.failed > 0) { log.warn(`${result.failed} question(s) failed to classify.`); failedFiles++; }
+    } catch (err) {
+      log.error(`Failed to tag ${file}: ${err.message}`);
+      failedFiles++;
+    }
+  }
+
+  if (failedFiles > 0) { log.error(`${failedFiles} file(s) had errors.`); process.exit(1); }
+  log.success('All pending files have been tagged.');
+}
+
+main();
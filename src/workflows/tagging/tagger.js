@@ -0,0 +1,40 @@
+// src/workflows/tagging/tagger.js
+
+import { program } from 'commander';
+import fs from 'fs';
+import path from 'path';
+import { addClassifierOptions, createClassifierFromOptions } from './classifiers/index.js';
+import { tagFile } from './utils/tagFile.js';
+
+// --------------------- Logging ---------------------
+const log = {
+  action: (msg) => console.log(`[*] ${msg}`),
+  info: (msg) => console.log(`[i] ${msg}`),
+  success: (msg) => console.log(`[✓] ${msg}`),
+  warn: (msg) => console.log(`[?] ${msg}`),
+  error: (msg) => console.error(`[x] ${msg}`),
+};
+
+// --------------------- Main Function ---------------------
+async function main() {
+  addClassifierOptions(program.requiredOption('-f, --file <path>', 'Scraped JSON file to tag'));
+  program.parse(process.argv);
+  const options = program.opts();
+
+  const inputPath = path.resolve(process.cwd(), options.file);
+  if (!fs.existsSync(inputPath)) { log.error(`File not found: ${inputPath}`); process.exit(1); }
+
+  try {
+    const classifier = createClassifierFromOptions(options);
+    log.action(`Tagging ${path.basename(inputPath)} with the "${classifier.name}" classifier...`);
+    const result = await tagFile(inputPath, classifier, log);
+    log.success(`Tagged ${result.tagged}/${result.total} question(s). Saved to ${result.outputPath}`);
+    if (result.untagged > 0) log.warn(`${result.untagged} question(s) matched no topic.`);
+    if (result.failed > 0) { log.error(`${result.failed} question(s) failed to classify.`); process.exit(1); }
+  } catch (err) {
+    log.error(err.message);
+    process.exit(1);
+  }
+}
+
+main();
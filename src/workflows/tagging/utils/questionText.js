@@ -0,0 +1,31 @@
+// src/workflows/tagging/utils/questionText.js
+
+import * as cheerio from 'cheerio';
+
+/**
+ * Converts an HTML snippet into plain text with collapsed whitespace. LaTeX
+ * delimiters and table markers are kept so rules can match on them.
+ * @param {string|null} html - The HTML snippet.
+ * @returns {string}
+ */
+export function htmlToText(html) {
+  if (!html) return '';
+  const $ = cheerio.load(html, null, false);
+  $('br').replaceWith(' ');
+  const tableMarker = $('table').length > 0 ? ' <table ' : '';
+  return ($.text() + tableMarker).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Extracts the plain-text parts of a scraped question record that a
+ * classifier looks at.
+ * @param {object} question - A record from `output/scraped/*.json`.
+ * @returns {{question: string, options: Array<string>, solution: string}}
+ */
+export function getQuestionText(question) {
+  return {
+    question: htmlToText(question.Question),
+    options: ['OP1', 'OP2', 'OP3', 'OP4'].map(key => htmlToText(question[key])),
+    solution: htmlToText(question.Solution),
+  };
+}
@@ -0,0 +1,42 @@
+// src/workflows/tagging/utils/tagFile.js
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const PROJECT_ROOT = path.resolve(__dirname, '..', '..', '..', '..');
+export const SCRAPED_DIR = path.join(PROJECT_ROOT, 'output', 'scraped');
+export const TAGGED_DIR = path.join(PROJECT_ROOT, 'output', 'tagged');
+
+/**
+ * Runs every question in a scraped JSON file through a classifier and writes
+ * the result, with topic tags appended to `Tags`, to `output/tagged/` under
+ * the same file name. A question the classifier fails on keeps its old tags.
+ * @param {string} inputPath - Path to a scraped JSON file.
+ * @param {{name: string, classify: Function}} classifier - Classifier backend.
+ * @param {object} log - Logger.
+ * @returns {Promise<{outputPath: string, total: number, tagged: number, untagged: number, failed: number}>}
+ */
+export async function tagFile(inputPath, classifier, log) {
+  const questions = JSON.parse(fs.readFileSync(inputPath, 'utf-8'));
+  if (!Array.isArray(questions)) throw new Error(`JSON root must be an array: ${inputPath}`);
+
+  const stats = { total: questions.length, tagged: 0, untagged: 0, failed: 0 };
+  for (const question of questions) {
+    try {
+      const topicTags = await classifier.classify(question);
+      question.Tags = [...new Set([...(question.Tags || []), ...topicTags])];
+      if (topicTags.length > 0) stats.tagged++;
+      else stats.untagged++;
+    } catch (err) {
+      stats.failed++;
+      log.error(`Classifier "${classifier.name}" failed on question SL #${question.SL}: ${err.message}`);
+    }
+  }
+
+  fs.mkdirSync(TAGGED_DIR, { recursive: true });
+  const outputPath = path.join(TAGGED_DIR, path.basename(inputPath));
+  fs.writeFileSync(outputPath, JSON.stringify(questions, null, 2));
+  return { outputPath, ...stats };
+}
@@ -0,0 +1,170 @@
+// src/workflows/validation/utils/validator.js
+
+import Ajv from 'ajv';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const schema = JSON.parse(fs.readFileSync(path.join(__dirname, 'questionSchema.json'), 'utf-8'));
+const validateRecord = new Ajv({ allErrors: true }).compile(schema);
+
+const OPTION_KEYS = ['OP1', 'OP2', 'OP3', 'OP4'];
+const HTML_FIELDS = ['Question', ...OPTION_KEYS, 'Solution'];
+
+const stripHtml = (html) => (html || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim().toLowerCase();
+
+/**
+ * Returns false when `\(`/`\)` or `\[`/`\]` delimiters are unpaired or nested.
+ */
+function hasBalancedMathDelimiters(html) {
+  const stack = [];
+  for (const [token] of (html || '').matchAll(/\\[()[\]]/g)) {
+    if (token === '\\(' || token === '\\[') {
+      if (stack.length > 0) return false;
+      stack.push(token);
+    } else {
+      const open = stack.pop();
+      if (open !== (token === '\\)' ? '\\(' : '\\[')) return false;
+    }
+  }
+  return stack.length === 0;
+}
+
+/**
+ * Content checks run on every record that passes the schema. Each returns an
+ * issue message or null. `error` checks produce cards that are wrong or
+ * unusable; `warning` checks produce cards that still work but look off.
+ */
+const CHECKS = [
+  {
+    level: 'error',
+    run: (q) => (q.Answer === 0 ? 'No correct option was marked (Answer is 0).' : null),
+  },
+  {
+    level: 'error',
+    run: (q) => {
+      if (q.Answer === 0) return null;
+      const answer = q[OPTION_KEYS[q.Answer - 1]];
+      return answer ? null : `Answer ${q.Answer} points at an empty option.`;
+    },
+  },
+  {
+    level: 'error',
+    run: (q) => {
+      const count = OPTION_KEYS.filter(key => q[key]).length;
+      return count < 4 ? `Only ${count} option(s) present.` : null;
+    },
+  },
+  {
+    level: 'error',
+    run: (q) => {
+      const texts = OPTION_KEYS.map(key => q[key]).filter(Boolean).map(stripHtml).filter(Boolean);
+      const duplicates = texts.filter((text, i) => texts.indexOf(text) !== i);
+      return duplicates.length > 0 ? `Duplicate option text: "${duplicates[0].slice(0, 40)}".` : null;
+    },
+  },
+  {
+    level: 'error',
+    run: (q) => {
+      const fields = HTML_FIELDS.filter(key => !hasBalancedMathDelimiters(q[key]));
+      return fields.length > 0 ? `Unbalanced \\( \\) or \\[ \\] delimiters in ${fields.join(', ')}.` : null;
+    },
+  },
+  {
+    level: 'error',
+    run: (q) => {
+      const missing = (q.Languages || []).slice(1).filter(code => !stripHtml(q[`Question_${code}`]));
+      return missing.length > 0 ? `Languages lists ${missing.join(', ')} but Question_${missing[0]} is empty.` : null;
+    },
+  },
+  {
+    level: 'warning',
+    run: (q) => (!q.Solution || !stripHtml(q.Solution) ? 'Solution is empty.' : null),
+  },
+  {
+    level: 'warning',
+    run: (q) => {
+      const fields = HTML_FIELDS.filter(key => /\sng-[\w-]+(=|\s|>)/.test(q[key] || ''));
+      return fields.length > 0 ? `Leftover Angular ng- attributes in ${fields.join(', ')}.` : null;
+    },
+  },
+  {
+    level: 'warning',
+    run: (q) => {
+      const pattern = /MathJax|MJX|<mjx-|<script[^>]*math\/tex|<math[\s>]/i;
+      const fields = HTML_FIELDS.filter(key => pattern.test(q[key] || ''));
+      return fields.length > 0 ? `Leftover MathJax/MathML markup in ${fields.join(', ')}.` : null;
+    },
+  },
+  {
+    level: 'warning',
+    run: (q) => {
+      const fields = HTML_FIELDS.filter(key => /<img[^>]+src=["']?(https?:)?\/\//i.test(q[key] || ''));
+      return fields.length > 0 ? `Images with remote URLs in ${fields.join(', ')}.` : null;
+    },
+  },
+  {
+    level: 'warning',
+    run: (q) => (q.MissingMedia?.length ? `${q.MissingMedia.length} image(s) failed to mirror.` : null),
+  },
+  {
+    level: 'warning',
+    run: (q) => {
+      if (!q.MathErrors?.length) return null;
+      const fields = [...new Set(q.MathErrors.map(err => err.field))];
+      return `${q.MathErrors.length} formula(s) do not render with KaTeX in ${fields.join(', ')} (first: ${q.MathErrors[0].error}).`;
+    },
+  },
+];
+
+/**
+ * Validates question records against the schema and the content checks.
+ * @param {Array<object>} records - The parsed contents of a question JSON file.
+ * @returns {{errors: Array<{SL: any, message: string}>, warnings: Array<{SL: any, message: string}>}}
+ */
+export function validateQuestions(records) {
+  const errors = [];
+  const warnings = [];
+  if (!Array.isArray(records)) {
+    errors.push({ SL: null, message: 'JSON root must be an array.' });
+    return { errors, warnings };
+  }
+
+  records.forEach((q, i) => {
+    const SL = q?.SL ?? `#${i + 1}`;
+    if (!validateRecord(q)) {
+      validateRecord.errors.forEach(err => {
+        errors.push({ SL, message: `Schema: ${err.instancePath || '(record)'} ${err.message}` });
+      });
+      return;
+    }
+    for (const check of CHECKS) {
+      const message = check.run(q);
+      if (message) (check.level === 'error' ? errors : warnings).push({ SL, message });
+    }
+  });
+
+  const seen = new Set();
+  records.forEach(q => {
+    if (q && seen.has(q.noteId)) errors.push({ SL: q.SL, message: `Duplicate noteId ${q.noteId}.` });
+    seen.add(q?.noteId);
+  });
+
+  return { errors, warnings };
+}
+
+/**
+ * Reads and validates one question JSON file.
+ * @param {string} filePath - Path to the JSON file.
+ * @returns {{count: number, errors: Array<object>, warnings: Array<object>}}
+ */
+export function validateFile(filePath) {
+  let records;
+  try {
+    records = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (err) {
+    return { count: 0, errors: [{ SL: null, message: `Cannot read JSON: ${err.message}` }], warnings: [] };
+  }
+  return { count: Array.isArray(records) ? records.length : 0, ...validateQuestions(records) };
+}
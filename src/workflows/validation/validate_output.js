@@ -0,0 +1,60 @@
+// src/workflows/validation/validate_output.js
+
+import { program } from 'commander';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { validateFile } from './utils/validator.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PROJECT_ROOT = path.resolve(__dirname, '..', '..', '..');
+const DEFAULT_DIRS = [path.join(PROJECT_ROOT, 'output', 'scraped'), path.join(PROJECT_ROOT, 'output', 'tagged')];
+
+// --------------------- Logging ---------------------
+const log = {
+  action: (msg) => console.log(`\n[*] ${msg}`),
+  info: (msg) => console.log(`[i] ${msg}`),
+  success: (msg) => console.log(`[✓] ${msg}`),
+  warn: (msg) => console.log(`[?] ${msg}`),
+  error: (msg) => console.error(`[x] ${msg}`),
+};
+
+function listDefaultFiles() {
+  return DEFAULT_DIRS
+    .filter(dir => fs.existsSync(dir))
+    .flatMap(dir => fs.readdirSync(dir).filter(file => file.endsWith('.json')).map(file => path.join(dir, file)));
+}
+
+// --------------------- Main Function ---------------------
+function main() {
+  program
+    .argument('[files...]', 'Question JSON files (default: everything in output/scraped and output/tagged)')
+    .option('--strict', 'Treat warnings as errors')
+    .option('-q, --quiet', 'Only print the per-file summary lines')
+    .parse(process.argv);
+
+  const options = program.opts();
+  const files = program.args.length > 0 ? program.args.map(file => path.resolve(process.cwd(), file)) : listDefaultFiles();
+  if (files.length === 0) { log.warn('No question files to validate.'); return; }
+
+  let totalErrors = 0;
+  let totalWarnings = 0;
+  for (const file of files) {
+    const { count, errors, warnings } = validateFile(file);
+    totalErrors += errors.length;
+    totalWarnings += warnings.length;
+
+    log.action(`${path.relative(process.cwd(), file)}: ${count} question(s), ${errors.length} error(s), ${warnings.length} warning(s)`);
+    if (options.quiet) continue;
+    errors.forEach(({ SL, message }) => log.error(`SL ${SL ?? '-'}: ${message}`));
+    warnings.forEach(({ SL, message }) => log.warn(`SL ${SL ?? '-'}: ${message}`));
+  }
+
+  console.log('');
+  const failed = totalErrors > 0 || (options.strict && totalWarnings > 0);
+  const summary = `${files.length} file(s): ${totalErrors} error(s), ${totalWarnings} warning(s).`;
+  if (failed) { log.error(summary); process.exit(1); }
+  log.success(summary);
+}
+
+main();
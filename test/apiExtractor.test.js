@@ -0,0 +1,35 @@
+// test/apiExtractor.test.js
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadRecordedResponses, extractQuestionSet, findIncompleteReason } from '../src/workflows/scrapper/utils/apiExtractor.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'responses');
+
+test('extractQuestionSet reads questions, answers and solutions from recorded responses', () => {
+  const set = extractQuestionSet(loadRecordedResponses(path.join(FIXTURES, 'complete')));
+  assert.equal(set.title, 'SSC CGL: Mock 2');
+  assert.deepEqual(set.questions.map(q => [q.id, q.position, q.sectionName, q.correctIndex]), [
+    ['q1', 1, 'Section I', 1],
+    ['q2', 2, 'Section I', 0],
+    ['q3', 3, 'Section II', 1],
+  ]);
+  assert.equal(set.questions[1].comprehension, '<p>Read the passage.</p>');
+  assert.equal(set.questions[2].solution, '<p>Paris.</p>');
+  assert.equal(findIncompleteReason(set), null);
+});
+
+test('findIncompleteReason rejects a question without a correct option even when it has a solution', () => {
+  const set = extractQuestionSet(loadRecordedResponses(path.join(FIXTURES, 'no-answer-key')));
+  assert.equal(set.questions[2].correctIndex, -1);
+  assert.notEqual(set.questions[2].solution, '');
+  assert.match(findIncompleteReason(set), /^1 of 3 question\(s\) have no correct option/);
+});
+
+test('findIncompleteReason rejects a set recorded without the answers response', () => {
+  const [questions] = loadRecordedResponses(path.join(FIXTURES, 'complete'));
+  const set = extractQuestionSet([questions]);
+  assert.match(findIncompleteReason(set), /^3 of 3 question\(s\) have no correct option/);
+});
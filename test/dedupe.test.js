@@ -0,0 +1,54 @@
+// test/dedupe.test.js
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { fingerprint, normalizeField } from '../src/workflows/dedupe/utils/fingerprint.js';
+import { findDuplicates } from '../src/workflows/dedupe/utils/findDuplicates.js';
+
+const img = (name) => `<img src="https://cdn.testbook.com/resources/lms_creative_elements/${name}.png?v=2">`;
+
+// Two figure questions: same stem, different question and option images.
+const figureQuestion = (prefix) => ({
+  Question: `<p>Select the figure that will come next in the series.</p>${img(`${prefix}-q`)}`,
+  OP1: img(`${prefix}-a`), OP2: img(`${prefix}-b`), OP3: img(`${prefix}-c`), OP4: img(`${prefix}-d`),
+  Answer: '1',
+});
+
+const textQuestion = (answer) => ({
+  Question: '<p>What is the capital of France?</p>',
+  OP1: 'Rome', OP2: 'Paris', OP3: 'Oslo', OP4: 'Bern',
+  Answer: answer,
+});
+
+test('normalizeField names each image by its file name, ignoring host and query', async () => {
+  const token = await normalizeField(img('abc'));
+  assert.match(token, /^\[img-[0-9a-f]{12}\]$/);
+  assert.equal(await normalizeField('<img src="/elsewhere/abc.png">'), token);
+  assert.notEqual(await normalizeField(img('abd')), token);
+});
+
+test('image-only questions with different images get different fingerprints', async () => {
+  const [a, b] = await Promise.all([fingerprint(figureQuestion('5f1')), fingerprint(figureQuestion('5f2'))]);
+  assert.notEqual(a.exactKey, b.exactKey);
+  assert.equal(a.options.size, 4);
+  assert.deepEqual([...a.options].filter(option => b.options.has(option)), []);
+
+  const entries = [figureQuestion('5f1'), figureQuestion('5f2')].map(record => ({ record, source: {} }));
+  assert.deepEqual(await findDuplicates(entries), []);
+});
+
+test('the same image question is still an exact duplicate', async () => {
+  const entries = [figureQuestion('5f1'), figureQuestion('5f1')].map(record => ({ record, source: {} }));
+  const [cluster] = await findDuplicates(entries);
+  assert.deepEqual([cluster.type, cluster.conflict, cluster.members], ['exact', false, [0, 1]]);
+});
+
+test('duplicates that mark different answers are reported as a conflict', async () => {
+  // Same question with shuffled options: the marked option text decides, not its number.
+  const shuffled = { ...textQuestion('1'), OP1: 'Paris', OP2: 'Rome' };
+  const agreeing = await findDuplicates([textQuestion('2'), shuffled].map(record => ({ record, source: {} })));
+  assert.equal(agreeing[0].conflict, false);
+
+  const clusters = await findDuplicates([textQuestion('2'), textQuestion('3'), textQuestion(null)].map(record => ({ record, source: {} })));
+  assert.deepEqual([clusters[0].conflict, clusters[0].members], [true, [0, 1, 2]]);
+});
@@ -0,0 +1,55 @@
+// test/discover.test.js
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseListing, parseListingPages, planDiscoveredTasks } from '../src/workflows/links/utils/discover.js';
+
+const LISTING = fs.readFileSync(path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'listing', 'cgl-mains.html'), 'utf-8');
+
+// The full mock is already in links.json under the previous SL.
+const LINKS = [{
+  SL: 'CGL::Mains::025',
+  Date: '02-Jan-2024',
+  Subject: 'Combined',
+  Link: 'https://testbook.com/ssc-cgl-tier-2/tests/659f0a1b2c/analysis?attemptNo=1',
+  File: '',
+  Status: 'PENDING',
+}];
+
+test('parseListing reads id, title, date and attempt state from each card', () => {
+  assert.deepEqual(parseListing(LISTING).map(t => [t.testId, t.title, t.date?.label, t.attempted]), [
+    ['65a1b2c3d4', 'SSC CGL Tier II Maths Mock 2', '12-Jan-2024', true],
+    ['65a0f1e2d3', 'SSC CGL Tier II English Mock 1', '05-Jan-2024', true],
+    ['65b9c8d7e6', 'SSC CGL Tier II Reasoning Mock 3', '20-Jan-2024', false],
+    ['659f0a1b2c', 'SSC CGL Tier II Full Mock 1', '02-Jan-2024', true],
+  ]);
+});
+
+test('parseListingPages keeps one entry per test across pages', () => {
+  assert.equal(parseListingPages([LISTING, LISTING]).length, 4);
+});
+
+test('planDiscoveredTasks numbers new attempted tests in date order and skips the rest', () => {
+  const { tasks, skipped } = planDiscoveredTasks(parseListing(LISTING), LINKS, { prefix: 'CGL::Mains' });
+  assert.deepEqual(tasks.map(t => [t.SL, t.Subject, t.Date, t.Link, t.Status]), [
+    ['CGL::Mains::026', 'English', '05-Jan-2024', 'https://testbook.com/ssc-cgl-tier-2/tests/65a0f1e2d3/analysis?attemptNo=1', 'PENDING'],
+    ['CGL::Mains::027', 'Math', '12-Jan-2024', 'https://testbook.com/ssc-cgl-tier-2/tests/65a1b2c3d4/analysis?attemptNo=1', 'PENDING'],
+  ]);
+  assert.deepEqual(skipped.map(s => [s.test.testId, s.reason]), [
+    ['65b9c8d7e6', 'not attempted'],
+    ['659f0a1b2c', 'already listed'],
+  ]);
+});
+
+test('planDiscoveredTasks can include unattempted tests and rejects a malformed prefix', () => {
+  const { tasks } = planDiscoveredTasks(parseListing(LISTING), LINKS, { prefix: 'CGL::Mains', includeUnattempted: true });
+  assert.deepEqual(tasks.map(t => [t.SL, t.Subject]), [
+    ['CGL::Mains::026', 'English'],
+    ['CGL::Mains::027', 'Math'],
+    ['CGL::Mains::028', 'Reasoning'],
+  ]);
+  assert.throws(() => planDiscoveredTasks([], LINKS, { prefix: 'CGL Mains' }), /Malformed SL prefix/);
+});
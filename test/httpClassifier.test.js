@@ -0,0 +1,66 @@
+// test/httpClassifier.test.js
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { createHttpClassifier } from '../src/workflows/tagging/classifiers/httpClassifier.js';
+
+const QUESTION = {
+  noteId: 7,
+  Question: '<p>Find the area of a <b>triangle</b> with base 6 and height 4.</p>',
+  OP1: '12', OP2: '24', OP3: '10', OP4: '<p>6</p>',
+  Solution: '<p>Area = ½ × 6 × 4 = 12</p>',
+  Tags: ['CGL::Mains::001', 'Math'],
+};
+
+/**
+ * Starts a local stand-in for the classifier service that records each
+ * request and answers with `reply(body)` as `{ status, json }`.
+ */
+async function startMockBackend(reply) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const body = JSON.parse(raw);
+      requests.push({ method: req.method, headers: req.headers, body });
+      const { status = 200, json } = reply(body);
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(json));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { url: `http://127.0.0.1:${server.address().port}/classify`, requests, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+test('posts the question as HTML and text and returns the trimmed tags', async (t) => {
+  const backend = await startMockBackend(() => ({ json: { tags: [' MATH::Geometry::Triangles ', '', 42, 'MATH::Mensuration'] } }));
+  t.after(backend.close);
+
+  const classifier = createHttpClassifier({ url: backend.url, apiKey: 'secret' });
+  assert.deepEqual(await classifier.classify(QUESTION), ['MATH::Geometry::Triangles', 'MATH::Mensuration']);
+
+  const [{ method, headers, body }] = backend.requests;
+  assert.equal(method, 'POST');
+  assert.equal(headers.authorization, 'Bearer secret');
+  assert.equal(body.noteId, 7);
+  assert.deepEqual(body.subjects, ['CGL::Mains::001', 'Math']);
+  assert.equal(body.html.options[3], '<p>6</p>');
+  assert.equal(body.text.question, 'Find the area of a triangle with base 6 and height 4.');
+  assert.deepEqual(body.text.options, ['12', '24', '10', '6']);
+});
+
+test('rejects error statuses and responses without a tags array', async (t) => {
+  const backend = await startMockBackend(body => (body.noteId === 1 ? { status: 503, json: {} } : { json: { labels: [] } }));
+  t.after(backend.close);
+
+  const classifier = createHttpClassifier({ url: backend.url });
+  await assert.rejects(classifier.classify({ ...QUESTION, noteId: 1 }), /HTTP 503/);
+  await assert.rejects(classifier.classify(QUESTION), /no "tags" array/);
+  assert.equal(backend.requests[0].headers.authorization, undefined);
+});
+
+test('needs a URL', () => {
+  assert.throws(() => createHttpClassifier({}), /needs a URL/);
+});
@@ -0,0 +1,51 @@
+// test/keywordClassifier.test.js
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createKeywordClassifier } from '../src/workflows/tagging/classifiers/keywordClassifier.js';
+
+const classifier = createKeywordClassifier({
+  rulesPath: path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'tagging', 'topicRules.json'),
+});
+
+const question = ({ Question, options = ['', '', '', ''], Solution = '', Tags = ['CGL::Mains::001'] }) => ({
+  Question, OP1: options[0], OP2: options[1], OP3: options[2], OP4: options[3], Solution, Tags,
+});
+
+test('a pattern in the question outweighs patterns found only in the options and solution', async () => {
+  // Geometry: "triangle" in the question (3). Mensuration: "area" in an option and "perimeter" in the solution (1 + 1).
+  assert.deepEqual(await classifier.classify(question({
+    Question: '<p>The sides of a <b>triangle</b> are 3, 4 and 5 cm.</p>',
+    options: ['area = 6', '7', '8', '9'],
+    Solution: '<p>Its perimeter is 12, so...</p>',
+    Tags: ['MATH'],
+  })), ['MATH::Geometry']);
+
+  // The same patterns with the places swapped flip the result.
+  assert.deepEqual(await classifier.classify(question({
+    Question: '<p>Find the area and perimeter of the figure.</p>',
+    Solution: '<p>Split it into a triangle and a square.</p>',
+    Tags: ['MATH'],
+  })), ['MATH::Mensuration']);
+});
+
+test('a question is scored only against the subjects it is tagged with, one topic per subject', async () => {
+  const record = {
+    Question: '<p>What is the next term of the series 2, 6, 12, 20, ? formed by the triangle numbers?</p>',
+    Solution: '<p>Count how many triangles each figure adds.</p>',
+  };
+  // GI scores higher, but a MATH question never gets a GI topic.
+  assert.deepEqual(await classifier.classify(question({ ...record, Tags: ['CGL::Mains::001', 'MATH'] })), ['MATH::Geometry']);
+  assert.deepEqual(await classifier.classify(question({ ...record, Tags: ['MATH', 'GI'] })), ['MATH::Geometry', 'GI::Series']);
+  assert.deepEqual(await classifier.classify(question({ Question: '<p>Find the missing number.</p>', Tags: ['MATH'] })), []);
+});
+
+test('without a subject tag only the single strongest match across subjects is returned', async () => {
+  // GI::Series scores 6 ("series" and "next term" in the question), MATH::Geometry 3.
+  assert.deepEqual(await classifier.classify(question({
+    Question: '<p>What is the next term of the series 1, 3, 6, 10, ? formed by the triangle numbers?</p>',
+  })), ['GI::Series']);
+  assert.deepEqual(await classifier.classify(question({ Question: '<p>Who wrote the national anthem?</p>', Tags: [] })), []);
+});
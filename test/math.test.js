@@ -0,0 +1,80 @@
+// test/math.test.js
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import katex from 'katex';
+import { mathmlToLatex, equationImageToLatex, unifyMathDelimiters, findMathErrors } from '../src/workflows/scrapper/utils/math.js';
+import { transformAndSanitizeHtml } from '../src/workflows/scrapper/utils/sanitizer.js';
+
+const latexOf = mathml => mathmlToLatex(mathml).latex;
+const rendersInKatex = latex => assert.doesNotThrow(() => katex.renderToString(latex, { throwOnError: true, strict: 'ignore' }), latex);
+
+test('mathmlToLatex converts scripts, fractions, roots and display mode', () => {
+  assert.equal(latexOf('<math><msup><mi>x</mi><mn>2</mn></msup><mo>&minus;</mo><msup><mrow><mo>(</mo><mi>a</mi><mo>+</mo><mi>b</mi><mo>)</mo></mrow><mn>2</mn></msup></math>'), 'x^{2}-{(a+b)}^{2}');
+  assert.equal(latexOf('<math><msub><mi>a</mi><mi>n</mi></msub><mo>&#x00D7;</mo><msubsup><mi>x</mi><mn>1</mn><mn>3</mn></msubsup></math>'), 'a_{n}\\times x_{1}^{3}');
+  assert.deepEqual(mathmlToLatex('<math display="block"><mfrac><mn>1</mn><msqrt><mn>2</mn></msqrt></mfrac></math>'), { latex: '\\frac{1}{\\sqrt{2}}', display: true });
+  assert.equal(latexOf('<math><mroot><mn>8</mn><mn>3</mn></mroot></math>'), '\\sqrt[3]{8}');
+  assert.equal(latexOf('<math><mi>sin</mi><mi>θ</mi></math>'), '\\sin\\theta');
+  assert.equal(mathmlToLatex('<p>no math</p>'), null);
+});
+
+test('mathmlToLatex reads mfenced delimiters and separators', () => {
+  assert.equal(latexOf('<math><mfenced><mi>x</mi><mi>y</mi></mfenced></math>'), '\\left(x,y\\right)');
+  assert.equal(latexOf('<math><mfenced open="[" close="]" separators=";"><mi>a</mi><mi>b</mi></mfenced></math>'), '\\left[a;b\\right]');
+  assert.equal(latexOf('<math><mfenced open="{" close=""><mi>y</mi></mfenced></math>'), '\\left\\{y\\right.');
+});
+
+test('mathmlToLatex turns mover/munder accents into LaTeX accents and limits into scripts', () => {
+  assert.equal(latexOf('<math><mover><mi>AB</mi><mo>&#xAF;</mo></mover></math>'), '\\overline{\\mathrm{AB}}');
+  assert.equal(latexOf('<math><mover><mi>v</mi><mo>→</mo></mover><mover><mi>x</mi><mo>^</mo></mover></math>'), '\\vec{v}\\hat{x}');
+  assert.equal(latexOf('<math><munder><mi>x</mi><mo>_</mo></munder></math>'), '\\underline{x}');
+  assert.equal(latexOf('<math><munderover><mo>∑</mo><mrow><mi>i</mi><mo>=</mo><mn>1</mn></mrow><mi>n</mi></munderover><mi>i</mi></math>'), '\\sum_{i=1}^{n}i');
+  assert.equal(latexOf('<math><mover><mo>=</mo><mtext>def</mtext></mover></math>'), '\\overset{\\text{def}}{=}');
+});
+
+test('mathmlToLatex writes mtable as a matrix', () => {
+  const latex = latexOf('<math><mfenced><mtable><mtr><mtd><mn>1</mn></mtd><mtd><mn>0</mn></mtd></mtr><mtr><mtd><mn>0</mn></mtd><mtd><mn>1</mn></mtd></mtr></mtable></mfenced></math>');
+  assert.equal(latex, '\\left(\\begin{matrix}1 & 0 \\\\ 0 & 1\\end{matrix}\\right)');
+  rendersInKatex(latex);
+});
+
+test('mathmlToLatex escapes text so KaTeX accepts backslashes, carets and tildes', () => {
+  const text = latexOf('<math><mtext>a\\b ^ c ~ d {50%} #1 &amp; $2 x_y</mtext></math>');
+  assert.equal(text, '\\text{a\\textbackslash{}b \\textasciicircum{} c \\textasciitilde{} d \\{50\\%\\} \\#1 \\& \\$2 x\\_y}');
+  rendersInKatex(text);
+  const identifier = latexOf('<math><mi>x^y\\z</mi></math>');
+  assert.equal(identifier, '\\mathrm{x\\text{\\textasciicircum{}}y\\text{\\textbackslash{}}z}');
+  rendersInKatex(identifier);
+});
+
+test('equationImageToLatex reads WIRIS data-mathml and LaTeX image services', () => {
+  assert.deepEqual(equationImageToLatex('/wiris/formula.png', '«math»«msup»«mi»x«/mi»«mn»3«/mn»«/msup»«/math»'), { latex: 'x^{3}', display: false });
+  assert.deepEqual(equationImageToLatex('https://latex.codecogs.com/gif.latex?\\dpi{150}&space;\\frac{a}{b}&plus;c'), { latex: '\\frac{a}{b}+c', display: false });
+  assert.deepEqual(equationImageToLatex('https://latex.codecogs.com/png.latex?x%5E2%20%2B%201'), { latex: 'x^2 + 1', display: false });
+  assert.deepEqual(equationImageToLatex('https://chart.googleapis.com/chart?cht=tx&amp;chl=x%5E2'), { latex: 'x^2', display: false });
+  assert.equal(equationImageToLatex('https://cdn.testbook.com/images/figure.png'), null);
+});
+
+test('the sanitizer turns vertical-align spans into sup/sub and equation images into LaTeX', async () => {
+  assert.equal(
+    await transformAndSanitizeHtml('<p>x<span style="vertical-align: super;">2</span> + H<span style="font-size:10px;vertical-align:sub">2</span>O</p>'),
+    'x<sup>2</sup> + H<sub>2</sub>O',
+  );
+  assert.equal(await transformAndSanitizeHtml('<span style="vertical-align: middle">a</span>'), '<span>a</span>');
+  assert.equal(
+    await transformAndSanitizeHtml('<p>Find <img src="https://latex.codecogs.com/gif.latex?\\sqrt{x}"></p>'),
+    'Find \\(\\sqrt{x}\\)',
+  );
+});
+
+test('unifyMathDelimiters turns $$ into \\[ \\], trims padding and leaves single $ alone', () => {
+  assert.equal(unifyMathDelimiters('a $$ x^2 $$ costs $5 and \\(  y \\) \\[ z  \\]'), 'a \\[x^2\\] costs $5 and \\(y\\) \\[z\\]');
+});
+
+test('findMathErrors reports only the formulas KaTeX rejects', () => {
+  assert.deepEqual(findMathErrors('ok \\(x^2\\) \\[\\sqrt{2}\\] \\(a &lt; b\\)'), []);
+  const errors = findMathErrors('bad \\(\\frac{1}\\) and \\[\\undefinedmacro{x}\\]');
+  assert.deepEqual(errors.map(err => err.latex), ['\\frac{1}', '\\undefinedmacro{x}']);
+  assert.match(errors[1].error, /Undefined control sequence/);
+  assert.deepEqual(findMathErrors(null), []);
+});
@@ -0,0 +1,92 @@
+// test/mediaStore.test.js
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createMediaStore } from '../src/workflows/scrapper/utils/mediaStore.js';
+import { buildQuestionRecord } from '../src/workflows/scrapper/utils/parser.js';
+
+const PNG = Buffer.from('89504e470d0a1a0a-figure-1', 'utf-8');
+const OTHER_PNG = Buffer.from('89504e470d0a1a0a-figure-2', 'utf-8');
+const silentLog = { info() {}, warn() {}, error() {} };
+
+/** A fetcher serving `files` by URL that records every call; other URLs fail with HTTP 404. */
+function stubFetcher(files) {
+  const calls = [];
+  const fetcher = async (url) => {
+    calls.push(url);
+    if (!files[url]) throw new Error('HTTP 404');
+    return { data: files[url], contentType: 'image/png' };
+  };
+  return { fetcher, calls };
+}
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'media-store-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('URLs with the same content share one file and each URL is fetched once', async (t) => {
+  const dir = tempDir(t);
+  const { fetcher, calls } = stubFetcher({
+    'https://cdn.testbook.com/a.png': PNG,
+    'https://cdn.testbook.com/copy-of-a.png?v=2': PNG,
+    'https://testbook.com/assets/b.png': OTHER_PNG,
+  });
+  const store = createMediaStore({ dir, fetcher });
+
+  const [a, copy, again, b] = await Promise.all([
+    store.localize('https://cdn.testbook.com/a.png'),
+    store.localize('https://cdn.testbook.com/copy-of-a.png?v=2'),
+    store.localize('https://cdn.testbook.com/a.png'),
+    store.localize('/assets/b.png'),
+  ]);
+  assert.equal(a, copy);
+  assert.equal(a, again);
+  assert.notEqual(a, b);
+  assert.match(a, /^[0-9a-f]{16}\.png$/);
+  assert.equal(calls.length, 3);
+  assert.deepEqual(fs.readdirSync(dir).sort(), [a, b, 'index.json'].sort());
+
+  // A later run finds everything in the index without fetching.
+  const later = stubFetcher({});
+  assert.equal(await createMediaStore({ dir, fetcher: later.fetcher }).localize('https://cdn.testbook.com/a.png'), a);
+  assert.equal(later.calls.length, 0);
+});
+
+test('parallel stores keep each other\'s index entries and an unreadable index is replaced', async (t) => {
+  const dir = tempDir(t);
+  fs.writeFileSync(path.join(dir, 'index.json'), '{"https://cdn.testbook.com/trunc');
+  const { fetcher } = stubFetcher({ 'https://cdn.testbook.com/a.png': PNG, 'https://cdn.testbook.com/b.png': OTHER_PNG });
+  const first = createMediaStore({ dir, fetcher });
+  const second = createMediaStore({ dir, fetcher });
+
+  await first.localize('https://cdn.testbook.com/a.png');
+  await second.localize('https://cdn.testbook.com/b.png');
+  const index = JSON.parse(fs.readFileSync(path.join(dir, 'index.json'), 'utf-8'));
+  assert.deepEqual(Object.keys(index).sort(), ['https://cdn.testbook.com/a.png', 'https://cdn.testbook.com/b.png']);
+  assert.equal(fs.readdirSync(dir).filter(file => file.endsWith('.tmp')).length, 0);
+});
+
+test('buildQuestionRecord rewrites mirrored images and lists failed ones in MissingMedia', async (t) => {
+  const dir = tempDir(t);
+  const { fetcher } = stubFetcher({ 'https://cdn.testbook.com/a.png': PNG });
+  const mediaStore = createMediaStore({ dir, fetcher });
+  const fileName = await mediaStore.localize('https://cdn.testbook.com/a.png');
+
+  const record = await buildQuestionRecord({
+    questionBody: '<p>Which figure completes the pattern?</p><img src="https://cdn.testbook.com/a.png">',
+    options: ['<img src="https://cdn.testbook.com/missing.png">', '2', '3', '4'],
+    solution: '',
+    correctIndex: 1,
+    questionNumber: 1,
+    sectionName: 'Reasoning',
+  }, silentLog, 1000, 1, { mediaStore });
+
+  assert.match(record.Question, new RegExp(`<img src="${fileName.replace('.', '\\.')}"`));
+  assert.match(record.OP1, /src="https:\/\/cdn\.testbook\.com\/missing\.png"/);
+  assert.deepEqual(record.MissingMedia, [{ url: 'https://cdn.testbook.com/missing.png', error: 'HTTP 404' }]);
+});